@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Retention = require('../shared/retention');
+
+// NOC certificates. A certificate is issued when an application is approved
+// and stored on the application record. Its fields are signed with an HMAC so
+// the public verification endpoint can tell a genuine certificate from an
+// edited one; the QR code on the PDF points at that endpoint.
+
+// Signed fields, in signing order
+const SIGNED_FIELDS = ['certificateNo', 'appNo', 'propertyName', 'plotNumber', 'address', 'validFrom', 'validUntil', 'approvedBy'];
+
+const DATE_FIELDS = ['validFrom', 'validUntil'];
+
+// Dates are signed as ISO strings so the signature survives a round trip
+// through either storage driver (Mongo hands them back as Date objects)
+function signaturePayload(certificate, application) {
+  const values = { ...application, ...certificate };
+  return SIGNED_FIELDS.map(field => {
+    const value = values[field] ?? '';
+    return DATE_FIELDS.includes(field) ? new Date(value).toISOString() : String(value);
+  }).join('|');
+}
+
+function sign(certificate, application, secret) {
+  return crypto.createHmac('sha256', secret).update(signaturePayload(certificate, application)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Years of validity for a building type (config.certificate)
+function validityYearsFor(buildingType, { validityYears, validityYearsByType = {} }) {
+  return validityYearsByType[buildingType] || validityYears;
+}
+
+// Build the certificate for a freshly approved application. A renewal
+// approved before the old NOC ran out starts where the old one ends.
+function issueCertificate(application, { certificateNo, approvedBy, validityYears, secret, now = new Date(), validFrom = now }) {
+  const validUntil = new Date(validFrom);
+  validUntil.setFullYear(validUntil.getFullYear() + validityYears);
+
+  const certificate = {
+    certificateNo,
+    issuedAt: now.toISOString(),
+    validFrom: new Date(validFrom).toISOString(),
+    validUntil: validUntil.toISOString(),
+    approvedBy
+  };
+  certificate.signature = sign(certificate, application, secret);
+  return certificate;
+}
+
+// Certificate numbers run FNOC-<year>-000001 upwards and are never reused
+async function createCertificate(store, config, application, approvedBy) {
+  const seq = await store.nextSequence('certificateNo', 0);
+  const now = new Date();
+
+  let validFrom = now;
+  if (application.renewalOf) {
+    const original = await store.applications.findOne({ appNo: application.renewalOf });
+    const previousEnd = original && original.certificate && new Date(original.certificate.validUntil);
+    if (previousEnd && previousEnd > now) validFrom = previousEnd;
+  }
+
+  return issueCertificate(application, {
+    certificateNo: `FNOC-${now.getFullYear()}-${String(seq).padStart(6, '0')}`,
+    approvedBy,
+    validityYears: validityYearsFor(application.buildingType, config.certificate),
+    secret: config.certificate.secret,
+    now,
+    validFrom
+  });
+}
+
+// 'valid', 'expired', 'revoked' (application moved to the trash) or
+// 'invalid' (record changed since signing, or the signature presented is
+// missing or doesn't match). The signature is required because certificate
+// numbers are sequential: without it anyone could list approved properties
+// by counting through them. Purged applications are gone, so their
+// certificates are invalid.
+function checkCertificate(application, { secret, signature, now = new Date() }) {
+  const certificate = application.certificate;
+  if (!certificate) return 'invalid';
+
+  const expected = sign(certificate, application, secret);
+  if (!safeEqual(expected, certificate.signature)) return 'invalid';
+  if (!signature || !safeEqual(expected, String(signature))) return 'invalid';
+  if (Retention.isDeleted(application)) return 'revoked';
+  if (new Date(certificate.validUntil) < now) return 'expired';
+  return 'valid';
+}
+
+// Whole days until the certificate runs out (0 or less once it has)
+function daysLeft(certificate, now = new Date()) {
+  return Math.ceil((new Date(certificate.validUntil) - now) / (24 * 60 * 60 * 1000));
+}
+
+function verificationUrl(certificate, publicApiUrl) {
+  return `${publicApiUrl}/certificates/verify/${encodeURIComponent(certificate.certificateNo)}?sig=${certificate.signature}`;
+}
+
+const formatDate = value => new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'long', year: 'numeric' });
+
+// Write the certificate PDF to `out` (a writable stream such as `res`)
+async function renderCertificatePdf(application, { publicApiUrl }, out) {
+  const certificate = application.certificate;
+  const url = verificationUrl(certificate, publicApiUrl);
+  const qr = await QRCode.toBuffer(url, { margin: 1, width: 240 });
+
+  const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: `Fire NOC ${certificate.certificateNo}` } });
+  doc.pipe(out);
+
+  const red = '#dc2626';
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.rect(left - 16, 40, width + 32, doc.page.height - 80).lineWidth(2).stroke(red);
+
+  doc.moveDown(1.5)
+    .fillColor(red).font('Helvetica-Bold').fontSize(22)
+    .text('FIRE & EMERGENCY SERVICES', { align: 'center' })
+    .moveDown(0.3)
+    .fillColor('#111827').fontSize(16)
+    .text('No Objection Certificate (Fire Safety)', { align: 'center' })
+    .moveDown(0.3)
+    .font('Helvetica').fontSize(11)
+    .text(`Certificate No: ${certificate.certificateNo}`, { align: 'center' })
+    .moveDown(2);
+
+  doc.fontSize(11).text(
+    'This is to certify that the premises described below have been examined with respect to ' +
+    'fire prevention and fire safety requirements, and the Fire Department has no objection to ' +
+    'their occupancy for the stated purpose, subject to the fire safety measures being maintained ' +
+    'in working order throughout the validity of this certificate.',
+    { align: 'justify' }
+  ).moveDown(1.5);
+
+  const rows = [
+    ['Application No', application.appNo],
+    ['Property Name', application.propertyName],
+    ['Plot Number', application.plotNumber],
+    ['Address', application.address],
+    ['Building Type', application.buildingType],
+    ['Built-up Area', `${application.builtupArea} sq.ft`],
+    ['Number of Floors', String(application.floors)],
+    ['Applicant', application.applicantName],
+    ['Valid From', formatDate(certificate.validFrom)],
+    ['Valid Until', formatDate(certificate.validUntil)],
+    ['Approved By', certificate.approvedBy]
+  ];
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, left, y, { width: 150 });
+    doc.font('Helvetica').text(value || '—', left + 160, y, { width: width - 160 });
+    doc.moveDown(0.5);
+  });
+
+  const qrSize = 120;
+  const bottom = doc.page.height - 80 - qrSize;
+  doc.image(qr, left, bottom, { width: qrSize });
+  doc.fontSize(9).fillColor('#374151')
+    .text('Scan to verify this certificate online, or open:', left + qrSize + 16, bottom, { width: width - qrSize - 16 })
+    .fillColor('#1d4ed8').text(url, { width: width - qrSize - 16, link: url })
+    .moveDown(0.5)
+    .fillColor('#374151').text(`Issued ${formatDate(certificate.issuedAt)}`)
+    .text(`Digital signature: ${certificate.signature}`, { width: width - qrSize - 16 });
+
+  doc.end();
+}
+
+module.exports = {
+  validityYearsFor,
+  issueCertificate,
+  createCertificate,
+  checkCertificate,
+  daysLeft,
+  verificationUrl,
+  renderCertificatePdf
+};
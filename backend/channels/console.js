@@ -0,0 +1,9 @@
+// Development transport: prints each message to the server log
+module.exports = function createConsoleChannel() {
+  return {
+    name: 'console',
+    async send({ channel, to, subject, text }) {
+      console.log(`📨 [${channel} → ${to}]${subject ? ` ${subject}:` : ''} ${text}`);
+    }
+  };
+};
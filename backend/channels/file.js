@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local outbox for development and tests: appends each message as a
+// JSON line to an outbox file that tests (or a person) can read back
+module.exports = function createFileChannel({ outboxFile }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+      const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(outboxFile, line + '\n');
+    }
+  };
+};
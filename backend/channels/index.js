@@ -0,0 +1,43 @@
+const createConsoleChannel = require('./console');
+const createFileChannel = require('./file');
+const createSmtpChannel = require('./smtp');
+const createSmsGatewayChannel = require('./smsGateway');
+
+// Delivery of messages to applicants (one-time codes, notifications). Each
+// message channel ('sms', 'email') has its own transport; every transport
+// exposes send({ channel, to, subject, text }) and rejects when delivery fails.
+const transports = {
+  console: createConsoleChannel,
+  file: createFileChannel,
+  smtp: createSmtpChannel,
+  gateway: createSmsGatewayChannel
+};
+
+function createTransport(name, channel, options) {
+  const create = transports[name];
+  if (!create) {
+    throw new Error(`Unknown ${channel} transport "${name}" (expected one of: ${Object.keys(transports).join(', ')})`);
+  }
+
+  const transport = create(options);
+  if (transport.channels && !transport.channels.includes(channel)) {
+    throw new Error(`The ${name} transport cannot deliver ${channel} messages`);
+  }
+  return transport;
+}
+
+function createDeliveryChannel({ email, sms, ...options }) {
+  const byChannel = {
+    email: createTransport(email, 'email', options),
+    sms: createTransport(sms, 'sms', options)
+  };
+
+  return {
+    describe: () => `email via ${email}, sms via ${sms}`,
+    send(message) {
+      return byChannel[message.channel].send(message);
+    }
+  };
+}
+
+module.exports = { createDeliveryChannel };
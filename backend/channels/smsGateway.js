@@ -0,0 +1,29 @@
+// SMS through an HTTP gateway. Messages are POSTed as JSON
+// { to, sender, message } to SMS_GATEWAY_URL with SMS_GATEWAY_API_KEY as a
+// bearer token; most Indian bulk-SMS providers accept this shape or sit
+// behind a small proxy that does. Any non-2xx answer counts as a failure.
+module.exports = function createSmsGatewayChannel({ smsGateway }) {
+  if (!smsGateway.url) {
+    throw new Error('The gateway transport needs SMS_GATEWAY_URL');
+  }
+
+  return {
+    name: 'gateway',
+    channels: ['sms'],
+    async send({ to, text }) {
+      const res = await fetch(smsGateway.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(smsGateway.apiKey ? { Authorization: `Bearer ${smsGateway.apiKey}` } : {})
+        },
+        body: JSON.stringify({ to, sender: smsGateway.sender, message: text }),
+        signal: AbortSignal.timeout(smsGateway.timeoutMs)
+      });
+
+      if (!res.ok) {
+        throw new Error(`SMS gateway responded with ${res.status}`);
+      }
+    }
+  };
+};
@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+// Email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+module.exports = function createSmtpChannel({ smtp }) {
+  if (!smtp.host) {
+    throw new Error('The smtp transport needs SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    channels: ['email'],
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from: smtp.from, to, subject, text });
+    }
+  };
+};
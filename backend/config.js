@@ -0,0 +1,145 @@
+const path = require('path');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const MB = 1024 * 1024;
+
+// Runtime configuration. Values come from the environment (.env) with
+// development defaults so the server still starts with no .env at all.
+module.exports = {
+  port: process.env.PORT || 5000,
+
+  storage: {
+    // 'file' keeps JSON files in dataDir, 'mongo' uses MONGODB_URI
+    driver: process.env.STORAGE_DRIVER || 'file',
+    dataDir,
+    mongoUri: process.env.MONGODB_URI
+  },
+
+  auth: {
+    sessionTtlHours: Number(process.env.SESSION_TTL_HOURS) || 8,
+    // Required by POST /api/admins to create staff accounts; unset disables it
+    adminCreationKey: process.env.ADMIN_CREATION_KEY,
+    minPasswordLength: 8
+  },
+
+  applicant: {
+    otpTtlMinutes: Number(process.env.OTP_TTL_MINUTES) || 10,
+    otpMaxAttempts: 5,
+    // Minimum gap between two codes for the same application
+    otpResendSeconds: 60,
+    sessionTtlHours: Number(process.env.APPLICANT_SESSION_TTL_HOURS) || 2
+  },
+
+  delivery: {
+    // Transport per message channel: 'console' prints messages, 'file'
+    // appends them to outboxFile, 'smtp' (email) and 'gateway' (sms) send
+    // them for real. DELIVERY_CHANNEL sets both at once.
+    email: process.env.EMAIL_TRANSPORT || process.env.DELIVERY_CHANNEL || 'console',
+    sms: process.env.SMS_TRANSPORT || process.env.DELIVERY_CHANNEL || 'console',
+    outboxFile: process.env.OUTBOX_FILE || path.join(dataDir, 'outbox.jsonl'),
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'Fire Department <noreply@localhost>'
+    },
+    smsGateway: {
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      sender: process.env.SMS_SENDER_ID || 'FIRENOC',
+      timeoutMs: 10000
+    }
+  },
+
+  notifications: {
+    // Attempts per message before it is marked failed; the wait between
+    // attempts doubles from retryDelaySeconds
+    maxAttempts: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 4,
+    retryDelaySeconds: Number(process.env.NOTIFY_RETRY_DELAY_SECONDS) || 60,
+    defaultLanguage: 'en',
+    // Shared key the inspection service sends to POST /api/notifications.
+    // Unset disables that endpoint.
+    serviceKey: process.env.NOTIFICATIONS_SERVICE_KEY
+  },
+
+  certificate: {
+    // HMAC key for NOC certificate signatures. Set it in production: the
+    // fallback is public, so certificates signed with it prove nothing.
+    secret: process.env.CERTIFICATE_SECRET || 'development-only-certificate-secret',
+    // Years a NOC stays valid, by building type; other types get validityYears
+    validityYears: Number(process.env.NOC_VALIDITY_YEARS) || 1,
+    validityYearsByType: {
+      residential: 5,
+      institutional: 2,
+      mixed: 2,
+      commercial: 1,
+      industrial: 1
+    }
+  },
+
+  expiry: {
+    // Reminders go out this many days before a NOC expires
+    reminderDays: [90, 30, 7],
+    // A renewal can be filed this many days before expiry (or any time after)
+    renewalWindowDays: 90,
+    // Windows offered by the expiry report
+    reportWindows: [30, 60, 90],
+    checkIntervalHours: Number(process.env.EXPIRY_CHECK_INTERVAL_HOURS) || 24
+  },
+
+  sla: {
+    // Days an application may stay in a status before it is overdue, by
+    // building type (`default` for the others). Statuses without a rule have
+    // no deadline: Query Raised waits on the applicant, and decisions are final.
+    rules: {
+      pending: { default: 3 },
+      under_review: { default: 15, residential: 10, industrial: 30, mixed: 21 }
+    },
+    // Overdue applications are escalated to staff with this role
+    escalateTo: process.env.SLA_ESCALATE_TO || 'supervisor',
+    checkIntervalHours: Number(process.env.SLA_CHECK_INTERVAL_HOURS) || 1
+  },
+
+  retention: {
+    // Submitted applications and their documents are kept this many years
+    // from submission; a purge never destroys anything younger
+    keepYears: Number(process.env.RETENTION_YEARS) || 7,
+    // Deleted applications stay restorable in the trash at least this long
+    trashDays: Number(process.env.RETENTION_TRASH_DAYS) || 30
+  },
+
+  uploads: {
+    // Files that fail the malware scan are moved here. Keep it outside
+    // uploadsDir so nothing in it can ever be served.
+    quarantineDir: process.env.QUARANTINE_DIR || path.join(__dirname, 'quarantine'),
+    // 'none', 'clamav', or 'eicar' (flags only the EICAR test file; for testing)
+    scanner: process.env.UPLOAD_SCANNER || 'none',
+    clamav: {
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: Number(process.env.CLAMAV_PORT) || 3310,
+      // Unix socket path; used instead of host/port when set
+      socket: process.env.CLAMAV_SOCKET,
+      timeoutMs: 30000
+    },
+    // Accept documents unscanned when the scanner is down, instead of
+    // refusing the submission
+    failOpen: process.env.UPLOAD_SCAN_FAIL_OPEN === 'true',
+    // Per document field: accepted types (see shared/uploads/fileTypes.js),
+    // size limit and, for PDFs, page limit
+    rules: {
+      buildingPlan: { label: 'Building plan', types: ['pdf'], maxBytes: 10 * MB, maxPages: 50 },
+      propertyDoc: { label: 'Property document', types: ['pdf', 'png', 'jpeg'], maxBytes: 5 * MB, maxPages: 20 },
+      idProof: { label: 'ID proof', types: ['pdf', 'png', 'jpeg'], maxBytes: 5 * MB, maxPages: 5 }
+    }
+  },
+
+  // GeoJSON file of fire stations and their jurisdictions (see
+  // shared/stations); unset uses the sample dataset
+  stationsFile: process.env.STATIONS_FILE,
+
+  // Base URL of this API as seen from outside; used in certificate QR codes
+  publicApiUrl: process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}/api`,
+  uploadsDir: process.env.UPLOADS_DIR || path.join(__dirname, 'uploads')
+};
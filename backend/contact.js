@@ -0,0 +1,33 @@
+const { maskContact } = require('../shared/audit');
+
+// Applicant contact details (the mobile or email given on an application),
+// normalized so '+91 98765 43210' and '9876543210' compare equal.
+
+const MOBILE_DIGITS = 10;
+
+// { channel: 'sms' | 'email', value } or null if it is neither
+function normalizeContact(input) {
+  const raw = String(input || '').trim();
+  if (raw.includes('@')) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw) ? { channel: 'email', value: raw.toLowerCase() } : null;
+  }
+  const digits = raw.replace(/\D/g, '');
+  return digits.length >= MOBILE_DIGITS ? { channel: 'sms', value: digits.slice(-MOBILE_DIGITS) } : null;
+}
+
+// Whether `contact` (normalized) is the application's mobile or email
+function contactMatches(application, contact) {
+  const own = normalizeContact(contact.channel === 'email' ? application.email : application.mobile);
+  return !!own && own.value === contact.value;
+}
+
+// The normalized mobile and email of an application, stored on it as
+// contactKeys so applicants' applications can be found with a storage filter
+// (the stored fields are free text)
+function contactKeys(application) {
+  return [normalizeContact(application.mobile), normalizeContact(application.email)]
+    .filter(Boolean)
+    .map(contact => contact.value);
+}
+
+module.exports = { normalizeContact, contactMatches, contactKeys, maskContact };
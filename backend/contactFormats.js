@@ -0,0 +1,340 @@
+const Contacts = require('../shared/contacts');
+const { csvRow } = require('../shared/exports/csv');
+
+// Reading and writing the emergency contacts directory as CSV (RFC 4180)
+// and vCard (3.0 written; 2.1, 3.0 and 4.0 read). Parsers return
+// { records: [{ row, fields }], error } where `row` is the CSV line or vCard
+// number shown in the import preview and `fields` uses the contact field
+// names; validating the values is left to the caller.
+
+const FIELDS = ['name', 'category', 'role', 'phone', 'backupPhone', 'email', 'address', 'jurisdiction'];
+
+// ---------- CSV ----------
+
+const CSV_COLUMNS = [
+  { field: 'name', header: 'Name' },
+  { field: 'category', header: 'Category' },
+  { field: 'role', header: 'Role' },
+  { field: 'phone', header: 'Phone' },
+  { field: 'backupPhone', header: 'Backup Phone' },
+  { field: 'email', header: 'Email' },
+  { field: 'address', header: 'Address' },
+  { field: 'jurisdiction', header: 'Jurisdiction' }
+];
+
+// Header spellings accepted on import, after lowercasing and dropping
+// everything but letters and digits
+const CSV_HEADER_ALIASES = {
+  name: 'name', fullname: 'name', contactname: 'name',
+  category: 'category', type: 'category',
+  role: 'role', title: 'role', department: 'role',
+  phone: 'phone', primaryphone: 'phone', phone1: 'phone', telephone: 'phone', mobile: 'phone',
+  backupphone: 'backupPhone', phone2: 'backupPhone', secondaryphone: 'backupPhone', alternatephone: 'backupPhone',
+  email: 'email', emailaddress: 'email',
+  address: 'address',
+  jurisdiction: 'jurisdiction', area: 'jurisdiction'
+};
+
+// Split CSV text into rows of fields. Quoted fields may hold commas, line
+// breaks and doubled quotes; CRLF and bare LF both end a row.
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) {
+    return { error: `Line ${rowLine}: a quoted value is never closed` };
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Blank lines carry no contact
+  return { rows: rows.filter(r => r.cells.some(cell => cell.trim() !== '')) };
+}
+
+function parseCsv(text) {
+  const { rows, error } = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (error) return { error };
+  if (!rows.length) return { error: 'The file is empty' };
+
+  const [header, ...body] = rows;
+  const columns = header.cells.map(cell => CSV_HEADER_ALIASES[cell.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+
+  if (!columns.includes('name') || !columns.includes('phone')) {
+    return { error: 'The first row must be a header naming at least the Name and Phone columns' };
+  }
+
+  const records = body.map(({ line, cells }) => {
+    const fields = {};
+    columns.forEach((field, index) => {
+      if (field && fields[field] === undefined) fields[field] = (cells[index] || '').trim();
+    });
+    return { row: line, fields };
+  });
+
+  return { records };
+}
+
+function toCsv(contacts) {
+  const rows = contacts.map(contact => csvRow(CSV_COLUMNS.map(({ field }) =>
+    field === 'category' ? Contacts.label(contact.category) : contact[field]
+  )));
+  // Byte order mark so Excel reads the file as UTF-8
+  return `\uFEFF${csvRow(CSV_COLUMNS.map(column => column.header))}${rows.join('')}`;
+}
+
+// ---------- vCard ----------
+
+function unescapeVcard(value) {
+  return value.replace(/\\([\\,;nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+function escapeVcard(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Split a structured value (N, ADR) on the semicolons that aren't escaped
+function splitStructured(value) {
+  const parts = [''];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      parts[parts.length - 1] += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ';') {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += value[i];
+    }
+  }
+  return parts.map(unescapeVcard);
+}
+
+// vCard 2.1 quoted-printable values (=XX bytes, UTF-8)
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.substr(i + 1, 2))) {
+      bytes.push(parseInt(value.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i]));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// Content lines with folding undone: a line starting with a space or tab
+// continues the previous one, as does the line after a quoted-printable
+// line ending in '='
+function contentLines(text) {
+  const lines = [];
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(line => {
+    const previous = lines[lines.length - 1];
+    if (previous !== undefined && /^[ \t]/.test(line)) {
+      lines[lines.length - 1] = previous + line.slice(1);
+    } else if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+      lines[lines.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  });
+  return lines;
+}
+
+// { name, params: { type: [...], encoding, pref }, value } of one content line
+function parseProperty(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [nameWithGroup, ...rawParams] = line.slice(0, colon).split(';');
+  const params = { type: [] };
+
+  rawParams.forEach(param => {
+    const [key, val] = param.includes('=') ? param.split('=') : ['TYPE', param];
+    const name = key.trim().toLowerCase();
+    const values = val.replace(/"/g, '').toLowerCase().split(',');
+    if (name === 'type') params.type.push(...values);
+    else params[name] = values[0];
+  });
+
+  let value = line.slice(colon + 1);
+  if (params.encoding === 'quoted-printable') value = decodeQuotedPrintable(value);
+
+  return {
+    name: nameWithGroup.replace(/^.*\./, '').toUpperCase(),
+    params,
+    value
+  };
+}
+
+function cardToFields(properties) {
+  const fields = {};
+  const phones = [];
+  const first = name => properties.find(p => p.name === name);
+
+  const fn = first('FN');
+  const n = first('N');
+  if (fn && fn.value.trim()) {
+    fields.name = unescapeVcard(fn.value).trim();
+  } else if (n) {
+    const [family, given] = splitStructured(n.value);
+    fields.name = [given, family].filter(Boolean).join(' ').trim();
+  }
+
+  const title = first('TITLE');
+  const org = first('ORG');
+  if (title) fields.role = unescapeVcard(title.value).trim();
+  else if (org && splitStructured(org.value)[0].trim() !== fields.name) fields.role = splitStructured(org.value)[0].trim();
+
+  properties.filter(p => p.name === 'TEL').forEach(p => {
+    const number = unescapeVcard(p.value).replace(/^tel:/i, '').trim();
+    if (number) phones.push({ number, pref: p.params.type.includes('pref') || p.params.pref !== undefined });
+  });
+  // The preferred number is the primary one; the next is the backup
+  phones.sort((a, b) => b.pref - a.pref);
+  if (phones[0]) fields.phone = phones[0].number;
+  if (phones[1]) fields.backupPhone = phones[1].number;
+
+  const email = first('EMAIL');
+  if (email) fields.email = unescapeVcard(email.value).trim();
+
+  const adr = first('ADR');
+  const label = first('LABEL');
+  if (adr) fields.address = splitStructured(adr.value).map(part => part.trim()).filter(Boolean).join(', ');
+  else if (label) fields.address = unescapeVcard(label.value).replace(/\n/g, ', ').trim();
+
+  const categories = first('CATEGORIES');
+  if (categories) {
+    const values = categories.value.split(/(?<!\\),/).map(unescapeVcard);
+    fields.category = values.find(value => Contacts.normalize(value)) || values[0];
+  }
+
+  const jurisdiction = first('X-JURISDICTION');
+  if (jurisdiction) fields.jurisdiction = unescapeVcard(jurisdiction.value).trim();
+
+  return fields;
+}
+
+function parseVcard(text) {
+  const records = [];
+  let card = null;
+
+  for (const line of contentLines(text)) {
+    if (!line.trim()) continue;
+
+    if (/^BEGIN:VCARD$/i.test(line.trim())) {
+      card = [];
+    } else if (/^END:VCARD$/i.test(line.trim())) {
+      if (card) records.push({ row: records.length + 1, fields: cardToFields(card) });
+      card = null;
+    } else if (card) {
+      const property = parseProperty(line);
+      if (property) card.push(property);
+    }
+  }
+
+  if (card) return { error: `vCard ${records.length + 1} has no END:VCARD` };
+  if (!records.length) return { error: 'No vCards found (expected BEGIN:VCARD ... END:VCARD)' };
+  return { records };
+}
+
+// Fold a content line at 75 octets without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function toVcard(contacts) {
+  return contacts.map(contact => {
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `UID:${contact.contactId}`,
+      `FN:${escapeVcard(contact.name)}`,
+      `N:${escapeVcard(contact.name)};;;;`
+    ];
+
+    if (contact.role) lines.push(`TITLE:${escapeVcard(contact.role)}`);
+    lines.push(`TEL;TYPE=WORK,VOICE,PREF:${escapeVcard(contact.phone)}`);
+    if (contact.backupPhone) lines.push(`TEL;TYPE=WORK,VOICE:${escapeVcard(contact.backupPhone)}`);
+    if (contact.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeVcard(contact.email)}`);
+    if (contact.address) lines.push(`ADR;TYPE=WORK:;;${escapeVcard(contact.address)};;;;`);
+    lines.push(`CATEGORIES:${escapeVcard(Contacts.label(contact.category))}`);
+    if (contact.jurisdiction) lines.push(`X-JURISDICTION:${escapeVcard(contact.jurisdiction)}`);
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n');
+  }).join('\r\n') + '\r\n';
+}
+
+// ---------- Both ----------
+
+const FORMATS = {
+  csv: { parse: parseCsv, serialize: toCsv, contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  vcf: { parse: parseVcard, serialize: toVcard, contentType: 'text/vcard; charset=utf-8', extension: 'vcf' }
+};
+
+// 'csv' or 'vcf' from a ?format= value, a Content-Type or the text itself
+function detectFormat({ format, contentType, text }) {
+  const requested = String(format || '').toLowerCase();
+  if (requested === 'csv') return 'csv';
+  if (requested === 'vcf' || requested === 'vcard') return 'vcf';
+  if (requested) return null;
+
+  if (/vcard|directory/i.test(contentType || '')) return 'vcf';
+  if (/csv/i.test(contentType || '')) return 'csv';
+  return /^\s*(\uFEFF)?BEGIN:VCARD/i.test(text || '') ? 'vcf' : 'csv';
+}
+
+module.exports = { FIELDS, FORMATS, detectFormat, parseCsv, toCsv, parseVcard, toVcard };
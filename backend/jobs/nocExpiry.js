@@ -0,0 +1,75 @@
+const Status = require('../../shared/status');
+const { daysLeft } = require('../certificates');
+const { nocNotification } = require('../notifications');
+
+// Scheduled NOC expiry check: sends a reminder as a NOC passes each of
+// config.expiry.reminderDays, and flags NOCs that have run out (once, with a
+// notification). NOCs with a renewal filed are left alone.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createExpiryJob({ store, config, notifier }) {
+  const { reminderDays, checkIntervalHours } = config.expiry;
+  let timer = null;
+
+  async function run(now = new Date()) {
+    // Archived NOCs are still in force; deleted ones are not followed up
+    const applications = await store.applications.find({ status: Status.CODES.APPROVED, 'removed.state': { $ne: 'deleted' } });
+    let reminded = 0;
+    let expired = 0;
+
+    for (const application of applications) {
+      if (!application.certificate || application.renewedBy) continue;
+
+      const expiry = application.expiry || {};
+      const sent = expiry.remindersSent || [];
+      const left = daysLeft(application.certificate, now);
+      const data = { validUntil: application.certificate.validUntil, daysLeft: Math.max(left, 0) };
+
+      if (left <= 0) {
+        if (expiry.expiredAt) continue;
+        await store.applications.update({ appNo: application.appNo }, {
+          expiry: { remindersSent: sent, expiredAt: now.toISOString() }
+        });
+        notifier.notify('expired', nocNotification(application, data));
+        expired++;
+        continue;
+      }
+
+      // Every threshold passed since the last run, but only one message
+      const due = reminderDays.filter(days => left <= days && !sent.includes(days));
+      if (!due.length) continue;
+
+      await store.applications.update({ appNo: application.appNo }, {
+        expiry: { remindersSent: [...sent, ...due], expiredAt: null }
+      });
+      notifier.notify('expiry_reminder', nocNotification(application, data));
+      reminded++;
+    }
+
+    if (reminded || expired) {
+      console.log(`✅ NOC expiry check: ${reminded} reminder(s) sent, ${expired} NOC(s) expired`);
+    }
+    return { reminded, expired };
+  }
+
+  function runLogged() {
+    return run().catch(error => console.error('Error checking NOC expiry:', error));
+  }
+
+  function start() {
+    if (timer) return;
+    runLogged();
+    timer = setInterval(runLogged, checkIntervalHours * HOUR_MS);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, start, stop };
+}
+
+module.exports = { createExpiryJob };
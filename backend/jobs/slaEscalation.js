@@ -0,0 +1,45 @@
+const Sla = require('../../shared/sla');
+const SlaEscalation = require('../../shared/slaEscalation');
+const { nocNotification } = require('../notifications');
+
+// SLA check for NOC applications (the schedule and loop are in
+// shared/slaEscalation.js): overdue applications are escalated to the
+// config.sla.escalateTo staff by email and on open admin dashboards.
+
+// When the application entered its current status
+function lastStatusChange(application) {
+  const entry = [...(application.statusHistory || [])].reverse().find(h => h.to === application.status);
+  return entry ? entry.at : application.updatedDate || application.submittedDate;
+}
+
+function createSlaJob({ store, config, notifier, publishApplication }) {
+  const { rules, escalateTo, checkIntervalHours } = config.sla;
+
+  // Matching on the status skips applications that moved on meanwhile
+  const unchanged = application => ({ appNo: application.appNo, status: application.status });
+
+  return SlaEscalation.createSlaJob({
+    rules,
+    checkIntervalHours,
+    noun: 'application',
+    findTracked: statuses => store.applications.find({ status: { $in: statuses }, removed: null }),
+    statusSince: lastStatusChange,
+    saveSla: (application, sla) => store.applications.update(unchanged(application), { sla }),
+
+    async escalate(application, sla, now) {
+      const updated = await store.applications.update(unchanged(application), {
+        sla: { ...sla, escalatedAt: now.toISOString(), escalatedTo: escalateTo }
+      });
+      if (!updated) return null;
+
+      notifier.notifyStaff('sla_breached', escalateTo, nocNotification(updated, {
+        days: Sla.daysInStatus(sla, now),
+        dueAt: sla.dueAt
+      }));
+      publishApplication('updated', updated, 'SLA check');
+      return updated;
+    }
+  });
+}
+
+module.exports = { createSlaJob };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const Permissions = require('../../shared/permissions');
+const Retention = require('../../shared/retention');
+const { contactMatches } = require('../contact');
+
+// Bearer-token authentication. Staff tokens come from POST /api/auth/login,
+// applicant tokens from POST /api/applicant/verify (one-time code). Both are
+// opaque random strings; the store only keeps their hash.
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readBearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Use after requireAuth. Refuses the request unless the user's role grants
+// `permission` (see shared/permissions.js).
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!Permissions.can(req.user && req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
+
+// Whether the request's applicant (set by requireApplicant or
+// requireStaffOrApplicant) gave this application's mobile or email.
+// Applications in the trash are no longer anyone's.
+function ownsApplication(req, application) {
+  return !!req.applicant && !Retention.isDeleted(application) && contactMatches(application, req.applicant);
+}
+
+function createAuthMiddleware(store) {
+  async function findLiveSession(collection, token) {
+    if (!token) return null;
+    const session = await collection.findOne({ tokenHash: hashToken(token) });
+    if (!session || session.revokedAt) return null;
+    if (new Date(session.expiresAt) <= new Date()) return null;
+    return session;
+  }
+
+  // Resolve a token to its live session, or null if unknown/expired/revoked
+  const findSession = token => findLiveSession(store.sessions, token);
+  const findApplicantSession = token => findLiveSession(store.applicantSessions, token);
+
+  async function requireAuth(req, res, next) {
+    try {
+      const token = readBearerToken(req);
+      const session = await findSession(token);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required. Please log in again.'
+        });
+      }
+
+      req.session = session;
+      req.user = { username: session.username, role: session.role };
+      next();
+    } catch (error) {
+      console.error('Error checking session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking session'
+      });
+    }
+  }
+
+  // Applicant routes: sets req.applicantSession and req.applicant
+  // ({ channel, value } of the verified contact)
+  async function requireApplicant(req, res, next) {
+    try {
+      const session = await findApplicantSession(readBearerToken(req));
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please verify your mobile number or email again.'
+        });
+      }
+
+      req.applicantSession = session;
+      req.applicant = { channel: session.channel, value: session.contact };
+      next();
+    } catch (error) {
+      console.error('Error checking applicant session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking session'
+      });
+    }
+  }
+
+  // Routes open to staff and to applicants. Sets req.user for staff or
+  // req.applicant for applicants; handlers check ownership with
+  // ownsApplication().
+  async function requireStaffOrApplicant(req, res, next) {
+    try {
+      const token = readBearerToken(req);
+      const session = await findSession(token);
+
+      if (session) {
+        req.session = session;
+        req.user = { username: session.username, role: session.role };
+        return next();
+      }
+
+      const applicantSession = await findApplicantSession(token);
+
+      if (!applicantSession) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required. Please log in again.'
+        });
+      }
+
+      req.applicantSession = applicantSession;
+      req.applicant = { channel: applicantSession.channel, value: applicantSession.contact };
+      next();
+    } catch (error) {
+      console.error('Error checking session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking session'
+      });
+    }
+  }
+
+  return { requireAuth, requireApplicant, requireStaffOrApplicant, findSession };
+}
+
+module.exports = { createAuthMiddleware, requirePermission, ownsApplication, hashToken, readBearerToken };
@@ -0,0 +1,63 @@
+const Status = require('../shared/status');
+const { contactKeys } = require('./contact');
+
+// One-off data fixes run at startup. Each is idempotent, so running them on
+// every boot is safe.
+
+// Rewrite statuses stored as labels or older spellings ('Pending',
+// 'Submitted', 'under review', ...) to the canonical codes, including the
+// from/to of each statusHistory entry
+async function normalizeApplicationStatuses(store) {
+  const toCode = value => (value === null ? null : Status.normalize(value) || value);
+  const applications = await store.applications.find({});
+  let changed = 0;
+
+  for (const application of applications) {
+    const history = application.statusHistory || [];
+    const stale = toCode(application.status) !== application.status ||
+      history.some(h => toCode(h.from) !== h.from || toCode(h.to) !== h.to);
+    if (!stale) continue;
+
+    await store.applications.update(
+      { appNo: application.appNo },
+      {
+        status: toCode(application.status),
+        statusHistory: history.map(h => ({ ...h, from: toCode(h.from), to: toCode(h.to) }))
+      }
+    );
+    changed++;
+  }
+
+  if (changed) console.log(`✅ Normalized status codes on ${changed} application(s)`);
+}
+
+// Store the number part of appNo as seq on applications filed before it
+// was kept, so the lists can order them by application number
+async function backfillApplicationSeq(store) {
+  const applications = await store.applications.find({ seq: null });
+  let changed = 0;
+
+  for (const application of applications) {
+    const digits = String(application.appNo).replace(/\D/g, '');
+    if (!digits) continue;
+
+    await store.applications.update({ appNo: application.appNo }, { seq: Number(digits) });
+    changed++;
+  }
+
+  if (changed) console.log(`✅ Stored the application number sequence on ${changed} application(s)`);
+}
+
+// Store the normalized mobile and email as contactKeys on applications filed
+// before they were kept, so applicants can find them
+async function backfillContactKeys(store) {
+  const applications = await store.applications.find({ contactKeys: null });
+
+  for (const application of applications) {
+    await store.applications.update({ appNo: application.appNo }, { contactKeys: contactKeys(application) });
+  }
+
+  if (applications.length) console.log(`✅ Stored contact keys on ${applications.length} application(s)`);
+}
+
+module.exports = { normalizeApplicationStatuses, backfillApplicationSeq, backfillContactKeys };
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Staff accounts. Same shape and collection as inspectionBackend/create_admin.js,
+// so accounts created with that script can log in here. `password` holds a
+// bcrypt hash, never the plain password.
+const adminSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  password: { type: String, required: true },
+  email: { type: String, trim: true },
+  role: { type: String, default: 'admin' },
+  createdAt: { type: Date, default: Date.now },
+  passwordChangedAt: { type: Date }
+}, {
+  collection: 'admins'
+});
+
+module.exports = mongoose.models.Admin || mongoose.model('Admin', adminSchema);
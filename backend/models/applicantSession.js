@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Sessions of applicants who proved ownership of a mobile number or email
+// with a one-time code. Kept apart from staff sessions so an applicant token
+// can never pass a staff check.
+const applicantSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  channel: { type: String, enum: ['sms', 'email'], required: true },
+  contact: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+}, {
+  collection: 'applicantSessions'
+});
+
+applicantSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.ApplicantSession || mongoose.model('ApplicantSession', applicantSessionSchema);
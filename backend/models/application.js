@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Status = require('../../shared/status');
+const Retention = require('../../shared/retention');
+const { LANGUAGES } = require('../notifications/templates');
+
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  remarks: { type: String, default: '' },
+  actor: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Issued on approval; see certificates.js
+const certificateSchema = new mongoose.Schema({
+  certificateNo: { type: String, required: true },
+  issuedAt: { type: Date, required: true },
+  validFrom: { type: Date, required: true },
+  validUntil: { type: Date, required: true },
+  approvedBy: { type: String, required: true },
+  signature: { type: String, required: true }
+}, { _id: false });
+
+// What the upload pipeline (shared/uploads) found out about a stored document
+const fileMetaSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  filename: { type: String, required: true },
+  originalName: { type: String },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  pages: { type: Number, default: null },
+  sha256: { type: String, required: true },
+  scan: {
+    engine: { type: String },
+    result: { type: String, enum: ['clean', 'skipped'] },
+    at: { type: Date }
+  }
+}, { _id: false });
+
+// Reviewer queries and resubmissions (see shared/queries.js)
+const querySchema = new mongoose.Schema({
+  queryId: { type: String, required: true },
+  target: {
+    type: { type: String, enum: ['document', 'field'], required: true },
+    name: { type: String, required: true }
+  },
+  message: { type: String, required: true },
+  status: { type: String, enum: ['open', 'answered'], default: 'open' },
+  raisedBy: { type: String },
+  raisedAt: { type: Date, default: Date.now },
+  answeredAt: { type: Date, default: null },
+  // Revision that answered it
+  revision: { type: Number, default: null }
+}, { _id: false });
+
+const revisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: String },
+  note: { type: String, default: '' },
+  answered: { type: [String], default: [] },
+  // [{ type: 'field', name, from, to }] and
+  // [{ type: 'document', name, from: { version, filename, ... }, to }]
+  changes: { type: [mongoose.Schema.Types.Mixed], default: [] }
+}, { _id: false });
+
+// A document replaced by a resubmission; the file stays in uploads
+const documentVersionSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  version: { type: Number, required: true },
+  filename: { type: String, required: true },
+  meta: { type: fileMetaSchema, default: null },
+  replacedAt: { type: Date },
+  revision: { type: Number }
+}, { _id: false });
+
+const applicationSchema = new mongoose.Schema({
+  appNo: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Number part of appNo, for ordering by application number (as strings
+  // NOC10000 would sort before NOC9999)
+  seq: { type: Number },
+
+  // Property Details
+  buildingType: { type: String, required: true },
+  propertyName: { type: String, required: true, trim: true },
+  plotNumber: { type: String, required: true, trim: true },
+  address: { type: String, required: true, trim: true },
+  // Optional map pin, and the jurisdiction it falls in; the application
+  // is in that jurisdiction's queue (shared/stations)
+  location: {
+    type: new mongoose.Schema({
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true }
+    }, { _id: false }),
+    default: null
+  },
+  jurisdiction: {
+    type: new mongoose.Schema({
+      id: { type: String, required: true },
+      name: { type: String },
+      stationId: { type: String, default: null },
+      stationName: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
+  builtupArea: { type: Number, required: true },
+  floors: { type: Number, required: true },
+
+  // Applicant Details
+  applicantName: { type: String, required: true, trim: true },
+  mobile: { type: String, required: true, trim: true },
+  email: { type: String, required: true, trim: true },
+  // mobile and email normalized (backend/contact.js), for finding an
+  // applicant's applications
+  contactKeys: { type: [String], default: [] },
+  applicantType: { type: String, required: true },
+  // Language of SMS/email notifications
+  language: { type: String, enum: LANGUAGES, default: 'en' },
+
+  submittedDate: { type: Date, default: Date.now },
+  // Status code from shared/status.js; label and colour are derived from it
+  status: { type: String, enum: Status.NOC_STATUSES, default: Status.CODES.PENDING },
+  remarks: { type: String, default: '' },
+  statusHistory: { type: [statusHistorySchema], default: [] },
+  updatedBy: { type: String },
+  updatedDate: { type: Date },
+  certificate: { type: certificateSchema, default: null },
+
+  // A 'renewal' renews the NOC of application `renewalOf` and reuses its
+  // property details; the original points back at it through `renewedBy`
+  applicationType: { type: String, enum: ['new', 'renewal'], default: 'new' },
+  renewalOf: { type: String, default: null },
+  renewedBy: { type: String, default: null },
+
+  // Due date in the current status, set on every status change, and the
+  // escalation by the SLA job once it is missed (shared/sla.js)
+  sla: {
+    type: new mongoose.Schema({
+      status: { type: String, required: true },
+      since: { type: Date, required: true },
+      dueAt: { type: Date, default: null },
+      escalatedAt: { type: Date, default: null },
+      escalatedTo: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
+
+  // Set while the application is in the trash or the archive, and hidden from
+  // the default lists (shared/retention.js)
+  removed: {
+    type: new mongoose.Schema({
+      state: { type: String, enum: Object.keys(Retention.STATES), required: true },
+      at: { type: Date, required: true },
+      by: { type: String },
+      reason: { type: String, default: '' }
+    }, { _id: false }),
+    default: null
+  },
+
+  // Kept up to date by the expiry job (jobs/nocExpiry.js)
+  expiry: {
+    remindersSent: { type: [Number], default: [] },
+    expiredAt: { type: Date, default: null }
+  },
+
+  // Uploaded file names, relative to the uploads directory
+  files: {
+    buildingPlan: { type: String, default: null },
+    propertyDoc: { type: String, default: null },
+    idProof: { type: String, default: null }
+  },
+  // One entry per file above: real type, size, pages, SHA-256, scan result
+  fileMeta: { type: [fileMetaSchema], default: [] },
+  // Earlier versions of the files above
+  documentVersions: { type: [documentVersionSchema], default: [] },
+
+  queries: { type: [querySchema], default: [] },
+  revisions: { type: [revisionSchema], default: [] }
+}, {
+  collection: 'applications'
+});
+
+applicationSchema.index({ submittedDate: 1 });
+applicationSchema.index({ seq: 1 });
+applicationSchema.index({ contactKeys: 1 });
+applicationSchema.index({ status: 1 });
+applicationSchema.index({ 'sla.dueAt': 1 });
+applicationSchema.index({ 'removed.state': 1 });
+applicationSchema.index({ 'jurisdiction.id': 1 });
+applicationSchema.index({ 'certificate.certificateNo': 1 }, { unique: true, sparse: true });
+applicationSchema.index({ 'certificate.validUntil': 1 });
+applicationSchema.index({ renewalOf: 1 });
+
+module.exports = mongoose.models.Application || mongoose.model('Application', applicationSchema);
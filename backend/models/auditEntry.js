@@ -0,0 +1,5 @@
+const mongoose = require('mongoose');
+const { auditEntryModel } = require('../../shared/audit/model');
+
+// Audit trail of staff actions (schema in shared/audit/model.js)
+module.exports = auditEntryModel(mongoose);
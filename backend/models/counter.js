@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. 'appNo'). `seq` only ever increases.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, required: true }
+}, {
+  collection: 'counters',
+  versionKey: false
+});
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const Contacts = require('../../shared/contacts');
+
+// Emergency contacts directory shown on contactsPage.html
+const emergencyContactSchema = new mongoose.Schema({
+  contactId: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  category: { type: String, enum: Contacts.CATEGORY_LIST, required: true },
+  // Title or department shown under the name ('Government Hospital')
+  role: { type: String, default: '' },
+  phone: { type: String, required: true },
+  backupPhone: { type: String, default: '' },
+  email: { type: String, default: '' },
+  address: { type: String, default: '' },
+  // Area a fire station (or police station) covers, as free text
+  jurisdiction: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  updatedBy: { type: String, default: null }
+}, {
+  collection: 'contacts'
+});
+
+emergencyContactSchema.index({ category: 1, name: 1 });
+
+module.exports = mongoose.models.EmergencyContact || mongoose.model('EmergencyContact', emergencyContactSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Incidents = require('../../shared/incidents');
+
+const incidentHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: String, default: '' },
+  notes: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// SOS calls raised from homePage.html, and their dispatch lifecycle
+// (shared/incidents.js)
+const incidentSchema = new mongoose.Schema({
+  // Generated by the caller's browser (AG-...), so a retried report is
+  // recognised instead of stored twice
+  incidentId: { type: String, required: true, unique: true },
+  status: { type: String, enum: Incidents.STATUSES, default: Incidents.CODES.REPORTED },
+  // Time on the caller's device, and when the report reached the server
+  reportedAt: { type: Date, required: true },
+  receivedAt: { type: Date, default: Date.now },
+  location: {
+    lat: { type: Number, default: null },
+    lng: { type: Number, default: null },
+    accuracy: { type: Number, default: null }
+  },
+  address: { type: String, default: null },
+  // Where the location falls (shared/stations), and the closest station
+  jurisdiction: {
+    type: new mongoose.Schema({
+      id: { type: String, required: true },
+      name: { type: String },
+      stationId: { type: String, default: null },
+      stationName: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
+  nearestStation: {
+    type: new mongoose.Schema({
+      id: { type: String, required: true },
+      name: { type: String },
+      phone: { type: String },
+      distanceKm: { type: Number }
+    }, { _id: false }),
+    default: null
+  },
+
+  // When the incident entered each status
+  timestamps: {
+    reported: { type: Date, default: null },
+    acknowledged: { type: Date, default: null },
+    dispatched: { type: Date, default: null },
+    on_scene: { type: Date, default: null },
+    resolved: { type: Date, default: null }
+  },
+  assignedTo: { type: String, default: null },
+  unit: { type: String, default: null },
+  history: { type: [incidentHistorySchema], default: [] }
+}, {
+  collection: 'incidents'
+});
+
+incidentSchema.index({ status: 1, reportedAt: -1 });
+
+module.exports = mongoose.models.Incident || mongoose.model('Incident', incidentSchema);
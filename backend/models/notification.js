@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Delivery log: one entry per message sent (or being retried) to an applicant
+// about a NOC application or a safety review. See notifications/.
+const notificationSchema = new mongoose.Schema({
+  notificationId: { type: String, required: true, unique: true },
+  // appNo of a NOC application or reviewId of a safety review
+  reference: { type: String, required: true },
+  source: { type: String, enum: ['noc', 'inspection'], required: true },
+  event: { type: String, required: true },
+  language: { type: String, required: true },
+  channel: { type: String, enum: ['sms', 'email'], required: true },
+  to: { type: String, required: true },
+  subject: { type: String, default: '' },
+  text: { type: String, required: true },
+  status: { type: String, enum: ['queued', 'retrying', 'sent', 'failed'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  sentAt: { type: Date, default: null }
+}, {
+  collection: 'notifications'
+});
+
+notificationSchema.index({ reference: 1, createdAt: -1 });
+notificationSchema.index({ status: 1 });
+
+module.exports = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
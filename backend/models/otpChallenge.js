@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One-time codes sent to applicants who want to track their applications.
+// Only a hash of the code is stored.
+const otpChallengeSchema = new mongoose.Schema({
+  challengeId: { type: String, required: true, unique: true },
+  appNo: { type: String, required: true },
+  channel: { type: String, enum: ['sms', 'email'], required: true },
+  destination: { type: String, required: true },
+  // null when the contact did not match the application (no code was sent)
+  codeHash: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date, default: null }
+}, {
+  collection: 'otpChallenges'
+});
+
+otpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+otpChallengeSchema.index({ appNo: 1, destination: 1, createdAt: -1 });
+
+module.exports = mongoose.models.OtpChallenge || mongoose.model('OtpChallenge', otpChallengeSchema);
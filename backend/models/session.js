@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Login sessions. Only a SHA-256 hash of the bearer token is stored.
+const sessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  username: { type: String, required: true },
+  role: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+}, {
+  collection: 'sessions'
+});
+
+// MongoDB drops sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ username: 1 });
+
+module.exports = mongoose.models.Session || mongoose.model('Session', sessionSchema);
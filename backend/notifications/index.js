@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { normalizeContact } = require('../contact');
+const { renderMessage, isKnownLanguage } = require('./templates');
+
+// Applicant notifications, and SLA escalations for staff (notifyStaff).
+// notify() renders the event's template, logs one entry per destination
+// (mobile and/or email) in store.notifications and tries to deliver it
+// straight away; failures are retried in the background with a doubling
+// delay until config.notifications.maxAttempts is reached.
+
+const RETRY_CHECK_MS = 15 * 1000;
+
+function createNotifier({ store, channel, config }) {
+  const settings = config.notifications;
+  let timer = null;
+  let retrying = false;
+
+  // One delivery attempt; records the outcome on the log entry
+  async function attempt(entry) {
+    const attempts = entry.attempts + 1;
+
+    try {
+      await channel.send({ channel: entry.channel, to: entry.to, subject: entry.subject, text: entry.text });
+      return store.notifications.update({ notificationId: entry.notificationId }, {
+        status: 'sent',
+        attempts,
+        lastError: null,
+        nextAttemptAt: null,
+        sentAt: new Date().toISOString()
+      });
+    } catch (error) {
+      const failed = attempts >= settings.maxAttempts;
+      const delayMs = settings.retryDelaySeconds * 1000 * 2 ** (attempts - 1);
+      console.error(`❌ ${entry.channel} notification ${entry.notificationId} (${entry.reference}) attempt ${attempts} failed:`, error.message);
+
+      return store.notifications.update({ notificationId: entry.notificationId }, {
+        status: failed ? 'failed' : 'retrying',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: failed ? null : new Date(Date.now() + delayMs).toISOString()
+      });
+    }
+  }
+
+  // Never rejects: a notification that can't be sent must not fail the
+  // request that triggered it, so callers don't need to await it
+  async function notify(event, { reference, source, language, recipient, data = {} }) {
+    try {
+      const lang = isKnownLanguage(language) ? language : settings.defaultLanguage;
+      const message = renderMessage(event, lang, { ...data, reference, source, name: recipient.name });
+      const destinations = [normalizeContact(recipient.mobile), normalizeContact(recipient.email)]
+        .filter(contact => contact);
+
+      const entries = [];
+      for (const contact of destinations) {
+        entries.push(await store.notifications.insert({
+          notificationId: crypto.randomUUID(),
+          reference,
+          source,
+          event,
+          language: lang,
+          channel: contact.channel,
+          to: contact.value,
+          subject: message.subject,
+          text: message.text,
+          status: 'queued',
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: null,
+          createdAt: new Date().toISOString(),
+          sentAt: null
+        }));
+      }
+
+      await Promise.all(entries.map(attempt));
+    } catch (error) {
+      console.error(`Error sending ${event} notification for ${reference}:`, error);
+    }
+  }
+
+  // Send a STAFF_EVENTS message to every staff account with `role` that has
+  // an email address. Resolves to the usernames messaged; never rejects.
+  async function notifyStaff(event, role, options) {
+    try {
+      const staff = (await store.admins.find({ role })).filter(admin => admin.email);
+      for (const admin of staff) {
+        await notify(event, {
+          ...options,
+          language: settings.defaultLanguage,
+          recipient: { name: admin.username, email: admin.email }
+        });
+      }
+      return staff.map(admin => admin.username);
+    } catch (error) {
+      console.error(`Error sending ${event} notification for ${options.reference} to ${role} staff:`, error);
+      return [];
+    }
+  }
+
+  // Retry every message whose next attempt is due
+  async function retryDue() {
+    if (retrying) return;
+    retrying = true;
+    try {
+      const now = new Date();
+      const waiting = await store.notifications.find({ status: 'retrying' });
+      for (const entry of waiting.filter(e => new Date(e.nextAttemptAt) <= now)) {
+        await attempt(entry);
+      }
+    } finally {
+      retrying = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      retryDue().catch(error => console.error('Error retrying notifications:', error));
+    }, RETRY_CHECK_MS);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { notify, notifyStaff, retryDue, start, stop };
+}
+
+// notify() options for a message about a NOC application
+function nocNotification(application, data = {}) {
+  return {
+    reference: application.appNo,
+    source: 'noc',
+    language: application.language,
+    recipient: { name: application.applicantName, mobile: application.mobile, email: application.email },
+    data: { property: application.propertyName, status: application.status, remarks: application.remarks, ...data }
+  };
+}
+
+module.exports = { createNotifier, nocNotification };
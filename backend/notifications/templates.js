@@ -0,0 +1,140 @@
+const Status = require('../../shared/status');
+
+// Message templates per language and event. Each template gets
+// { kind, reference, name, property, status, remarks } (kind and status
+// already in the message's language; the expiry events also get validUntil
+// and daysLeft) and returns { subject, text }; SMS uses the text only, so it
+// has to make sense on its own. STAFF_EVENTS go to staff instead of the
+// applicant; sla_breached also gets days (in the status) and dueAt.
+
+const EVENTS = ['submitted', 'status_changed', 'query_raised', 'approved', 'expiry_reminder', 'expired', 'sla_breached'];
+const STAFF_EVENTS = ['sla_breached'];
+
+const formatDate = (value, locale) => new Date(value).toLocaleDateString(locale, { day: '2-digit', month: 'short', year: 'numeric' });
+
+// ' Remarks: ...' ending in a full stop, or '' when there are none
+const remarksLine = (label, remarks) => {
+  if (!remarks) return '';
+  const text = String(remarks).trim();
+  return ` ${label}: ${/[.!?।]$/.test(text) ? text : `${text}.`}`;
+};
+
+const LANGUAGES = {
+  en: {
+    kinds: { noc: 'Fire NOC application', inspection: 'fire safety review' },
+    statusLabel: Status.label,
+    templates: {
+      submitted: d => ({
+        subject: `${d.reference}: ${d.kind} received`,
+        text: `Dear ${d.name}, your ${d.kind} ${d.reference} for ${d.property} has been received. ` +
+          'We will let you know when its status changes.'
+      }),
+      status_changed: d => ({
+        subject: `${d.reference}: status changed to ${d.status}`,
+        text: `Dear ${d.name}, the status of your ${d.kind} ${d.reference} is now "${d.status}".` +
+          remarksLine('Remarks', d.remarks)
+      }),
+      query_raised: d => ({
+        subject: `${d.reference}: more information needed`,
+        text: `Dear ${d.name}, the Fire Department has a query on your ${d.kind} ${d.reference}.` +
+          remarksLine('Query', d.remarks) + ' Please respond so we can continue processing it.'
+      }),
+      approved: d => ({
+        subject: `${d.reference}: approved`,
+        text: `Dear ${d.name}, your ${d.kind} ${d.reference} for ${d.property} has been approved.` +
+          (d.source === 'noc' ? ' You can download the NOC certificate from the NOC page.' : '')
+      }),
+      expiry_reminder: d => ({
+        subject: `${d.reference}: NOC expires in ${d.daysLeft} days`,
+        text: `Dear ${d.name}, the fire NOC for ${d.property} (${d.reference}) expires on ${formatDate(d.validUntil, 'en-IN')}. ` +
+          'Please apply for renewal from the NOC page to stay covered.'
+      }),
+      expired: d => ({
+        subject: `${d.reference}: NOC expired`,
+        text: `Dear ${d.name}, the fire NOC for ${d.property} (${d.reference}) expired on ${formatDate(d.validUntil, 'en-IN')}. ` +
+          'Please apply for renewal from the NOC page.'
+      }),
+      sla_breached: d => ({
+        subject: `${d.reference}: overdue in ${d.status}`,
+        text: `Dear ${d.name}, ${d.kind} ${d.reference} for ${d.property} has been "${d.status}" for ${d.days} days ` +
+          `and was due by ${formatDate(d.dueAt, 'en-IN')}. It has been escalated to you for follow-up.`
+      })
+    }
+  },
+
+  hi: {
+    kinds: { noc: 'फायर एनओसी आवेदन', inspection: 'अग्नि सुरक्षा समीक्षा' },
+    statusLabel: code => ({
+      pending: 'लंबित',
+      under_review: 'समीक्षाधीन',
+      query_raised: 'प्रश्न उठाया गया',
+      approved: 'स्वीकृत',
+      rejected: 'अस्वीकृत'
+    })[code] || Status.label(code),
+    templates: {
+      submitted: d => ({
+        subject: `${d.reference}: प्राप्ति की पुष्टि`,
+        text: `प्रिय ${d.name}, ${d.property} के लिए ${d.kind} ${d.reference} की प्राप्ति दर्ज कर ली गई है। ` +
+          'स्थिति बदलने पर हम आपको सूचित करेंगे।'
+      }),
+      status_changed: d => ({
+        subject: `${d.reference}: स्थिति अब "${d.status}" है`,
+        text: `प्रिय ${d.name}, ${d.kind} ${d.reference} की स्थिति अब "${d.status}" है।` +
+          remarksLine('टिप्पणी', d.remarks)
+      }),
+      query_raised: d => ({
+        subject: `${d.reference}: अतिरिक्त जानकारी आवश्यक`,
+        text: `प्रिय ${d.name}, अग्निशमन विभाग ने ${d.kind} ${d.reference} पर एक प्रश्न उठाया है।` +
+          remarksLine('प्रश्न', d.remarks) + ' कृपया उत्तर दें ताकि प्रक्रिया आगे बढ़ सके।'
+      }),
+      approved: d => ({
+        subject: `${d.reference}: स्वीकृत`,
+        text: `प्रिय ${d.name}, ${d.property} के लिए ${d.kind} ${d.reference} को स्वीकृति दे दी गई है।` +
+          (d.source === 'noc' ? ' आप एनओसी प्रमाणपत्र एनओसी पेज से डाउनलोड कर सकते हैं।' : '')
+      }),
+      expiry_reminder: d => ({
+        subject: `${d.reference}: एनओसी ${d.daysLeft} दिनों में समाप्त`,
+        text: `प्रिय ${d.name}, ${d.property} (${d.reference}) की फायर एनओसी ${formatDate(d.validUntil, 'hi-IN')} को समाप्त हो रही है। ` +
+          'कृपया एनओसी पेज से नवीनीकरण के लिए आवेदन करें।'
+      }),
+      expired: d => ({
+        subject: `${d.reference}: एनओसी समाप्त`,
+        text: `प्रिय ${d.name}, ${d.property} (${d.reference}) की फायर एनओसी ${formatDate(d.validUntil, 'hi-IN')} को समाप्त हो गई है। ` +
+          'कृपया एनओसी पेज से नवीनीकरण के लिए आवेदन करें।'
+      }),
+      sla_breached: d => ({
+        subject: `${d.reference}: "${d.status}" में समय सीमा पार`,
+        text: `प्रिय ${d.name}, ${d.property} के लिए ${d.kind} ${d.reference} ${d.days} दिनों से "${d.status}" है ` +
+          `और ${formatDate(d.dueAt, 'hi-IN')} तक पूरा होना था। आगे की कार्रवाई के लिए इसे आपको भेजा गया है।`
+      })
+    }
+  }
+};
+
+const isKnownLanguage = language => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+// { subject, text } for an event; `data.status` is a status code
+function renderMessage(event, language, data) {
+  const lang = LANGUAGES[language];
+  return lang.templates[event]({
+    ...data,
+    kind: lang.kinds[data.source],
+    status: data.status && lang.statusLabel(data.status)
+  });
+}
+
+// Which event a move into `status` announces
+function eventForStatus(status) {
+  if (status === Status.CODES.APPROVED) return 'approved';
+  if (status === Status.CODES.QUERY_RAISED) return 'query_raised';
+  return 'status_changed';
+}
+
+module.exports = {
+  EVENTS,
+  STAFF_EVENTS,
+  LANGUAGES: Object.keys(LANGUAGES),
+  isKnownLanguage,
+  renderMessage,
+  eventForStatus
+};
@@ -0,0 +1,73 @@
+const express = require('express');
+const Analytics = require('../../shared/analytics');
+
+const GROUP_BY = ['buildingType', 'applicantType'];
+
+// When an application was approved or rejected: the last move into its
+// current status, or its last update for records from before statusHistory
+function decidedAt(application) {
+  if (!Analytics.DECISIONS.includes(application.status)) return null;
+  const entry = [...(application.statusHistory || [])].reverse().find(h => h.to === application.status);
+  return new Date(entry ? entry.at : application.updatedDate || application.submittedDate);
+}
+
+// An application in the shape shared/analytics.js works on
+function analyticsRecord(application) {
+  return {
+    submittedAt: new Date(application.submittedDate),
+    decidedAt: decidedAt(application),
+    status: application.status,
+    groups: {
+      buildingType: application.buildingType,
+      applicantType: application.applicantType
+    }
+  };
+}
+
+module.exports = function analyticsRoutes({ store, requireAuth }) {
+  const router = express.Router();
+
+  // ============================================================
+  // GET: Processing figures for applications submitted between
+  // ?from= and ?to= (YYYY-MM-DD; the last 90 days by default),
+  // and the current backlog
+  // ============================================================
+  router.get('/analytics', requireAuth, async (req, res) => {
+    try {
+      const range = Analytics.parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      // Deleted applications don't count; archived ones do
+      const [applications, open] = await Promise.all([
+        store.applications.find({
+          submittedDate: { $gte: range.from.toISOString(), $lte: range.to.toISOString() },
+          'removed.state': { $ne: 'deleted' }
+        }),
+        store.applications.find({ status: { $in: Analytics.OPEN_STATUSES }, removed: null })
+      ]);
+
+      res.json({
+        success: true,
+        data: Analytics.summarize({
+          records: applications.map(analyticsRecord),
+          openRecords: open.map(analyticsRecord),
+          range,
+          groupBy: GROUP_BY
+        })
+      });
+    } catch (error) {
+      console.error('Error computing analytics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error computing analytics'
+      });
+    }
+  });
+
+  return router;
+};
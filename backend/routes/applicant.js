@@ -0,0 +1,245 @@
+const express = require('express');
+const crypto = require('crypto');
+const Status = require('../../shared/status');
+const Retention = require('../../shared/retention');
+const { hashToken } = require('../middleware/auth');
+const { normalizeContact, contactMatches, maskContact } = require('../contact');
+
+const CODE_DIGITS = 6;
+
+// Codes are short, so the hash is salted with the challenge id to keep one
+// leaked hash from giving away every other challenge with the same code
+function hashCode(challengeId, code) {
+  return crypto.createHash('sha256').update(`${challengeId}:${code}`).digest('hex');
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+}
+
+const OTP_SENT_MESSAGE = 'If the details match an application, a verification code has been sent.';
+
+module.exports = function applicantRoutes({ store, config, channel, requireApplicant }) {
+  const router = express.Router();
+  const settings = config.applicant;
+
+  // ============================================================
+  // POST: Send a one-time code to the mobile/email on an application
+  // ============================================================
+  router.post('/applicant/otp', async (req, res) => {
+    try {
+      const appNo = String(req.body.appNo || '').trim().toUpperCase();
+      const contact = normalizeContact(req.body.contact);
+
+      if (!appNo || !contact) {
+        return res.status(400).json({
+          success: false,
+          message: 'Application number and a valid mobile number or email are required'
+        });
+      }
+
+      // Requests are throttled per application and contact whether or not the
+      // two match, so neither the wait nor the answer tells which mobile
+      // numbers belong to which application
+      const [latest] = await store.otpChallenges.find(
+        { appNo, destination: contact.value },
+        { sort: { createdAt: -1 }, limit: 1 }
+      );
+      const waitSeconds = latest
+        ? Math.ceil(settings.otpResendSeconds - (Date.now() - new Date(latest.createdAt)) / 1000)
+        : 0;
+
+      if (waitSeconds > 0) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${waitSeconds} seconds before requesting another code`
+        });
+      }
+
+      const challengeId = crypto.randomBytes(16).toString('hex');
+      const application = await store.applications.findOne({ appNo });
+      const matched = !!application && !Retention.isDeleted(application) && contactMatches(application, contact);
+      const code = generateCode();
+      const now = new Date();
+
+      // A challenge is stored either way; without a code hash no code ever
+      // verifies it, but it answers like a real one
+      await store.otpChallenges.insert({
+        challengeId,
+        appNo,
+        channel: contact.channel,
+        destination: contact.value,
+        codeHash: matched ? hashCode(challengeId, code) : null,
+        attempts: 0,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + settings.otpTtlMinutes * 60 * 1000).toISOString(),
+        consumedAt: null
+      });
+
+      if (matched) {
+        await channel.send({
+          channel: contact.channel,
+          to: contact.value,
+          subject: 'Fire NOC application tracking',
+          text: `Your verification code for application ${appNo} is ${code}. It expires in ${settings.otpTtlMinutes} minutes.`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: OTP_SENT_MESSAGE,
+        data: { challengeId, sentTo: maskContact(contact.value) }
+      });
+    } catch (error) {
+      console.error('Error sending verification code:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error sending verification code'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Check a one-time code and start an applicant session
+  // ============================================================
+  router.post('/applicant/verify', async (req, res) => {
+    try {
+      const { challengeId, code } = req.body;
+
+      if (!challengeId || !code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification code is required'
+        });
+      }
+
+      // Every try uses up an attempt before the code is compared, and only
+      // while the challenge is open, so parallel guesses can't get past
+      // otpMaxAttempts
+      const open = {
+        challengeId: String(challengeId),
+        consumedAt: null,
+        expiresAt: { $gt: new Date().toISOString() },
+        attempts: { $lt: settings.otpMaxAttempts }
+      };
+      const challenge = await store.otpChallenges.increment(open, { attempts: 1 });
+
+      if (!challenge) {
+        return res.status(401).json({
+          success: false,
+          message: 'This code has expired. Please request a new one.'
+        });
+      }
+
+      if (hashCode(challenge.challengeId, String(code).trim()) !== challenge.codeHash) {
+        return res.status(401).json({
+          success: false,
+          message: 'Incorrect verification code'
+        });
+      }
+
+      // Only the request that consumes the challenge gets a session
+      const consumed = await store.otpChallenges.update(
+        { challengeId: challenge.challengeId, consumedAt: null },
+        { consumedAt: new Date().toISOString() }
+      );
+
+      if (!consumed) {
+        return res.status(401).json({
+          success: false,
+          message: 'This code has expired. Please request a new one.'
+        });
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + settings.sessionTtlHours * 60 * 60 * 1000);
+
+      await store.applicantSessions.insert({
+        tokenHash: hashToken(token),
+        channel: challenge.channel,
+        contact: challenge.destination,
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        revokedAt: null
+      });
+
+      res.json({
+        success: true,
+        message: 'Verified successfully',
+        data: {
+          token,
+          expiresAt: expiresAt.toISOString(),
+          contact: maskContact(challenge.destination)
+        }
+      });
+    } catch (error) {
+      console.error('Error verifying code:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying code'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: The verified mobile/email of this session. The inspection
+  // service uses it to let owners open their own documents.
+  // ============================================================
+  router.get('/applicant/me', requireApplicant, (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        applicant: req.applicant,
+        expiresAt: req.applicantSession.expiresAt
+      }
+    });
+  });
+
+  // ============================================================
+  // GET: Applications filed with the verified mobile/email
+  // ============================================================
+  router.get('/applicant/applications', requireApplicant, async (req, res) => {
+    try {
+      const applications = await store.applications.find(
+        { contactKeys: req.applicant.value, 'removed.state': { $ne: 'deleted' } },
+        { sort: { submittedDate: 1, seq: 1 } }
+      );
+
+      res.json({
+        success: true,
+        data: applications.map(Status.decorate)
+      });
+    } catch (error) {
+      console.error('Error fetching applicant applications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching applications'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: End the applicant session
+  // ============================================================
+  router.post('/applicant/logout', requireApplicant, async (req, res) => {
+    try {
+      await store.applicantSessions.update(
+        { tokenHash: req.applicantSession.tokenHash },
+        { revokedAt: new Date().toISOString() }
+      );
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('Error logging out applicant:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error logging out'
+      });
+    }
+  });
+
+  return router;
+};
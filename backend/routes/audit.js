@@ -0,0 +1,71 @@
+const express = require('express');
+const Audit = require('../../shared/audit');
+const ListQuery = require('../../shared/listQuery');
+const Permissions = require('../../shared/permissions');
+const { requirePermission } = require('../middleware/auth');
+
+module.exports = function auditRoutes({ store, audit, requireAuth }) {
+  const router = express.Router();
+  const canView = requirePermission(Permissions.PERMISSIONS.AUDIT_VIEW);
+
+  // ============================================================
+  // GET: Audit log, newest first. ?actor= (username), ?record=
+  // (appNo, incident or contact ID), ?action=, ?from=&to=, ?q=,
+  // page and limit as for the application list
+  // ============================================================
+  router.get('/audit', requireAuth, canView, async (req, res) => {
+    try {
+      const list = Audit.listQuery(req.query);
+
+      if (list.error) {
+        return res.status(400).json({
+          success: false,
+          message: list.error
+        });
+      }
+
+      const [entries, total] = await Promise.all([
+        store.auditLog.find(list.filter, { sort: list.sort, skip: list.skip, limit: list.limit }),
+        store.auditLog.count(list.filter)
+      ]);
+      res.json({
+        success: true,
+        data: entries.map(Audit.present),
+        pagination: ListQuery.pagination(list, total),
+        // Action names and labels, for the admin page's filter
+        actions: Audit.ACTIONS
+      });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching audit log'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Check the hash chain of the whole log
+  // ============================================================
+  router.get('/audit/verify', requireAuth, canView, async (req, res) => {
+    try {
+      const result = await audit.verify();
+
+      if (!result.valid) {
+        console.error(`❌ Audit log chain broken at entry ${result.brokenAt}: ${result.problem}`);
+      }
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying audit log'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,253 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const Permissions = require('../../shared/permissions');
+const { hashToken } = require('../middleware/auth');
+
+const BCRYPT_ROUNDS = 10;
+
+// Compared against when the username is unknown, so failed logins take the
+// same time whether or not the account exists
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+function publicUser(admin) {
+  return { username: admin.username, role: admin.role };
+}
+
+module.exports = function authRoutes({ store, requireAuth, config, audit }) {
+  const router = express.Router();
+
+  // ============================================================
+  // POST: Log in and start a session
+  // ============================================================
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username and password are required'
+        });
+      }
+
+      const admin = await store.admins.findOne({ username: String(username).trim() });
+      const valid = await bcrypt.compare(String(password), admin ? admin.password : DUMMY_HASH);
+
+      if (!admin || !valid) {
+        await audit.record(req, 'login_failed', {
+          actor: { type: 'staff', username: String(username).trim(), role: admin ? admin.role : null },
+          record: { type: 'account', id: String(username).trim() }
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid username or password'
+        });
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000);
+
+      await store.sessions.insert({
+        tokenHash: hashToken(token),
+        username: admin.username,
+        role: admin.role,
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        revokedAt: null
+      });
+
+      console.log(`✅ ${admin.username} logged in`);
+      await audit.record(req, 'login', {
+        actor: { type: 'staff', ...publicUser(admin) },
+        record: { type: 'account', id: admin.username }
+      });
+
+      res.json({
+        success: true,
+        message: 'Logged in successfully',
+        data: {
+          token,
+          expiresAt: expiresAt.toISOString(),
+          user: publicUser(admin)
+        }
+      });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error logging in'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Log out (revoke the current session)
+  // ============================================================
+  router.post('/auth/logout', requireAuth, async (req, res) => {
+    try {
+      await store.sessions.update(
+        { tokenHash: req.session.tokenHash },
+        { revokedAt: new Date().toISOString() }
+      );
+      await audit.record(req, 'logout', { record: { type: 'account', id: req.user.username } });
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error logging out'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Current user (also used by the inspection service to
+  // validate tokens)
+  // ============================================================
+  router.get('/auth/me', requireAuth, (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        user: req.user,
+        expiresAt: req.session.expiresAt
+      }
+    });
+  });
+
+  // ============================================================
+  // PUT: Change own password. Other sessions of the same user
+  // are revoked; the current one stays valid.
+  // ============================================================
+  router.put('/auth/password', requireAuth, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const minLength = config.auth.minPasswordLength;
+
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current and new password are required'
+        });
+      }
+
+      if (String(newPassword).length < minLength) {
+        return res.status(400).json({
+          success: false,
+          message: `New password must be at least ${minLength} characters`
+        });
+      }
+
+      const admin = await store.admins.findOne({ username: req.user.username });
+
+      if (!admin || !(await bcrypt.compare(String(currentPassword), admin.password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      const now = new Date().toISOString();
+
+      await store.admins.update(
+        { username: admin.username },
+        { password: await bcrypt.hash(String(newPassword), BCRYPT_ROUNDS), passwordChangedAt: now }
+      );
+      await store.sessions.updateMany(
+        { username: admin.username, revokedAt: null, tokenHash: { $ne: req.session.tokenHash } },
+        { revokedAt: now }
+      );
+
+      console.log(`✅ ${admin.username} changed their password`);
+      await audit.record(req, 'password_changed', { record: { type: 'account', id: admin.username } });
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully'
+      });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error changing password'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Create a staff account. Guarded by the x-admin-key
+  // header, which must match ADMIN_CREATION_KEY.
+  // ============================================================
+  router.post('/admins', async (req, res) => {
+    try {
+      const key = req.headers['x-admin-key'];
+      const expected = config.auth.adminCreationKey;
+
+      if (!expected || !key || key.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(key), Buffer.from(expected))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account creation is not allowed'
+        });
+      }
+
+      const { username, password, email, role } = req.body;
+      const minLength = config.auth.minPasswordLength;
+
+      if (!username || !password || String(password).length < minLength) {
+        return res.status(400).json({
+          success: false,
+          message: `Username and a password of at least ${minLength} characters are required`
+        });
+      }
+
+      if (role && !Permissions.isKnownRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown role. Must be one of: ${Object.keys(Permissions.ROLES).join(', ')}`
+        });
+      }
+
+      if (await store.admins.findOne({ username: String(username).trim() })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Username already exists'
+        });
+      }
+
+      const admin = await store.admins.insert({
+        username: String(username).trim(),
+        password: await bcrypt.hash(String(password), BCRYPT_ROUNDS),
+        email: email || '',
+        role: role || 'admin',
+        createdAt: new Date().toISOString()
+      });
+
+      console.log(`✅ Staff account created: ${admin.username}`);
+      // Made with the creation key rather than a staff login
+      await audit.record(req, 'account_created', {
+        actor: { type: 'admin_key', username: null },
+        record: { type: 'account', id: admin.username },
+        details: { role: admin.role }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Account created successfully',
+        data: publicUser(admin)
+      });
+    } catch (error) {
+      console.error('Error creating account:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating account'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,196 @@
+const express = require('express');
+const Status = require('../../shared/status');
+const { createCertificate, checkCertificate, daysLeft, renderCertificatePdf } = require('../certificates');
+const { ownsApplication } = require('../middleware/auth');
+
+const VERDICTS = {
+  valid: { title: 'Valid certificate', color: '#16a34a' },
+  expired: { title: 'Certificate expired', color: '#d97706' },
+  revoked: { title: 'Certificate revoked', color: '#dc2626' },
+  invalid: { title: 'Certificate not valid', color: '#dc2626' }
+};
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Page shown when the QR code is scanned with a phone (browsers ask for HTML)
+function verificationPage(result) {
+  const verdict = VERDICTS[result.status];
+  const rows = ['invalid', 'revoked'].includes(result.status) ? [] : [
+    ['Certificate No', result.certificateNo],
+    ['Application No', result.appNo],
+    ['Property', result.propertyName],
+    ['Address', result.address],
+    ['Valid From', new Date(result.validFrom).toLocaleDateString('en-IN')],
+    ['Valid Until', new Date(result.validUntil).toLocaleDateString('en-IN')],
+    ['Approved By', result.approvedBy]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${verdict.title}</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px;">
+  <h1 style="color: ${verdict.color};">${verdict.title}</h1>
+  <table style="width: 100%; border-collapse: collapse;">
+    ${rows.map(([label, value]) => `<tr><th style="text-align: left; padding: 6px 0;">${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+  ${result.status === 'invalid' ? '<p>This certificate does not match the Fire Department\'s records.</p>' : ''}
+  ${result.status === 'revoked' ? '<p>The Fire Department has withdrawn this certificate.</p>' : ''}
+</body>
+</html>`;
+}
+
+module.exports = function certificateRoutes({ store, config, requireAuth, requireStaffOrApplicant, audit }) {
+  const router = express.Router();
+
+  // ============================================================
+  // GET: Download the NOC certificate PDF (staff or the applicant)
+  // ============================================================
+  router.get('/applications/:appNo/certificate', requireStaffOrApplicant, async (req, res) => {
+    try {
+      let application = await store.applications.findOne({ appNo: req.params.appNo });
+
+      if (!application || (req.applicant && !ownsApplication(req, application))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      if (application.status !== Status.CODES.APPROVED) {
+        return res.status(409).json({
+          success: false,
+          message: 'A certificate is only available once the application is approved'
+        });
+      }
+
+      // Applications approved before certificates existed get one on first download
+      if (!application.certificate) {
+        const certificate = await createCertificate(store, config, application, application.updatedBy || 'Fire Department');
+        application = await store.applications.update({ appNo: application.appNo }, { certificate });
+      }
+
+      await audit.record(req, 'document_downloaded', {
+        record: { type: 'application', id: application.appNo },
+        details: { document: 'certificate', certificateNo: application.certificate.certificateNo }
+      });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="NOC-${application.appNo}.pdf"`);
+      await renderCertificatePdf(application, config, res);
+    } catch (error) {
+      console.error('Error generating certificate:', error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        success: false,
+        message: 'Error generating certificate'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Expiry report - NOCs expiring within ?within=30|60|90 days,
+  // or ?within=expired for those that already have
+  // ============================================================
+  router.get('/certificates/expiring', requireAuth, async (req, res) => {
+    try {
+      const windows = config.expiry.reportWindows;
+      const within = req.query.within || String(windows[0]);
+
+      if (within !== 'expired' && !windows.includes(Number(within))) {
+        return res.status(400).json({
+          success: false,
+          message: `within must be one of: ${windows.join(', ')}, expired`
+        });
+      }
+
+      const now = new Date();
+      const certified = (await store.applications.find({ status: Status.CODES.APPROVED, 'removed.state': { $ne: 'deleted' } }))
+        .filter(application => application.certificate)
+        .map(application => ({ application, left: daysLeft(application.certificate, now) }));
+
+      const summary = { expired: certified.filter(c => c.left <= 0).length };
+      windows.forEach(days => {
+        summary[days] = certified.filter(c => c.left > 0 && c.left <= days).length;
+      });
+
+      const inWindow = within === 'expired'
+        ? c => c.left <= 0
+        : c => c.left > 0 && c.left <= Number(within);
+
+      const data = certified
+        .filter(inWindow)
+        .sort((a, b) => a.left - b.left)
+        .map(({ application, left }) => ({
+          appNo: application.appNo,
+          propertyName: application.propertyName,
+          buildingType: application.buildingType,
+          applicantName: application.applicantName,
+          mobile: application.mobile,
+          certificateNo: application.certificate.certificateNo,
+          validUntil: application.certificate.validUntil,
+          daysLeft: left,
+          remindersSent: (application.expiry && application.expiry.remindersSent) || [],
+          renewedBy: application.renewedBy || null
+        }));
+
+      await audit.record(req, 'listed', {
+        record: { type: 'application', id: null },
+        details: { view: 'certificate_expiry', filters: { within }, shown: data.length }
+      });
+      res.json({
+        success: true,
+        data,
+        summary
+      });
+    } catch (error) {
+      console.error('Error building expiry report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error building expiry report'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Public certificate verification (target of the QR code)
+  // ============================================================
+  router.get('/certificates/verify/:certificateNo', async (req, res) => {
+    try {
+      const application = await store.applications.findOne({ 'certificate.certificateNo': req.params.certificateNo });
+      const status = application
+        ? checkCertificate(application, { secret: config.certificate.secret, signature: req.query.sig })
+        : 'invalid';
+
+      // Only a valid or expired certificate presented with its signature
+      // shows the property's details
+      const result = status === 'invalid' || status === 'revoked'
+        ? { certificateNo: req.params.certificateNo, status }
+        : {
+            certificateNo: application.certificate.certificateNo,
+            status,
+            appNo: application.appNo,
+            propertyName: application.propertyName,
+            address: application.address,
+            validFrom: application.certificate.validFrom,
+            validUntil: application.certificate.validUntil,
+            approvedBy: application.certificate.approvedBy
+          };
+
+      if (req.accepts(['json', 'html']) === 'html') {
+        return res.send(verificationPage(result));
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error verifying certificate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying certificate'
+      });
+    }
+  });
+
+  return router;
+};
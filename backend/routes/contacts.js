@@ -0,0 +1,422 @@
+const express = require('express');
+const Contacts = require('../../shared/contacts');
+const Permissions = require('../../shared/permissions');
+const Audit = require('../../shared/audit');
+const { requirePermission } = require('../middleware/auth');
+const { FIELDS, FORMATS, detectFormat } = require('../contactFormats');
+
+const CONTACT_ID_START = 1000;
+const MAX_IMPORT_ROWS = 2000;
+const IMPORT_BODY_LIMIT = '2mb';
+
+const PHONE_PATTERN = /^\+?[\d\s\-()/.]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FIELD_LIMITS = { name: 120, role: 120, phone: 30, backupPhone: 30, email: 200, address: 500, jurisdiction: 500 };
+
+// Trimmed contact fields from a request or an imported row, and what's
+// wrong with them (an empty list when the contact can be saved)
+function cleanContact(input) {
+  const contact = {};
+  const errors = [];
+
+  FIELDS.forEach(field => {
+    const value = input[field];
+    contact[field] = value === undefined || value === null ? '' : String(value).trim();
+  });
+
+  const category = Contacts.normalize(contact.category);
+  if (!contact.name) errors.push('Name is required');
+  if (!contact.category) errors.push('Category is required');
+  else if (!category) errors.push(`Unknown category "${contact.category}". Must be one of: ${Contacts.CATEGORY_LIST.map(Contacts.label).join(', ')}`);
+  contact.category = category || contact.category;
+
+  if (!contact.phone) errors.push('Phone is required');
+  ['phone', 'backupPhone'].forEach(field => {
+    const digits = contact[field].replace(/\D/g, '');
+    // Short codes such as 101 (fire) and 108 (ambulance) are valid
+    if (contact[field] && (!PHONE_PATTERN.test(contact[field]) || digits.length < 3 || digits.length > 15)) {
+      errors.push(`${field === 'phone' ? 'Phone' : 'Backup phone'} "${contact[field]}" is not a valid phone number`);
+    }
+  });
+  if (contact.email && !EMAIL_PATTERN.test(contact.email)) errors.push(`Email "${contact.email}" is not valid`);
+
+  Object.entries(FIELD_LIMITS).forEach(([field, max]) => {
+    if (contact[field].length > max) errors.push(`${field} must be at most ${max} characters`);
+  });
+
+  return { contact, errors };
+}
+
+// Last ten digits, so '+91 22 2522 4824' and '022 2522 4824' match
+function phoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? digits.slice(-10) : null;
+}
+
+function nameKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Two entries for the same place: a phone number in common, or the same name
+// in the same category
+function isDuplicate(a, b) {
+  const phonesA = [a.phone, a.backupPhone].map(phoneKey).filter(Boolean);
+  const phonesB = [b.phone, b.backupPhone].map(phoneKey).filter(Boolean);
+  return phonesA.some(key => phonesB.includes(key)) ||
+    (nameKey(a.name) === nameKey(b.name) && a.category === b.category);
+}
+
+const byCategoryAndName = (a, b) =>
+  Contacts.CATEGORY_LIST.indexOf(a.category) - Contacts.CATEGORY_LIST.indexOf(b.category) ||
+  a.name.localeCompare(b.name);
+
+module.exports = function contactRoutes({ store, requireAuth, audit }) {
+  const router = express.Router();
+  const canManage = requirePermission(Permissions.PERMISSIONS.CONTACT_MANAGE);
+
+  // Import bodies are the CSV or vCard text itself
+  const importBody = express.text({ type: 'text/*', limit: IMPORT_BODY_LIMIT });
+
+  // ?category= and ?q= (name, role, phone, address or jurisdiction)
+  async function listContacts(query) {
+    const { category, q } = query;
+    const filter = {};
+    if (category && category !== 'all') filter.category = Contacts.normalize(category) || String(category);
+
+    const contacts = await store.contacts.find(filter);
+    const search = String(q || '').trim().toLowerCase();
+
+    return contacts
+      .filter(c => !search || [c.name, c.role, c.phone, c.backupPhone, c.address, c.jurisdiction]
+        .some(value => String(value || '').toLowerCase().includes(search)))
+      .sort(byCategoryAndName);
+  }
+
+  // Parsed, validated import rows with duplicates marked against the
+  // directory and against earlier rows of the same file
+  async function buildImport(req) {
+    const text = typeof req.body === 'string' ? req.body : String((req.body && req.body.content) || '');
+    const format = detectFormat({ format: req.query.format, contentType: req.headers['content-type'], text });
+
+    if (!format) {
+      return { error: 'Unknown format. Must be csv or vcf' };
+    }
+    if (!text.trim()) {
+      return { error: 'Nothing to import' };
+    }
+
+    const { records, error } = FORMATS[format].parse(text);
+    if (error) return { error };
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { error: `Too many contacts in one import (${records.length}); the limit is ${MAX_IMPORT_ROWS}` };
+    }
+
+    const existing = await store.contacts.find({});
+    const rows = [];
+
+    records.forEach(record => {
+      const { contact, errors } = cleanContact(record.fields);
+      const match = errors.length ? null : existing.find(c => isDuplicate(contact, c));
+      const earlier = errors.length ? null : rows.find(r => !r.errors.length && isDuplicate(contact, r.contact));
+
+      rows.push({
+        row: record.row,
+        contact,
+        errors,
+        duplicateOf: match ? { contactId: match.contactId, name: match.name } : null,
+        duplicateOfRow: earlier ? earlier.row : null
+      });
+    });
+
+    const summary = {
+      total: rows.length,
+      valid: rows.filter(r => !r.errors.length).length,
+      invalid: rows.filter(r => r.errors.length).length,
+      duplicates: rows.filter(r => r.duplicateOf || r.duplicateOfRow).length
+    };
+
+    return { format, rows, summary };
+  }
+
+  // ============================================================
+  // GET: Emergency contacts directory (public)
+  // ============================================================
+  router.get('/contacts', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await listContacts(req.query)
+      });
+    } catch (error) {
+      console.error('Error fetching contacts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching contacts'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Download the directory (?format=csv|vcf, same filters
+  // as the list)
+  // ============================================================
+  router.get('/contacts/export', async (req, res) => {
+    try {
+      const format = detectFormat({ format: req.query.format || 'csv' });
+
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown format. Must be csv or vcf'
+        });
+      }
+
+      const contacts = await listContacts(req.query);
+      const { serialize, contentType, extension } = FORMATS[format];
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="emergency-contacts-${date}.${extension}"`);
+      res.send(serialize(contacts));
+    } catch (error) {
+      console.error('Error exporting contacts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting contacts'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Check a CSV or vCard file before importing it
+  // Body: the file's text (Content-Type text/csv or text/vcard),
+  // or JSON { content }; ?format=csv|vcf when it can't be told
+  // ============================================================
+  router.post('/contacts/import/preview', requireAuth, canManage, importBody, async (req, res) => {
+    try {
+      const result = await buildImport(req);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error previewing contact import:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reading the import file'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Import a CSV or vCard file (same body as the preview)
+  // ?duplicates=skip (default) leaves matching contacts alone;
+  // ?duplicates=update overwrites them with the imported values.
+  // Invalid rows and repeats within the file are always skipped.
+  // ============================================================
+  router.post('/contacts/import', requireAuth, canManage, importBody, async (req, res) => {
+    try {
+      const duplicates = req.query.duplicates || 'skip';
+
+      if (!['skip', 'update'].includes(duplicates)) {
+        return res.status(400).json({
+          success: false,
+          message: 'duplicates must be skip or update'
+        });
+      }
+
+      const result = await buildImport(req);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      const counts = { created: 0, updated: 0, skipped: 0, invalid: 0 };
+      const now = new Date().toISOString();
+      const actor = req.user.username;
+
+      for (const row of result.rows) {
+        if (row.errors.length) {
+          counts.invalid++;
+        } else if (row.duplicateOfRow || (row.duplicateOf && duplicates === 'skip')) {
+          counts.skipped++;
+        } else if (row.duplicateOf) {
+          await store.contacts.update(
+            { contactId: row.duplicateOf.contactId },
+            { ...row.contact, updatedAt: now, updatedBy: actor }
+          );
+          counts.updated++;
+        } else {
+          await store.contacts.insert({
+            contactId: `CT${await store.nextSequence('contactId', CONTACT_ID_START)}`,
+            ...row.contact,
+            createdAt: now,
+            updatedAt: now,
+            updatedBy: actor
+          });
+          counts.created++;
+        }
+      }
+
+      console.log(`✅ Contacts imported by ${actor}: ${counts.created} new, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.invalid} invalid`);
+      await audit.record(req, 'imported', {
+        record: { type: 'contact', id: null },
+        details: { duplicates, ...counts }
+      });
+
+      res.json({
+        success: true,
+        message: `Imported ${counts.created} new and updated ${counts.updated} contact(s)`,
+        data: counts
+      });
+    } catch (error) {
+      console.error('Error importing contacts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error importing contacts'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Add a contact
+  // ============================================================
+  router.post('/contacts', requireAuth, canManage, async (req, res) => {
+    try {
+      const { contact, errors } = cleanContact(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join('. ')
+        });
+      }
+
+      const existing = await store.contacts.find({});
+      const match = existing.find(c => isDuplicate(contact, c));
+
+      // ?force=true when the officer has confirmed it really is a different contact
+      if (match && req.query.force !== 'true') {
+        return res.status(409).json({
+          success: false,
+          message: `Looks like a duplicate of ${match.name} (${match.phone})`,
+          duplicateOf: { contactId: match.contactId, name: match.name }
+        });
+      }
+
+      const now = new Date().toISOString();
+      const saved = await store.contacts.insert({
+        contactId: `CT${await store.nextSequence('contactId', CONTACT_ID_START)}`,
+        ...contact,
+        createdAt: now,
+        updatedAt: now,
+        updatedBy: req.user.username
+      });
+
+      console.log(`✅ Contact ${saved.contactId} added: ${saved.name}`);
+      await audit.record(req, 'created', { record: { type: 'contact', id: saved.contactId }, details: { contact } });
+
+      res.status(201).json({
+        success: true,
+        message: 'Contact added successfully',
+        data: saved
+      });
+    } catch (error) {
+      console.error('Error adding contact:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding contact'
+      });
+    }
+  });
+
+  // ============================================================
+  // PUT: Update a contact (all fields)
+  // ============================================================
+  router.put('/contacts/:contactId', requireAuth, canManage, async (req, res) => {
+    try {
+      const { contact, errors } = cleanContact(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join('. ')
+        });
+      }
+
+      const before = await store.contacts.findOne({ contactId: req.params.contactId });
+      const updated = before && await store.contacts.update(
+        { contactId: req.params.contactId },
+        { ...contact, updatedAt: new Date().toISOString(), updatedBy: req.user.username }
+      );
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+
+      await audit.record(req, 'updated', {
+        record: { type: 'contact', id: updated.contactId },
+        changes: Audit.changesBetween(before, updated, FIELDS)
+      });
+
+      res.json({
+        success: true,
+        message: 'Contact updated successfully',
+        data: updated
+      });
+    } catch (error) {
+      console.error('Error updating contact:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating contact'
+      });
+    }
+  });
+
+  // ============================================================
+  // DELETE: Remove a contact
+  // ============================================================
+  router.delete('/contacts/:contactId', requireAuth, canManage, async (req, res) => {
+    try {
+      const deleted = await store.contacts.remove({ contactId: req.params.contactId });
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+
+      console.log(`✅ Contact ${deleted.contactId} deleted: ${deleted.name}`);
+      await audit.record(req, 'deleted', { record: { type: 'contact', id: deleted.contactId }, details: { contact: deleted } });
+
+      res.json({
+        success: true,
+        message: 'Contact deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting contact:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting contact'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,124 @@
+const express = require('express');
+const { ownsApplication } = require('../middleware/auth');
+const { describe, sendDocument, sendDocumentsZip } = require('../../shared/uploads/documents');
+
+module.exports = function documentRoutes({ store, config, requireStaffOrApplicant, audit }) {
+  const router = express.Router();
+
+  // Stored documents of an application, as entries for
+  // shared/uploads/documents.js: the current file of each field and the
+  // versions it replaced (keys like 'buildingPlan.v1')
+  function documentEntries(application) {
+    const files = application.files || {};
+    const meta = application.fileMeta || [];
+    const versions = application.documentVersions || [];
+
+    return Object.keys(config.uploads.rules).flatMap(field => {
+      const earlier = versions
+        .filter(v => v.field === field)
+        .map(v => ({ key: `${field}.v${v.version}`, field, filename: v.filename, meta: v.meta, version: v.version, current: false, replacedAt: v.replacedAt }));
+
+      if (!files[field]) return earlier;
+      return [...earlier, {
+        key: field,
+        field,
+        filename: files[field],
+        meta: meta.find(m => m.field === field && m.filename === files[field]) || null,
+        version: earlier.length + 1,
+        current: true
+      }];
+    });
+  }
+
+  // Staff see every application; applicants only their own, and a foreign
+  // one looks the same as a missing one
+  async function findApplication(req, res) {
+    const application = await store.applications.findOne({ appNo: req.params.appNo });
+
+    if (!application || (req.applicant && !ownsApplication(req, application))) {
+      res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+      return null;
+    }
+    return application;
+  }
+
+  // ============================================================
+  // GET: List the documents of an application, with earlier versions
+  // ============================================================
+  router.get('/applications/:appNo/documents', requireStaffOrApplicant, async (req, res) => {
+    try {
+      const application = await findApplication(req, res);
+      if (!application) return;
+
+      res.json({
+        success: true,
+        data: describe(documentEntries(application), `/api/applications/${application.appNo}/documents`)
+      });
+    } catch (error) {
+      console.error('Error listing documents:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error listing documents'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Current documents of an application as one ZIP
+  // ============================================================
+  router.get('/applications/:appNo/documents.zip', requireStaffOrApplicant, async (req, res) => {
+    try {
+      const application = await findApplication(req, res);
+      if (!application) return;
+
+      await audit.record(req, 'document_downloaded', {
+        record: { type: 'application', id: application.appNo },
+        details: { document: 'all (ZIP)' }
+      });
+      await sendDocumentsZip(res, config.uploadsDir, application.appNo, documentEntries(application).filter(e => e.current));
+    } catch (error) {
+      console.error('Error zipping documents:', error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        success: false,
+        message: 'Error preparing documents'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: One document, inline for preview (?download=true to save)
+  // ============================================================
+  router.get('/applications/:appNo/documents/:key', requireStaffOrApplicant, async (req, res) => {
+    try {
+      const application = await findApplication(req, res);
+      if (!application) return;
+
+      const entry = documentEntries(application).find(e => e.key === req.params.key);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found'
+        });
+      }
+
+      await audit.record(req, 'document_downloaded', {
+        record: { type: 'application', id: application.appNo },
+        details: { document: entry.key, filename: entry.filename }
+      });
+      await sendDocument(res, config.uploadsDir, application.appNo, entry, { download: req.query.download === 'true' });
+    } catch (error) {
+      console.error('Error sending document:', error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        success: false,
+        message: 'Error sending document'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,34 @@
+const express = require('express');
+
+module.exports = function eventRoutes({ events, findSession }) {
+  const router = express.Router();
+
+  // ============================================================
+  // GET: Live dashboard updates (Server-Sent Events, staff only)
+  // EventSource can't send an Authorization header, so the session
+  // token comes in ?token=
+  // ============================================================
+  router.get('/events', async (req, res) => {
+    try {
+      const token = String(req.query.token || '');
+      const session = await findSession(token);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required. Please log in again.'
+        });
+      }
+
+      events.subscribe(req, res, async () => !!(await findSession(token)));
+    } catch (error) {
+      console.error('Error opening event stream:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error opening event stream'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,319 @@
+const express = require('express');
+const Incidents = require('../../shared/incidents');
+const Permissions = require('../../shared/permissions');
+const Audit = require('../../shared/audit');
+const { requirePermission } = require('../middleware/auth');
+
+const INCIDENT_ID_PATTERN = /^[A-Za-z0-9-]{4,40}$/;
+const LIST_LIMIT = 200;
+
+// Device clocks can be off; a report time more than this far in the future
+// is replaced with the time the server received it
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function decorate(incident) {
+  return {
+    ...incident,
+    statusLabel: Incidents.label(incident.status),
+    statusClass: Incidents.classFor(incident.status)
+  };
+}
+
+// What the caller's own page may see about an incident
+function publicView(incident) {
+  return {
+    incidentId: incident.incidentId,
+    status: incident.status,
+    statusLabel: Incidents.label(incident.status),
+    timestamps: incident.timestamps,
+    unit: incident.unit
+  };
+}
+
+// Number in [min, max], or null when absent; undefined when invalid
+function coordinate(value, min, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : undefined;
+}
+
+module.exports = function incidentRoutes({ store, requireAuth, events, audit, stations }) {
+  const router = express.Router();
+
+  // Tell open admin dashboards about the change (see shared/events.js)
+  function publishIncident(change, incident, actor = null) {
+    events.publish(`incident.${change}`, {
+      incidentId: incident.incidentId,
+      status: incident.status,
+      statusLabel: Incidents.label(incident.status),
+      location: incident.location,
+      jurisdiction: incident.jurisdiction || null,
+      actor
+    });
+  }
+
+  // ============================================================
+  // POST: Report an SOS incident (public; called by homePage.html)
+  // ============================================================
+  router.post('/incidents', async (req, res) => {
+    try {
+      const incidentId = String(req.body.id || req.body.incidentId || '').trim();
+      const lat = coordinate(req.body.lat, -90, 90);
+      const lng = coordinate(req.body.lng, -180, 180);
+      const accuracy = coordinate(req.body.accuracy, 0, Number.MAX_SAFE_INTEGER);
+
+      if (!INCIDENT_ID_PATTERN.test(incidentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid incident id is required'
+        });
+      }
+
+      if (lat === undefined || lng === undefined || accuracy === undefined || (lat === null) !== (lng === null)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location'
+        });
+      }
+
+      // The browser retries when a report doesn't get through; the same id
+      // means the same incident
+      const existing = await store.incidents.findOne({ incidentId });
+      if (existing) {
+        return res.json({
+          success: true,
+          message: 'Incident already reported',
+          data: publicView(existing)
+        });
+      }
+
+      // Which jurisdiction the caller is in and the closest station, for the
+      // dispatch desk
+      const point = lat !== null ? { lat, lng } : null;
+      const [nearest] = point ? stations.nearest(point, 1) : [];
+
+      const now = new Date();
+      const deviceTime = new Date(req.body.time);
+      const reportedAt = isNaN(deviceTime) || deviceTime - now > MAX_CLOCK_SKEW_MS ? now : deviceTime;
+
+      const incident = await store.incidents.insert({
+        incidentId,
+        status: Incidents.CODES.REPORTED,
+        reportedAt: reportedAt.toISOString(),
+        receivedAt: now.toISOString(),
+        location: { lat, lng, accuracy },
+        address: req.body.address ? String(req.body.address).slice(0, 500) : null,
+        jurisdiction: point ? stations.jurisdictionAt(point) : null,
+        nearestStation: nearest
+          ? { id: nearest.id, name: nearest.name, phone: nearest.phone, distanceKm: nearest.distanceKm }
+          : null,
+        timestamps: {
+          reported: reportedAt.toISOString(),
+          acknowledged: null,
+          dispatched: null,
+          on_scene: null,
+          resolved: null
+        },
+        assignedTo: null,
+        unit: null,
+        history: [{ from: null, to: Incidents.CODES.REPORTED, actor: 'caller', notes: '', at: now.toISOString() }]
+      });
+
+      console.log(`🚨 SOS incident ${incidentId} reported${lat !== null ? ` at ${lat},${lng}` : ' (no location)'}`);
+      publishIncident('created', incident);
+
+      res.status(201).json({
+        success: true,
+        message: 'Incident reported',
+        data: publicView(incident)
+      });
+    } catch (error) {
+      console.error('Error reporting incident:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reporting incident'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Progress of an incident (public; shown on the caller's help card)
+  // ============================================================
+  router.get('/incidents/:incidentId/status', async (req, res) => {
+    try {
+      const incident = await store.incidents.findOne({ incidentId: req.params.incidentId });
+
+      if (!incident) {
+        return res.status(404).json({
+          success: false,
+          message: 'Incident not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: publicView(incident)
+      });
+    } catch (error) {
+      console.error('Error fetching incident status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching incident status'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Incidents for the dispatch desk (?status=open (default),
+  // all, or one status)
+  // ============================================================
+  router.get('/incidents', requireAuth, async (req, res) => {
+    try {
+      const { status = 'open' } = req.query;
+      const filter = {};
+
+      if (status === 'open') {
+        filter.status = { $in: Incidents.OPEN_STATUSES };
+      } else if (status !== 'all') {
+        if (!Incidents.isKnown(status)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid status. Must be open, all or one of: ${Incidents.STATUSES.join(', ')}`
+          });
+        }
+        filter.status = status;
+      }
+
+      const incidents = await store.incidents.find(filter, { sort: { reportedAt: -1 }, limit: LIST_LIMIT });
+
+      await audit.record(req, 'listed', {
+        record: { type: 'incident', id: null },
+        details: { view: 'incidents', filters: { status }, shown: incidents.length }
+      });
+      res.json({
+        success: true,
+        data: incidents.map(decorate)
+      });
+    } catch (error) {
+      console.error('Error fetching incidents:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching incidents'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: One incident with its history
+  // ============================================================
+  router.get('/incidents/:incidentId', requireAuth, async (req, res) => {
+    try {
+      const incident = await store.incidents.findOne({ incidentId: req.params.incidentId });
+
+      if (!incident) {
+        return res.status(404).json({
+          success: false,
+          message: 'Incident not found'
+        });
+      }
+
+      await audit.record(req, 'viewed', { record: { type: 'incident', id: incident.incidentId } });
+
+      res.json({
+        success: true,
+        data: decorate(incident)
+      });
+    } catch (error) {
+      console.error('Error fetching incident:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching incident'
+      });
+    }
+  });
+
+  // ============================================================
+  // PUT/PATCH: Move an incident along its lifecycle
+  // Body: { status, notes?, unit? } - unit is the crew or vehicle sent
+  // ============================================================
+  const updateIncidentStatus = async (req, res) => {
+    try {
+      const { status, notes, unit } = req.body;
+
+      if (!Incidents.isKnown(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${Incidents.STATUSES.join(', ')}`
+        });
+      }
+
+      const incident = await store.incidents.findOne({ incidentId: req.params.incidentId });
+
+      if (!incident) {
+        return res.status(404).json({
+          success: false,
+          message: 'Incident not found'
+        });
+      }
+
+      if (!Incidents.canTransition(incident.status, status)) {
+        const allowed = Incidents.allowedTransitions(incident.status);
+        return res.status(409).json({
+          success: false,
+          message: `Cannot change incident from "${Incidents.label(incident.status)}" to "${Incidents.label(status)}". ` +
+            (allowed.length ? `Allowed: ${allowed.map(Incidents.label).join(', ')}` : 'The incident is closed.'),
+          allowedStatuses: allowed
+        });
+      }
+
+      const actor = req.user.username;
+      const at = new Date().toISOString();
+      const changes = {
+        status,
+        timestamps: { ...incident.timestamps, [status]: at },
+        history: [...(incident.history || []), { from: incident.status, to: status, actor, notes: notes || '', at }]
+      };
+
+      // Whoever acknowledges the call owns it
+      if (status === Incidents.CODES.ACKNOWLEDGED) changes.assignedTo = actor;
+      if (unit) changes.unit = String(unit).trim();
+
+      // Matching on the current status stops two dispatchers from moving the
+      // same incident at once
+      const updated = await store.incidents.update({ incidentId: incident.incidentId, status: incident.status }, changes);
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Incident was updated by someone else. Please reload and try again.'
+        });
+      }
+
+      console.log(`✅ Incident ${incident.incidentId}: ${Incidents.label(incident.status)} → ${Incidents.label(status)} (${actor})`);
+      await audit.record(req, 'status_changed', {
+        record: { type: 'incident', id: incident.incidentId },
+        changes: Audit.changesBetween(incident, updated, ['status', 'assignedTo', 'unit']),
+        details: notes ? { notes } : null
+      });
+      publishIncident('updated', updated, actor);
+
+      res.json({
+        success: true,
+        message: 'Incident updated successfully',
+        data: decorate(updated)
+      });
+    } catch (error) {
+      console.error('Error updating incident:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating incident'
+      });
+    }
+  };
+
+  const canUpdate = requirePermission(Permissions.PERMISSIONS.INCIDENT_UPDATE);
+  router.put('/incidents/:incidentId/status', requireAuth, canUpdate, updateIncidentStatus);
+  router.patch('/incidents/:incidentId/status', requireAuth, canUpdate, updateIncidentStatus);
+
+  return router;
+};
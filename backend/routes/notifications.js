@@ -0,0 +1,105 @@
+const express = require('express');
+const crypto = require('crypto');
+const { EVENTS, STAFF_EVENTS } = require('../notifications/templates');
+
+const sha256 = value => crypto.createHash('sha256').update(String(value)).digest();
+
+module.exports = function notificationRoutes({ store, requireAuth, config, notifier }) {
+  const router = express.Router();
+  const serviceKey = config.notifications.serviceKey;
+
+  // Other Fire Department services (the inspection backend) authenticate
+  // with the shared NOTIFICATIONS_SERVICE_KEY
+  function requireServiceKey(req, res, next) {
+    const given = req.headers['x-service-key'];
+
+    if (!serviceKey || !given || !crypto.timingSafeEqual(sha256(given), sha256(serviceKey))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid service key'
+      });
+    }
+    next();
+  }
+
+  // ============================================================
+  // GET: Delivery log of one application or review (?reference=)
+  // ============================================================
+  router.get('/notifications', requireAuth, async (req, res) => {
+    try {
+      const { reference } = req.query;
+
+      if (!reference) {
+        return res.status(400).json({
+          success: false,
+          message: 'reference (application or review number) is required'
+        });
+      }
+
+      const notifications = await store.notifications.find(
+        { reference: String(reference) },
+        { sort: { createdAt: -1 } }
+      );
+
+      res.json({
+        success: true,
+        data: notifications
+      });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching notifications'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Notify an applicant on behalf of another service
+  // Body: { event, reference, language, recipient: { name, mobile,
+  // email }, data: { property, status, remarks } }
+  // Staff events (SLA escalations) go to the staff with the
+  // config.sla.escalateTo role instead, and need no recipient.
+  // ============================================================
+  router.post('/notifications', requireServiceKey, async (req, res) => {
+    try {
+      const { event, reference, language, recipient, data } = req.body;
+
+      if (STAFF_EVENTS.includes(event) && reference) {
+        const notified = await notifier.notifyStaff(event, config.sla.escalateTo, {
+          reference: String(reference),
+          source: 'inspection',
+          data
+        });
+        return res.status(202).json({
+          success: true,
+          message: 'Notification queued',
+          data: { escalatedTo: config.sla.escalateTo, notified }
+        });
+      }
+
+      if (!EVENTS.includes(event) || !reference || !recipient || !recipient.name) {
+        return res.status(400).json({
+          success: false,
+          message: `event (one of: ${EVENTS.join(', ')}), reference and recipient.name are required`
+        });
+      }
+
+      // Delivery (and any retries) carries on after the response
+      notifier.notify(event, { reference: String(reference), source: 'inspection', language, recipient, data });
+
+      res.status(202).json({
+        success: true,
+        message: 'Notification queued'
+      });
+    } catch (error) {
+      console.error('Error queueing notification:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error queueing notification'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,253 @@
+const express = require('express');
+const Status = require('../../shared/status');
+const Queries = require('../../shared/queries');
+const Permissions = require('../../shared/permissions');
+const Sla = require('../../shared/sla');
+const Validation = require('../../shared/validation');
+const Audit = require('../../shared/audit');
+const Retention = require('../../shared/retention');
+const { removeUploadedFiles } = require('../../shared/uploads');
+const workflow = require('../workflow');
+const { requirePermission, ownsApplication } = require('../middleware/auth');
+
+// What a document diff entry says about one version of a file
+function documentSummary(filename, meta, version) {
+  return {
+    version,
+    filename,
+    originalName: meta ? meta.originalName : null,
+    size: meta ? meta.size : null,
+    sha256: meta ? meta.sha256 : null
+  };
+}
+
+module.exports = function queryRoutes({ store, slaRules, requireAuth, requireStaffOrApplicant, uploadDocuments, notifyApplicant, publishApplication, audit }) {
+  const router = express.Router();
+
+  // ============================================================
+  // POST: Raise queries on documents or fields of an application
+  // under review. Moves it to Query Raised.
+  // ============================================================
+  router.post('/applications/:appNo/queries', requireAuth, requirePermission(Permissions.PERMISSIONS.NOC_DECIDE), async (req, res) => {
+    try {
+      const application = await store.applications.findOne({ appNo: req.params.appNo });
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      if (Retention.isRemoved(application)) {
+        return res.status(409).json({
+          success: false,
+          message: Retention.blockedMessage('Application', application)
+        });
+      }
+
+      if (!workflow.canTransition(application.status, Status.CODES.QUERY_RAISED)) {
+        return res.status(409).json({
+          success: false,
+          message: `Queries can only be raised on applications that are ${Status.label(Status.CODES.UNDER_REVIEW)}`
+        });
+      }
+
+      const { queries, error } = Queries.parseQueries('noc', req.body.queries);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const actor = req.user.username;
+      const at = new Date().toISOString();
+      const existing = application.queries || [];
+      const raised = queries.map((query, i) => ({
+        queryId: `Q${existing.length + i + 1}`,
+        target: { type: query.type, name: query.name },
+        message: query.message,
+        status: Queries.STATUSES.OPEN,
+        raisedBy: actor,
+        raisedAt: at,
+        answeredAt: null,
+        revision: null
+      }));
+
+      // Also the remarks the applicant is notified with
+      const summary = raised.map(q => `${Queries.targetLabel('noc', q.target)}: ${q.message}`).join('; ');
+      const entry = workflow.historyEntry(application.status, Status.CODES.QUERY_RAISED, { remarks: summary, actor });
+
+      const updated = await store.applications.update({ appNo: application.appNo, status: application.status }, {
+        status: Status.CODES.QUERY_RAISED,
+        remarks: summary,
+        updatedBy: actor,
+        updatedDate: at,
+        statusHistory: [...(application.statusHistory || []), entry],
+        sla: Sla.track(slaRules, { status: Status.CODES.QUERY_RAISED, buildingType: application.buildingType }, at),
+        queries: [...existing, ...raised]
+      });
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Application was updated by someone else. Please reload and try again.'
+        });
+      }
+
+      console.log(`✅ ${raised.length} quer${raised.length === 1 ? 'y' : 'ies'} raised on ${application.appNo}`);
+      await audit.record(req, 'query_raised', {
+        record: { type: 'application', id: application.appNo },
+        changes: Audit.changesBetween(application, updated, ['status', 'remarks']),
+        details: { queries: raised }
+      });
+      notifyApplicant('query_raised', updated);
+      publishApplication('updated', updated, actor);
+
+      res.status(201).json({
+        success: true,
+        message: 'Query raised. The applicant has been notified.',
+        data: Status.decorate(updated)
+      });
+    } catch (error) {
+      console.error('Error raising query:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error raising query'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Answer the open queries (applicant, or staff on their
+  // behalf): corrected documents as files, corrected fields as form
+  // values. Earlier documents are kept as versions, the diff is
+  // stored as a revision, and the application goes back to Under
+  // Review.
+  // ============================================================
+  router.post('/applications/:appNo/resubmission', requireStaffOrApplicant, ...uploadDocuments, async (req, res) => {
+    try {
+      const application = await store.applications.findOne({ appNo: req.params.appNo });
+
+      if (!application || (req.applicant && !ownsApplication(req, application))) {
+        removeUploadedFiles(req.files);
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      if (application.status !== Status.CODES.QUERY_RAISED || Retention.isRemoved(application)) {
+        removeUploadedFiles(req.files);
+        return res.status(409).json({
+          success: false,
+          message: 'This application has no open query to respond to'
+        });
+      }
+
+      const uploaded = Object.keys(req.files || {});
+      const { answered, values, error } = Queries.checkResponse('noc', application, uploaded, req.body);
+      if (error) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      // Answers to field queries go through the same rules as a new application
+      const { values: fieldChanges, errors } = Validation.validate('noc', values, { only: Object.keys(values) });
+      if (Validation.hasErrors(errors)) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: 'Please correct the highlighted fields',
+          errors
+        });
+      }
+
+      const actor = req.user ? req.user.username : application.applicantName;
+      const at = new Date().toISOString();
+      const revisions = application.revisions || [];
+      const revision = revisions.length + 1;
+
+      // Replaced documents move to documentVersions
+      const files = { ...(application.files || {}) };
+      let fileMeta = application.fileMeta || [];
+      const documentVersions = [...(application.documentVersions || [])];
+      const documentChanges = uploaded.map(field => {
+        const earlier = documentVersions.filter(v => v.field === field).length;
+        const meta = req.fileMeta.find(m => m.field === field);
+        let from = null;
+
+        if (files[field]) {
+          const previousMeta = fileMeta.find(m => m.field === field && m.filename === files[field]) || null;
+          documentVersions.push({ field, version: earlier + 1, filename: files[field], meta: previousMeta, replacedAt: at, revision });
+          from = documentSummary(files[field], previousMeta, earlier + 1);
+        }
+        files[field] = meta.filename;
+        fileMeta = [...fileMeta.filter(m => m.field !== field), meta];
+
+        return { type: 'document', name: field, from, to: documentSummary(meta.filename, meta, from ? earlier + 2 : earlier + 1) };
+      });
+
+      const changes = [...Queries.diffFields(application, fieldChanges, Object.keys(fieldChanges)), ...documentChanges];
+      const note = String(req.body.note || '').trim().slice(0, 1000);
+      const entry = workflow.historyEntry(application.status, Status.CODES.UNDER_REVIEW, {
+        remarks: `Resubmitted (revision ${revision})${note ? `: ${note}` : ''}`,
+        actor
+      });
+
+      const updated = await store.applications.update({ appNo: application.appNo, status: Status.CODES.QUERY_RAISED }, {
+        ...fieldChanges,
+        files,
+        fileMeta,
+        documentVersions,
+        status: Status.CODES.UNDER_REVIEW,
+        updatedBy: actor,
+        updatedDate: at,
+        statusHistory: [...(application.statusHistory || []), entry],
+        sla: Sla.track(slaRules, {
+          status: Status.CODES.UNDER_REVIEW,
+          buildingType: fieldChanges.buildingType || application.buildingType
+        }, at),
+        queries: (application.queries || []).map(query => answered.includes(query.queryId)
+          ? { ...query, status: Queries.STATUSES.ANSWERED, answeredAt: at, revision }
+          : query),
+        revisions: [...revisions, { revision, at, by: actor, note, answered, changes }]
+      });
+
+      if (!updated) {
+        removeUploadedFiles(req.files);
+        return res.status(409).json({
+          success: false,
+          message: 'Application was updated by someone else. Please reload and try again.'
+        });
+      }
+
+      console.log(`✅ ${application.appNo} resubmitted (revision ${revision}, ${changes.length} change${changes.length === 1 ? '' : 's'})`);
+      await audit.record(req, 'resubmitted', {
+        record: { type: 'application', id: application.appNo },
+        changes: Audit.changesBetween(application, updated, ['status', ...Object.keys(fieldChanges)]),
+        details: { revision, answered, documents: uploaded }
+      });
+      publishApplication('updated', updated, actor);
+
+      res.json({
+        success: true,
+        message: 'Your response has been sent to the reviewer',
+        data: Status.decorate(updated)
+      });
+    } catch (error) {
+      console.error('Error submitting response:', error);
+      removeUploadedFiles(req.files);
+      res.status(500).json({
+        success: false,
+        message: 'Error submitting response'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,275 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const Status = require('../../shared/status');
+const Permissions = require('../../shared/permissions');
+const Retention = require('../../shared/retention');
+const Audit = require('../../shared/audit');
+const workflow = require('../workflow');
+const { requirePermission } = require('../middleware/auth');
+
+const { NOC_DELETE, RECORD_PURGE } = Permissions.PERMISSIONS;
+
+// Stored files of an application: current documents and earlier versions
+function storedFiles(application) {
+  return [
+    ...Object.values(application.files || {}),
+    ...(application.documentVersions || []).map(version => version.filename)
+  ].filter(Boolean);
+}
+
+module.exports = function retentionRoutes({ store, config, requireAuth, uploadsDir, publishApplication, audit }) {
+  const router = express.Router();
+  const policy = config.retention;
+
+  async function findApplication(req, res) {
+    const application = await store.applications.findOne({ appNo: req.params.appNo });
+
+    if (!application) {
+      res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+      return null;
+    }
+    return application;
+  }
+
+  // Filter matching the application only while it is still where it was
+  // read (in use, in the trash or archived), so an update fails if someone
+  // else moved it meanwhile
+  const unmoved = application => (application.removed
+    ? { appNo: application.appNo, 'removed.at': application.removed.at }
+    : { appNo: application.appNo, removed: null });
+
+  // Move an application to the trash or the archive
+  async function removeApplication(req, res, application, state) {
+    const removed = Retention.mark(state, req.user.username, req.body && req.body.reason);
+    const updated = await store.applications.update(unmoved(application), { removed });
+
+    if (!updated) {
+      res.status(409).json({
+        success: false,
+        message: 'Application was updated by someone else. Please reload and try again.'
+      });
+      return null;
+    }
+
+    await audit.record(req, state, {
+      record: { type: 'application', id: updated.appNo },
+      details: removed.reason ? { reason: removed.reason } : null
+    });
+    // Gone from the working lists, as far as open dashboards are concerned
+    publishApplication('deleted', updated, req.user.username);
+    return updated;
+  }
+
+  // ============================================================
+  // DELETE: Move an application to the trash (body: { reason }).
+  // Its documents are kept until a purge (see shared/retention.js).
+  // ============================================================
+  router.delete('/applications/:appNo', requireAuth, requirePermission(NOC_DELETE), async (req, res) => {
+    try {
+      const application = await findApplication(req, res);
+      if (!application) return;
+
+      if (Retention.isDeleted(application)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Application is already in the trash'
+        });
+      }
+
+      const updated = await removeApplication(req, res, application, 'deleted');
+      if (!updated) return;
+
+      // A deleted renewal no longer blocks renewing the original
+      if (updated.renewalOf) {
+        await store.applications.update({ appNo: updated.renewalOf, renewedBy: updated.appNo }, { renewedBy: null });
+      }
+
+      console.log(`✅ Application ${updated.appNo} moved to the trash`);
+      res.json({
+        success: true,
+        message: 'Application moved to the trash. It can be restored from Trash & Archive.',
+        data: Status.decorate(updated)
+      });
+    } catch (error) {
+      console.error('Error deleting application:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting application'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Archive a decided application (body: { reason })
+  // ============================================================
+  router.post('/applications/:appNo/archive', requireAuth, requirePermission(NOC_DELETE), async (req, res) => {
+    try {
+      const application = await findApplication(req, res);
+      if (!application) return;
+
+      if (Retention.isRemoved(application)) {
+        return res.status(409).json({
+          success: false,
+          message: Retention.blockedMessage('Application', application)
+        });
+      }
+
+      if (workflow.allowedTransitions(application.status).length) {
+        return res.status(409).json({
+          success: false,
+          message: `Only ${Status.label(Status.CODES.APPROVED)} or ${Status.label(Status.CODES.REJECTED)} applications can be archived`
+        });
+      }
+
+      const updated = await removeApplication(req, res, application, 'archived');
+      if (!updated) return;
+
+      console.log(`✅ Application ${updated.appNo} archived`);
+      res.json({
+        success: true,
+        message: 'Application archived',
+        data: Status.decorate(updated)
+      });
+    } catch (error) {
+      console.error('Error archiving application:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error archiving application'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Restore an application from the trash or the archive
+  // ============================================================
+  router.post('/applications/:appNo/restore', requireAuth, requirePermission(NOC_DELETE), async (req, res) => {
+    try {
+      const application = await findApplication(req, res);
+      if (!application) return;
+
+      if (!Retention.isRemoved(application)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Application is not in the trash or the archive'
+        });
+      }
+
+      // A renewal taken out of the trash claims its original again, unless
+      // another renewal has been filed meanwhile
+      const relink = Retention.isDeleted(application) && application.renewalOf &&
+        application.status !== Status.CODES.REJECTED;
+      if (relink) {
+        const claimed = await store.applications.update({ appNo: application.renewalOf, renewedBy: null }, { renewedBy: application.appNo });
+        if (!claimed) {
+          return res.status(409).json({
+            success: false,
+            message: `NOC ${application.renewalOf} has been renewed again since this renewal was deleted`
+          });
+        }
+      }
+
+      const updated = await store.applications.update(unmoved(application), { removed: null });
+
+      if (!updated) {
+        if (relink) {
+          await store.applications.update({ appNo: application.renewalOf, renewedBy: application.appNo }, { renewedBy: null });
+        }
+        return res.status(409).json({
+          success: false,
+          message: 'Application was updated by someone else. Please reload and try again.'
+        });
+      }
+
+      console.log(`✅ Application ${updated.appNo} restored`);
+      await audit.record(req, 'restored', {
+        record: { type: 'application', id: updated.appNo },
+        changes: Audit.changesBetween(application, updated, ['removed'])
+      });
+      publishApplication('updated', updated, req.user.username);
+
+      res.json({
+        success: true,
+        message: 'Application restored',
+        data: Status.decorate(updated)
+      });
+    } catch (error) {
+      console.error('Error restoring application:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error restoring application'
+      });
+    }
+  });
+
+  // ============================================================
+  // POST: Permanently delete the applications in the trash whose
+  // retention period is over, with their documents. { dryRun: true }
+  // lists them without deleting anything.
+  // ============================================================
+  router.post('/applications/purge', requireAuth, requirePermission(RECORD_PURGE), async (req, res) => {
+    try {
+      const dryRun = !!(req.body && req.body.dryRun);
+      const now = new Date();
+      const due = (await store.applications.find({ 'removed.state': 'deleted' }, { sort: { seq: 1 } }))
+        .filter(application => Retention.isPurgeable(policy, application.removed, application.submittedDate, now));
+
+      const records = due.map(application => ({
+        appNo: application.appNo,
+        propertyName: application.propertyName,
+        removed: application.removed,
+        purgeableFrom: Retention.purgeableFrom(policy, application.removed, application.submittedDate)
+      }));
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          data: { dryRun, records, removedFiles: 0 }
+        });
+      }
+
+      const purged = [];
+      let removedFiles = 0;
+      for (const application of due) {
+        // Skipped if restored meanwhile, or restored and deleted again: its
+        // trash period started over
+        const deleted = await store.applications.remove(unmoved(application));
+        if (!deleted) continue;
+
+        // Files a renewal shares with its original stay with the other one
+        const related = await store.applications.find({ appNo: { $in: [deleted.renewalOf, deleted.renewedBy].filter(Boolean) } });
+        const shared = new Set(related.flatMap(storedFiles));
+        const files = storedFiles(deleted).filter(filename => !shared.has(filename));
+        files.forEach(filename => {
+          const filePath = path.join(uploadsDir, filename);
+          if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+        removedFiles += files.length;
+        purged.push(records.find(record => record.appNo === deleted.appNo));
+
+        await audit.record(req, 'purged', {
+          record: { type: 'application', id: deleted.appNo },
+          details: { removed: deleted.removed, removedFiles: files }
+        });
+      }
+
+      console.log(`✅ Purged ${purged.length} application(s) past retention, ${removedFiles} file(s) removed`);
+      res.json({
+        success: true,
+        message: `${purged.length} application(s) permanently deleted`,
+        data: { dryRun, records: purged, removedFiles }
+      });
+    } catch (error) {
+      console.error('Error purging applications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error purging applications'
+      });
+    }
+  });
+
+  return router;
+};
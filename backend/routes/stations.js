@@ -0,0 +1,59 @@
+const express = require('express');
+const { parsePoint } = require('../../shared/stations');
+
+module.exports = function stationRoutes({ stations }) {
+  const router = express.Router();
+
+  // ============================================================
+  // GET: All fire stations and jurisdictions (public; maps, the
+  // SOS help card and the admin jurisdiction filters)
+  // ============================================================
+  router.get('/stations', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: stations.list()
+      });
+    } catch (error) {
+      console.error('Error fetching stations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stations'
+      });
+    }
+  });
+
+  // ============================================================
+  // GET: Nearest stations to a point and the jurisdiction it falls
+  // in (public). ?lat=&lng=, optional ?limit= (default 3, max 10)
+  // ============================================================
+  router.get('/stations/nearest', (req, res) => {
+    try {
+      const { point, error } = parsePoint(req.query.lat, req.query.lng);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          point,
+          jurisdiction: stations.jurisdictionAt(point),
+          stations: stations.nearest(point, req.query.limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error finding nearest stations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error finding nearest stations'
+      });
+    }
+  });
+
+  return router;
+};
@@ -1,67 +1,245 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
+const config = require('./config');
+const { createStore } = require('./storage');
+const workflow = require('./workflow');
+const Status = require('../shared/status');
+const { normalizeApplicationStatuses, backfillApplicationSeq, backfillContactKeys } = require('./migrations');
+const Permissions = require('../shared/permissions');
+const ListQuery = require('../shared/listQuery');
+const Sla = require('../shared/sla');
+const Validation = require('../shared/validation');
+const Audit = require('../shared/audit');
+const Retention = require('../shared/retention');
+const { createAuthMiddleware, requirePermission, ownsApplication } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const certificateRoutes = require('./routes/certificates');
+const applicantRoutes = require('./routes/applicant');
+const notificationRoutes = require('./routes/notifications');
+const incidentRoutes = require('./routes/incidents');
+const eventRoutes = require('./routes/events');
+const contactRoutes = require('./routes/contacts');
+const documentRoutes = require('./routes/documents');
+const queryRoutes = require('./routes/queries');
+const analyticsRoutes = require('./routes/analytics');
+const auditRoutes = require('./routes/audit');
+const retentionRoutes = require('./routes/retention');
+const stationRoutes = require('./routes/stations');
+const { createDeliveryChannel } = require('./channels');
+const { createNotifier, nocNotification } = require('./notifications');
+const { eventForStatus, isKnownLanguage } = require('./notifications/templates');
+const { createExpiryJob } = require('./jobs/nocExpiry');
+const { createSlaJob } = require('./jobs/slaEscalation');
+const { createCertificate } = require('./certificates');
+const { createEventStream } = require('../shared/events');
+const { contactKeys } = require('./contact');
+const { createUploadPipeline, removeUploadedFiles } = require('../shared/uploads');
+const { loadStationDirectory } = require('../shared/stations');
+const { sendExport, parseExportRequest } = require('../shared/exports');
 
 const app = express();
-const PORT = 5000;
+const PORT = config.port;
+const store = createStore(config.storage);
+const { requireAuth, requireApplicant, requireStaffOrApplicant, findSession } = createAuthMiddleware(store);
+const deliveryChannel = createDeliveryChannel(config.delivery);
+const notifier = createNotifier({ store, channel: deliveryChannel, config });
+const expiryJob = createExpiryJob({ store, config, notifier });
+const slaJob = createSlaJob({ store, config, notifier, publishApplication });
+const events = createEventStream();
+const stations = loadStationDirectory(config.stationsFile);
+const audit = Audit.createAuditLog({
+  service: 'noc',
+  lastEntry: async () => (await store.auditLog.find({}, { sort: { seq: -1 }, limit: 1 }))[0] || null,
+  insertEntry: entry => store.auditLog.insert(entry),
+  readEntries: (afterSeq, limit) => store.auditLog.find({ seq: { $gt: afterSeq } }, { sort: { seq: 1 }, limit })
+});
+const uploadPipeline = createUploadPipeline({
+  rules: config.uploads.rules,
+  quarantineDir: config.uploads.quarantineDir,
+  scanner: config.uploads.scanner,
+  scannerOptions: config.uploads.clamav,
+  failOpen: config.uploads.failOpen
+});
 
 // Enable CORS for frontend
 app.use(cors({
   origin: '*', // Allow all origins for development
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-key']
 }));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
+const uploadsDir = config.uploadsDir;
 if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
+  fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Files get a temporary name here; the
+// upload pipeline checks them and names them after their real type.
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, uploadsDir);
   },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
+  filename: uploadPipeline.temporaryFilename
 });
 
 const upload = multer({ 
   storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+  limits: { fileSize: uploadPipeline.maxFileSize }
 });
 
-// In-memory storage for applications
-let applications = [];
-let appCounter = 1000;
+// Application numbers continue from NOC1001 and are never reused
+const APP_NO_START = 1000;
 
-// Status classes mapping
-const statusClasses = {
-  'Pending': 'bg-yellow-500',
-  'Under Review': 'bg-blue-500',
-  'Approved': 'bg-green-500',
-  'Rejected': 'bg-red-500'
-};
+const DOCUMENT_FIELDS = ['buildingPlan', 'propertyDoc', 'idProof'];
+
+// Multer plus the upload checks, for every route that takes documents
+const uploadDocuments = [
+  upload.fields(DOCUMENT_FIELDS.map(name => ({ name, maxCount: 1 }))),
+  uploadPipeline.check
+];
+
+// Carried over from the original application into a renewal
+const RENEWAL_COPIED_FIELDS = [
+  'buildingType', 'propertyName', 'plotNumber', 'address', 'builtupArea', 'floors',
+  'applicantName', 'mobile', 'email', 'applicantType', 'language', 'location', 'jurisdiction'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const statusList = statuses => statuses.map(Status.label).join(', ');
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ success: true, message: 'Backend is running' });
 });
 
-// Get all applications
-app.get('/api/applications', (req, res) => {
+// Login, logout, password change and staff accounts
+app.use('/api', authRoutes({ store, requireAuth, config, audit }));
+
+// NOC certificate download and public verification
+app.use('/api', certificateRoutes({ store, config, requireAuth, requireStaffOrApplicant, audit }));
+
+// Applicant tracking: one-time code login and the applicant's own applications
+app.use('/api', applicantRoutes({ store, config, channel: deliveryChannel, requireApplicant }));
+
+// Notification delivery log, and notifications sent for the inspection service
+app.use('/api', notificationRoutes({ store, requireAuth, config, notifier }));
+
+// Uploaded documents: preview, download and ZIP (staff or the applicant)
+app.use('/api', documentRoutes({ store, config, requireStaffOrApplicant, audit }));
+
+// Reviewer queries and the applicant's resubmission
+app.use('/api', queryRoutes({ store, slaRules: config.sla.rules, requireAuth, requireStaffOrApplicant, uploadDocuments, notifyApplicant, publishApplication, audit }));
+
+// Processing time, approval rates and backlog for the admin dashboard
+app.use('/api', analyticsRoutes({ store, requireAuth }));
+
+// SOS incidents from homePage.html and the dispatch desk
+app.use('/api', incidentRoutes({ store, requireAuth, events, audit, stations }));
+
+// Live updates for the admin dashboard
+app.use('/api', eventRoutes({ events, findSession }));
+
+// Emergency contacts directory (contactsPage.html), with CSV/vCard import and export
+app.use('/api', contactRoutes({ store, requireAuth, audit }));
+
+// Audit trail of staff actions and its hash-chain check
+app.use('/api', auditRoutes({ store, audit, requireAuth }));
+
+// Trash, archive, restore and the retention purge of applications
+app.use('/api', retentionRoutes({ store, config, requireAuth, uploadsDir, publishApplication, audit }));
+
+// Fire stations: nearest to a point, and the jurisdiction it falls in
+app.use('/api', stationRoutes({ stations }));
+
+// SMS/email the applicant about their application (not awaited; see notifications/)
+function notifyApplicant(event, application) {
+  notifier.notify(event, nocNotification(application));
+}
+
+// Tell open admin dashboards that an application was created, updated or
+// deleted (see shared/events.js)
+function publishApplication(change, application, actor = null) {
+  events.publish(`application.${change}`, {
+    appNo: application.appNo,
+    applicationType: application.applicationType,
+    propertyName: application.propertyName,
+    applicantName: application.applicantName,
+    status: application.status,
+    statusLabel: Status.label(application.status),
+    actor
+  });
+}
+
+// Filter, sort and paging of an application list request: shared/listQuery.js
+// plus ?status= (any known spelling, comma-separated), ?overdue=true (past
+// the SLA due date in the current status) and ?removed=deleted|archived|all
+// for the trash and archive instead of the applications in use. Returns the
+// parsed list or { error }.
+function applicationListQuery(query) {
+  const list = ListQuery.parse('noc', query);
+  if (list.error) return list;
+
+  const removed = Retention.listFilter(query.removed);
+  if (removed.error) return removed;
+  Object.assign(list.filter, removed.filter);
+
+  const jurisdiction = stations.listFilter(query.jurisdiction);
+  if (jurisdiction.error) return jurisdiction;
+  Object.assign(list.filter, jurisdiction.filter);
+
+  const { status, overdue } = query;
+  if (status && status !== 'all') {
+    const statuses = String(status).split(',').map(s => Status.normalize(s.trim()));
+    if (!statuses.every(workflow.isKnownStatus)) {
+      return { error: `Invalid status. Must be one of: ${statusList(workflow.STATUSES)}` };
+    }
+    list.filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (overdue === 'true') {
+    list.filter.status = list.filter.status || { $in: Sla.trackedStatuses(config.sla.rules) };
+    list.filter['sla.dueAt'] = { $lt: new Date().toISOString() };
+  }
+  return list;
+}
+
+// List applications (staff only), a page at a time if asked
+app.get('/api/applications', requireAuth, async (req, res) => {
   try {
+    const list = applicationListQuery(req.query);
+
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        message: list.error
+      });
+    }
+
+    const [applications, total] = await Promise.all([
+      store.applications.find(list.filter, { sort: list.sort, skip: list.skip, limit: list.limit }),
+      store.applications.count(list.filter)
+    ]);
+    await audit.record(req, 'listed', {
+      record: { type: 'application', id: null },
+      details: { view: 'applications', filters: req.query, shown: applications.length, total }
+    });
     res.json({ 
       success: true, 
-      data: applications 
+      data: applications.map(application => ({
+        ...Status.decorate(application),
+        purgeableFrom: Retention.purgeableFrom(config.retention, application.removed, application.submittedDate)
+      })),
+      pagination: ListQuery.pagination(list, total)
     });
   } catch (error) {
     console.error('Error fetching applications:', error);
@@ -72,15 +250,112 @@ app.get('/api/applications', (req, res) => {
   }
 });
 
+// Overdue queue: applications past their SLA due date in their current
+// status, most overdue first. Takes the list filters and paging.
+app.get('/api/applications/overdue', requireAuth, async (req, res) => {
+  try {
+    const { sort, ...filters } = req.query;
+    const list = applicationListQuery({ ...filters, overdue: 'true' });
+
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        message: list.error
+      });
+    }
+
+    const now = new Date();
+    const [applications, total] = await Promise.all([
+      store.applications.find(list.filter, { sort: { 'sla.dueAt': 1, seq: 1 }, skip: list.skip, limit: list.limit }),
+      store.applications.count(list.filter)
+    ]);
+    await audit.record(req, 'listed', {
+      record: { type: 'application', id: null },
+      details: { view: 'overdue', filters: req.query, shown: applications.length, total }
+    });
+    res.json({
+      success: true,
+      data: applications.map(application => ({
+        ...Status.decorate(application),
+        daysInStatus: Sla.daysInStatus(application.sla, now),
+        daysOverdue: Sla.daysInStatus({ since: application.sla.dueAt }, now)
+      })),
+      pagination: ListQuery.pagination(list, total)
+    });
+  } catch (error) {
+    console.error('Error fetching overdue applications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching overdue applications'
+    });
+  }
+});
+
+// Export the applications matching the list filters (paging ignored) as CSV
+// or XLSX: ?format=csv|xlsx, ?columns= from shared/exportColumns.js.
+// Records are read in batches and streamed out.
+const EXPORT_BATCH_SIZE = 500;
+
+app.get('/api/applications/export', requireAuth, async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    const list = applicationListQuery(filters);
+    const request = list.error ? list : parseExportRequest('noc', req.query);
+
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        message: request.error
+      });
+    }
+
+    async function* records() {
+      for (let skip = 0; ; skip += EXPORT_BATCH_SIZE) {
+        const batch = await store.applications.find(list.filter, { sort: list.sort, skip, limit: EXPORT_BATCH_SIZE });
+        yield* batch.map(Status.decorate);
+        if (batch.length < EXPORT_BATCH_SIZE) return;
+      }
+    }
+
+    console.log(`✅ Exporting applications as ${request.format} for ${req.user.username}`);
+    await audit.record(req, 'exported', {
+      record: { type: 'application', id: null },
+      details: { format: request.format, filters, columns: request.columns.map(column => column.key) }
+    });
+    await sendExport(res, {
+      format: request.format,
+      basename: `noc-applications-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'NOC Applications',
+      columns: request.columns,
+      records: records()
+    });
+  } catch (error) {
+    console.error('Error exporting applications:', error);
+    // A half-written file must not look complete
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting applications'
+    });
+  }
+});
+
 // Submit new application
 app.post('/api/applications', 
-  upload.fields([
-    { name: 'buildingPlan', maxCount: 1 },
-    { name: 'propertyDoc', maxCount: 1 },
-    { name: 'idProof', maxCount: 1 }
-  ]),
-  (req, res) => {
+  ...uploadDocuments,
+  async (req, res) => {
     try {
+      // Field-level errors for the form to show next to its inputs
+      const { values, errors } = Validation.validate('noc', req.body);
+      if (Validation.hasErrors(errors)) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: 'Please correct the highlighted fields',
+          errors
+        });
+      }
+
       const {
         buildingType,
         propertyName,
@@ -91,56 +366,64 @@ app.post('/api/applications',
         applicantName,
         mobile,
         email,
-        applicantType
-      } = req.body;
-
-      // Validate required fields
-      if (!buildingType || !propertyName || !plotNumber || !address || 
-          !builtupArea || !floors || !applicantName || !mobile || !email || !applicantType) {
-        return res.status(400).json({
-          success: false,
-          message: 'All required fields must be filled'
-        });
-      }
+        applicantType,
+        latitude,
+        longitude
+      } = values;
+      const { language } = req.body;
 
       // Generate application number
-      appCounter++;
-      const appNo = `NOC${appCounter}`;
+      const seq = await store.nextSequence('appNo', APP_NO_START);
+      const appNo = `NOC${seq}`;
 
       // Create application object
       const newApplication = {
         appNo,
+        seq,
         buildingType,
         propertyName,
         plotNumber,
         address,
-        builtupArea: parseInt(builtupArea),
-        floors: parseInt(floors),
+        builtupArea,
+        floors,
         applicantName,
         mobile,
         email,
+        contactKeys: contactKeys({ mobile, email }),
         applicantType,
+        // Optional map pin; routes the application to its jurisdiction's queue
+        ...stations.route(latitude === undefined ? null : { lat: latitude, lng: longitude }),
+        language: isKnownLanguage(language) ? language : config.notifications.defaultLanguage,
         submittedDate: new Date().toISOString(),
-        status: 'Pending',
-        statusClass: statusClasses['Pending'],
+        status: Status.CODES.PENDING,
+        remarks: '',
+        statusHistory: [
+          workflow.historyEntry(null, Status.CODES.PENDING, { actor: applicantName })
+        ],
+        sla: Sla.track(config.sla.rules, { status: Status.CODES.PENDING, buildingType }),
         files: {
           buildingPlan: req.files?.buildingPlan?.[0]?.filename || null,
           propertyDoc: req.files?.propertyDoc?.[0]?.filename || null,
           idProof: req.files?.idProof?.[0]?.filename || null
-        }
+        },
+        fileMeta: req.fileMeta
       };
 
-      applications.push(newApplication);
+      const saved = await store.applications.insert(newApplication);
 
       console.log('New application created:', appNo);
+      notifyApplicant('submitted', saved);
+      publishApplication('created', saved);
       
       res.json({
         success: true,
         message: 'Application submitted successfully',
-        data: newApplication
+        data: Status.decorate(saved)
       });
     } catch (error) {
       console.error('Error submitting application:', error);
+      // Don't leave files behind that no record points to
+      removeUploadedFiles(req.files);
       res.status(500).json({
         success: false,
         message: 'Error submitting application: ' + error.message
@@ -149,21 +432,132 @@ app.post('/api/applications',
   }
 );
 
-// Get specific application
-app.get('/api/applications/:appNo', (req, res) => {
+// Apply to renew an approved NOC (staff, or the applicant who holds it).
+// Property and applicant details come from the original; only documents
+// that changed need uploading, the rest are reused.
+app.post('/api/applications/:appNo/renewal',
+  requireStaffOrApplicant,
+  ...uploadDocuments,
+  async (req, res) => {
+    try {
+      const original = await store.applications.findOne({ appNo: req.params.appNo });
+
+      if (!original || Retention.isDeleted(original) || (req.applicant && !ownsApplication(req, original))) {
+        removeUploadedFiles(req.files);
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      if (original.status !== Status.CODES.APPROVED || !original.certificate) {
+        removeUploadedFiles(req.files);
+        return res.status(409).json({
+          success: false,
+          message: 'Only an approved NOC can be renewed'
+        });
+      }
+
+      if (original.renewedBy) {
+        removeUploadedFiles(req.files);
+        return res.status(409).json({
+          success: false,
+          message: `A renewal has already been filed for this NOC (${original.renewedBy})`
+        });
+      }
+
+      const windowStart = new Date(original.certificate.validUntil).getTime() - config.expiry.renewalWindowDays * DAY_MS;
+      if (Date.now() < windowStart) {
+        removeUploadedFiles(req.files);
+        return res.status(409).json({
+          success: false,
+          message: `Renewal opens ${config.expiry.renewalWindowDays} days before the NOC expires (from ${new Date(windowStart).toLocaleDateString('en-IN')})`
+        });
+      }
+
+      const seq = await store.nextSequence('appNo', APP_NO_START);
+      const appNo = `NOC${seq}`;
+      const actor = req.user ? req.user.username : original.applicantName;
+
+      const renewal = {
+        appNo,
+        seq,
+        ...Object.fromEntries(RENEWAL_COPIED_FIELDS.map(field => [field, original[field]])),
+        contactKeys: contactKeys(original),
+        applicationType: 'renewal',
+        renewalOf: original.appNo,
+        submittedDate: new Date().toISOString(),
+        status: Status.CODES.PENDING,
+        remarks: '',
+        statusHistory: [
+          workflow.historyEntry(null, Status.CODES.PENDING, { actor, remarks: `Renewal of ${original.appNo}` })
+        ],
+        sla: Sla.track(config.sla.rules, { status: Status.CODES.PENDING, buildingType: original.buildingType }),
+        files: Object.fromEntries(DOCUMENT_FIELDS.map(field => [
+          field,
+          req.files?.[field]?.[0]?.filename || (original.files && original.files[field]) || null
+        ])),
+        // Checksums of reused documents come along with them
+        fileMeta: [
+          ...req.fileMeta,
+          ...(original.fileMeta || []).filter(meta => !req.files?.[meta.field])
+        ]
+      };
+
+      // Claiming the original first means two renewals filed at once can't
+      // both go through
+      const claimed = await store.applications.update({ appNo: original.appNo, renewedBy: null }, { renewedBy: appNo });
+
+      if (!claimed) {
+        removeUploadedFiles(req.files);
+        return res.status(409).json({
+          success: false,
+          message: 'A renewal has already been filed for this NOC'
+        });
+      }
+
+      const saved = await store.applications.insert(renewal);
+
+      console.log(`✅ Renewal ${appNo} filed for ${original.appNo}`);
+      notifyApplicant('submitted', saved);
+      publishApplication('created', saved);
+
+      res.status(201).json({
+        success: true,
+        message: 'Renewal application submitted successfully',
+        data: Status.decorate(saved)
+      });
+    } catch (error) {
+      console.error('Error submitting renewal:', error);
+      removeUploadedFiles(req.files);
+      res.status(500).json({
+        success: false,
+        message: 'Error submitting renewal'
+      });
+    }
+  }
+);
+
+// Get specific application (staff, or the applicant who filed it)
+app.get('/api/applications/:appNo', requireStaffOrApplicant, async (req, res) => {
   try {
-    const application = applications.find(app => app.appNo === req.params.appNo);
+    const application = await store.applications.findOne({ appNo: req.params.appNo });
     
-    if (!application) {
+    // Applicants get a 404 for other people's applications too
+    if (!application || (req.applicant && !ownsApplication(req, application))) {
       return res.status(404).json({
         success: false,
         message: 'Application not found'
       });
     }
 
+    if (req.user) {
+      await audit.record(req, 'viewed', { record: { type: 'application', id: application.appNo } });
+    }
+
     res.json({
       success: true,
-      data: application
+      data: Status.decorate(application)
     });
   } catch (error) {
     console.error('Error fetching application:', error);
@@ -174,9 +568,144 @@ app.get('/api/applications/:appNo', (req, res) => {
   }
 });
 
+// Update application status (supports both PATCH and PUT)
+app.patch('/api/applications/:appNo/status', requireAuth, updateApplicationStatus);
+app.put('/api/applications/:appNo/status', requireAuth, updateApplicationStatus);
+
+async function updateApplicationStatus(req, res) {
+  try {
+    const { appNo } = req.params;
+    const { remarks } = req.body;
+    const status = Status.normalize(req.body.status);
+
+    if (!workflow.isKnownStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${statusList(workflow.STATUSES)}`
+      });
+    }
+
+    if (!Permissions.can(req.user.role, Permissions.permissionForNocStatus(status))) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role (${req.user.role}) cannot move applications to "${Status.label(status)}"`
+      });
+    }
+
+    const application = await store.applications.findOne({ appNo });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (Retention.isRemoved(application)) {
+      return res.status(409).json({
+        success: false,
+        message: Retention.blockedMessage('Application', application)
+      });
+    }
+
+    if (!workflow.canTransition(application.status, status)) {
+      const allowed = workflow.allowedTransitions(application.status);
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from "${Status.label(application.status)}" to "${Status.label(status)}". ` +
+          (allowed.length ? `Allowed: ${statusList(allowed)}` : 'No further changes are allowed.'),
+        allowedStatuses: allowed
+      });
+    }
+
+    const actor = req.user.username;
+    const entry = workflow.historyEntry(application.status, status, { remarks: remarks || '', actor });
+
+    const changes = {
+      status,
+      remarks: remarks || application.remarks || '',
+      updatedBy: actor,
+      updatedDate: entry.at,
+      statusHistory: [...(application.statusHistory || []), entry],
+      sla: Sla.track(config.sla.rules, { status, buildingType: application.buildingType }, entry.at)
+    };
+
+    // Approval issues the signed NOC certificate, naming the approving officer
+    if (status === Status.CODES.APPROVED) {
+      changes.certificate = await createCertificate(store, config, application, actor);
+    }
+
+    // Matching on the current status makes the update fail if someone else
+    // changed the application in the meantime
+    const updated = await store.applications.update({ appNo, status: application.status }, changes);
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application was updated by someone else. Please reload and try again.'
+      });
+    }
+
+    // A rejected renewal frees the original NOC for another attempt
+    if (status === Status.CODES.REJECTED && updated.renewalOf) {
+      await store.applications.update({ appNo: updated.renewalOf, renewedBy: appNo }, { renewedBy: null });
+    }
+
+    console.log(`✅ Application ${appNo} status updated: ${Status.label(application.status)} → ${Status.label(status)}`);
+    await audit.record(req, 'status_changed', {
+      record: { type: 'application', id: appNo },
+      changes: Audit.changesBetween(application, updated, ['status', 'remarks'])
+    });
+    notifyApplicant(eventForStatus(status), updated);
+    publishApplication('updated', updated, req.user.username);
+
+    res.json({
+      success: true,
+      message: 'Application status updated successfully',
+      data: Status.decorate(updated)
+    });
+  } catch (error) {
+    console.error('Error updating application status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating application status'
+    });
+  }
+}
+
+// Upload rejections from multer (size, unexpected field) and other
+// unhandled errors
+app.use((err, req, res, next) => {
+  console.error('Request error:', err.message);
+  removeUploadedFiles(req.files);
+  res.status(err.name === 'MulterError' ? 400 : 500).json({
+    success: false,
+    message: err.message
+  });
+});
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`✅ Server is running on http://localhost:${PORT}`);
-  console.log(`✅ API available at http://localhost:${PORT}/api`);
-  console.log(`✅ Health check: http://localhost:${PORT}/api/health`);
-});
\ No newline at end of file
+store.connect()
+  .then(() => normalizeApplicationStatuses(store))
+  .then(() => backfillApplicationSeq(store))
+  .then(() => backfillContactKeys(store))
+  .then(() => {
+    console.log(`✅ Storage ready (${config.storage.driver})`);
+    if (!process.env.CERTIFICATE_SECRET) {
+      console.warn('⚠️  CERTIFICATE_SECRET is not set; NOC certificates are signed with a development key');
+    }
+    notifier.start();
+    expiryJob.start();
+    slaJob.start();
+    app.listen(PORT, () => {
+      console.log(`✅ Server is running on http://localhost:${PORT}`);
+      console.log(`✅ Notifications: ${deliveryChannel.describe()}`);
+      console.log(`✅ Upload scanning: ${uploadPipeline.describe()}`);
+      console.log(`✅ API available at http://localhost:${PORT}/api`);
+      console.log(`✅ Health check: http://localhost:${PORT}/api/health`);
+    });
+  })
+  .catch(error => {
+    console.error('❌ Could not open storage:', error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { matches, sortDocs } = require('./query');
+
+// JSON-file storage adapter. Every collection is a <name>.json file in dataDir,
+// held in memory and flushed to disk (temp file + rename) before a write call
+// resolves, so a crash never leaves a half-written file behind.
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createFileStore({ dataDir, collections }) {
+  const data = {};
+  const writeQueues = {};
+
+  function filePath(name) {
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  function load(name, fallback) {
+    const file = filePath(name);
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Writes to the same file are chained so they land on disk in call order
+  function flush(name) {
+    const previous = writeQueues[name] || Promise.resolve();
+    const next = previous.then(async () => {
+      const file = filePath(name);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(data[name], null, 2));
+      await fs.promises.rename(tmp, file);
+    });
+    writeQueues[name] = next.catch(() => {});
+    return next;
+  }
+
+  function createCollection(name) {
+    return {
+      async insert(doc) {
+        data[name].push(clone(doc));
+        await flush(name);
+        return clone(doc);
+      },
+
+      async findOne(filter) {
+        return clone(data[name].find(doc => matches(doc, filter)) || null);
+      },
+
+      async find(filter = {}, { sort, skip = 0, limit } = {}) {
+        let docs = sortDocs(data[name].filter(doc => matches(doc, filter)), sort);
+        docs = docs.slice(skip, limit ? skip + limit : undefined);
+        return clone(docs);
+      },
+
+      async count(filter = {}) {
+        return data[name].filter(doc => matches(doc, filter)).length;
+      },
+
+      // Shallow update: top-level fields in `changes` replace existing values
+      async update(filter, changes) {
+        const doc = data[name].find(d => matches(d, filter));
+        if (!doc) return null;
+        Object.assign(doc, clone(changes));
+        await flush(name);
+        return clone(doc);
+      },
+
+      // Adds `counts` ({ field: n }) to numeric fields of the first match;
+      // find and change happen in one step, so concurrent calls never
+      // lose an increment
+      async increment(filter, counts) {
+        const doc = data[name].find(d => matches(d, filter));
+        if (!doc) return null;
+        Object.entries(counts).forEach(([field, n]) => {
+          doc[field] = (doc[field] || 0) + n;
+        });
+        await flush(name);
+        return clone(doc);
+      },
+
+      async updateMany(filter, changes) {
+        const docs = data[name].filter(d => matches(d, filter));
+        docs.forEach(doc => Object.assign(doc, clone(changes)));
+        if (docs.length) await flush(name);
+        return docs.length;
+      },
+
+      async remove(filter) {
+        const index = data[name].findIndex(doc => matches(doc, filter));
+        if (index === -1) return null;
+        const [removed] = data[name].splice(index, 1);
+        await flush(name);
+        return removed;
+      }
+    };
+  }
+
+  const store = {
+    async connect() {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      for (const name of Object.keys(collections)) {
+        data[name] = load(name, []);
+      }
+      data.counters = load('counters', {});
+    },
+
+    // Counters are persisted before the value is handed out, so a number is
+    // never issued twice even if the process dies right after.
+    async nextSequence(name, start = 0) {
+      const current = data.counters[name] !== undefined ? data.counters[name] : start;
+      data.counters[name] = current + 1;
+      await flush('counters');
+      return data.counters[name];
+    },
+
+    async close() {
+      await Promise.all(Object.values(writeQueues));
+    }
+  };
+
+  for (const name of Object.keys(collections)) {
+    store[name] = createCollection(name);
+  }
+
+  return store;
+}
+
+module.exports = createFileStore;
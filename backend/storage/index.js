@@ -0,0 +1,29 @@
+const createFileStore = require('./fileStore');
+const createMongoStore = require('./mongoStore');
+
+// Collections known to the store, with the Mongoose model backing each one.
+// The file adapter only uses the names.
+const collections = {
+  applications: require('../models/application'),
+  admins: require('../models/admin'),
+  sessions: require('../models/session'),
+  otpChallenges: require('../models/otpChallenge'),
+  applicantSessions: require('../models/applicantSession'),
+  notifications: require('../models/notification'),
+  incidents: require('../models/incident'),
+  contacts: require('../models/emergencyContact'),
+  auditLog: require('../models/auditEntry')
+};
+
+function createStore({ driver, dataDir, mongoUri }) {
+  switch (driver) {
+    case 'file':
+      return createFileStore({ dataDir, collections });
+    case 'mongo':
+      return createMongoStore({ mongoUri, collections });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "file" or "mongo")`);
+  }
+}
+
+module.exports = { createStore };
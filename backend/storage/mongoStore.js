@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/counter');
+
+// MongoDB storage adapter. Exposes the same collection interface as the file
+// adapter on top of the Mongoose models registered in storage/index.js.
+
+const HIDDEN_FIELDS = '-_id -__v';
+
+function createCollection(Model) {
+  return {
+    async insert(doc) {
+      const created = await Model.create(doc);
+      return Model.findById(created._id).select(HIDDEN_FIELDS).lean();
+    },
+
+    async findOne(filter) {
+      return Model.findOne(filter).select(HIDDEN_FIELDS).lean();
+    },
+
+    async find(filter = {}, { sort, skip = 0, limit } = {}) {
+      let query = Model.find(filter).select(HIDDEN_FIELDS).skip(skip);
+      if (sort) query = query.sort(sort);
+      if (limit) query = query.limit(limit);
+      return query.lean();
+    },
+
+    async count(filter = {}) {
+      return Model.countDocuments(filter);
+    },
+
+    async update(filter, changes) {
+      return Model.findOneAndUpdate(filter, { $set: changes }, { new: true, runValidators: true })
+        .select(HIDDEN_FIELDS)
+        .lean();
+    },
+
+    async increment(filter, counts) {
+      return Model.findOneAndUpdate(filter, { $inc: counts }, { new: true })
+        .select(HIDDEN_FIELDS)
+        .lean();
+    },
+
+    async updateMany(filter, changes) {
+      const result = await Model.updateMany(filter, { $set: changes });
+      return result.modifiedCount;
+    },
+
+    async remove(filter) {
+      return Model.findOneAndDelete(filter).select(HIDDEN_FIELDS).lean();
+    }
+  };
+}
+
+function createMongoStore({ mongoUri, collections }) {
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI must be set when STORAGE_DRIVER=mongo');
+  }
+
+  const store = {
+    async connect() {
+      await mongoose.connect(mongoUri);
+    },
+
+    // Atomic $inc on the counters collection; safe across server instances
+    async nextSequence(name, start = 0) {
+      try {
+        await Counter.updateOne({ _id: name }, { $setOnInsert: { seq: start } }, { upsert: true });
+      } catch (error) {
+        // Another instance created the counter first
+        if (error.code !== 11000) throw error;
+      }
+      const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+      return counter.seq;
+    },
+
+    async close() {
+      await mongoose.disconnect();
+    }
+  };
+
+  for (const [name, Model] of Object.entries(collections)) {
+    store[name] = createCollection(Model);
+  }
+
+  return store;
+}
+
+module.exports = createMongoStore;
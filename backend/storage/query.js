@@ -0,0 +1,61 @@
+// Minimal in-memory evaluation of Mongo-style filters and sorts, so the file
+// adapter accepts the same query objects as the MongoDB adapter.
+
+function getPath(doc, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition !== null && typeof condition === 'object' &&
+    !Array.isArray(condition) && Object.keys(condition).some(k => k.startsWith('$'));
+
+  // As in MongoDB, null also matches a missing field
+  if (condition === null) return value == null;
+
+  if (!isOperatorObject) {
+    return Array.isArray(value) ? value.includes(condition) : value === condition;
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$in': return operand.includes(value);
+      case '$ne': return value !== operand;
+      // Range operators never match a missing field. Dates are stored as ISO
+      // strings, so they compare correctly as strings.
+      case '$gt': return value != null && value > operand;
+      case '$gte': return value != null && value >= operand;
+      case '$lt': return value != null && value < operand;
+      case '$lte': return value != null && value <= operand;
+      case '$regex': return typeof value === 'string' && new RegExp(operand, condition.$options || '').test(value);
+      case '$options': return true;
+      default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => key === '$or'
+    ? condition.some(alternative => matches(doc, alternative))
+    : matchesCondition(getPath(doc, key), condition));
+}
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function sortDocs(docs, sort) {
+  if (!sort) return docs;
+  const keys = Object.entries(sort);
+  return docs.sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const result = compare(getPath(a, key), getPath(b, key));
+      if (result !== 0) return direction < 0 ? -result : result;
+    }
+    return 0;
+  });
+}
+
+module.exports = { matches, sortDocs, getPath };
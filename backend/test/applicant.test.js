@@ -0,0 +1,208 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const config = require('../config');
+const Retention = require('../../shared/retention');
+const { contactKeys } = require('../contact');
+const { useTempStore } = require('./helpers');
+const { createDeliveryChannel } = require('../channels');
+const { createAuthMiddleware } = require('../middleware/auth');
+const applicantRoutes = require('../routes/applicant');
+
+// Applicant sign-in with one-time codes, sent through the file delivery
+// channel
+
+const MAX_ATTEMPTS = config.applicant.otpMaxAttempts;
+
+const temp = useTempStore();
+let outboxFile;
+let store;
+let server;
+let base;
+
+async function post(url, body, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${url}`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+// Messages the file channel has written so far
+const outbox = () => (fs.existsSync(outboxFile) ? fs.readFileSync(outboxFile, 'utf8').trim().split('\n').map(JSON.parse) : []);
+
+// An application as server.js stores it
+function application(appNo, fields) {
+  return { appNo, status: 'pending', ...fields, contactKeys: contactKeys(fields), removed: null };
+}
+
+// Signs in with a code sent for `appNo`; returns the session token
+async function signIn(appNo) {
+  const { challengeId, code } = await requestCode(appNo);
+  const { body } = await post('/applicant/verify', { challengeId, code });
+  return body.data.token;
+}
+
+// Stores an application and requests a code for its mobile number;
+// returns the challenge id and the code that was sent
+async function requestCode(appNo) {
+  await store.applications.insert(application(appNo, { mobile: '+91 98765 43210', email: 'asha@example.com' }));
+  const { body } = await post('/applicant/otp', { appNo, contact: '9876543210' });
+  const message = outbox().filter(m => m.text.includes(appNo)).pop();
+  return { challengeId: body.data.challengeId, code: message.text.match(/is (\d{6})/)[1] };
+}
+
+// A database round trip lets parallel requests interleave; the file store
+// answers at once, so every call waits a moment first
+function withLatency(collection) {
+  return Object.fromEntries(Object.entries(collection).map(([method, call]) => [
+    method,
+    async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return call(...args);
+    }
+  ]));
+}
+
+const wrongCode = code => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+before(async () => {
+  ({ store } = temp);
+  outboxFile = path.join(temp.dataDir, 'outbox.jsonl');
+
+  const { requireApplicant } = createAuthMiddleware(store);
+  const channel = createDeliveryChannel({ email: 'file', sms: 'file', outboxFile });
+  const app = express();
+  app.use(express.json());
+  const slowStore = { ...store, otpChallenges: withLatency(store.otpChallenges) };
+  app.use('/api', applicantRoutes({ store: slowStore, config, channel, requireApplicant }));
+  server = await new Promise(resolve => {
+    const httpServer = app.listen(0, () => resolve(httpServer));
+  });
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => {
+  if (server) server.close();
+});
+
+describe('applicant one-time codes', () => {
+  it('sends a code to the application mobile and signs in with it once', async () => {
+    const { challengeId, code } = await requestCode('NOC1001');
+    const [message] = outbox();
+    assert.equal(message.channel, 'sms');
+    assert.equal(message.to, '9876543210');
+
+    const verified = await post('/applicant/verify', { challengeId, code });
+    assert.equal(verified.status, 200);
+    assert.ok(verified.body.data.token);
+
+    const me = await fetch(`${base}/applicant/me`, { headers: { Authorization: `Bearer ${verified.body.data.token}` } });
+    assert.equal((await me.json()).data.applicant.value, '9876543210');
+
+    const again = await post('/applicant/verify', { challengeId, code });
+    assert.equal(again.status, 401);
+  });
+
+  it('answers the same when the contact does not match, without sending', async () => {
+    await store.applications.insert(application('NOC1002', { mobile: '9876543210' }));
+    const sent = outbox().length;
+
+    const { status, body } = await post('/applicant/otp', { appNo: 'NOC1002', contact: '9123456789' });
+    assert.equal(status, 200);
+    assert.ok(body.data.challengeId);
+    assert.equal(outbox().length, sent);
+  });
+
+  it('locks the code after the allowed number of wrong attempts', async () => {
+    const { challengeId, code } = await requestCode('NOC1003');
+
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      const { body } = await post('/applicant/verify', { challengeId, code: wrongCode(code) });
+      assert.equal(body.message, 'Incorrect verification code');
+    }
+
+    const locked = await post('/applicant/verify', { challengeId, code });
+    assert.equal(locked.status, 401);
+    assert.match(locked.body.message, /expired/);
+  });
+
+  it('counts every one of many parallel guesses', async () => {
+    const { challengeId, code } = await requestCode('NOC1004');
+
+    const guesses = Array.from({ length: MAX_ATTEMPTS * 2 }, () =>
+      post('/applicant/verify', { challengeId, code: wrongCode(code) }));
+    await Promise.all(guesses);
+
+    const challenge = await store.otpChallenges.findOne({ challengeId });
+    assert.equal(challenge.attempts, MAX_ATTEMPTS);
+    assert.equal((await post('/applicant/verify', { challengeId, code })).status, 401);
+  });
+
+  it('starts one session when the right code is sent twice at once', async () => {
+    const { challengeId, code } = await requestCode('NOC1005');
+    const sessions = await store.applicantSessions.count();
+
+    const results = await Promise.all([
+      post('/applicant/verify', { challengeId, code }),
+      post('/applicant/verify', { challengeId, code })
+    ]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 401]);
+    assert.equal(await store.applicantSessions.count(), sessions + 1);
+  });
+
+  it('asks for a wait before sending another code', async () => {
+    await requestCode('NOC1006');
+
+    const { status } = await post('/applicant/otp', { appNo: 'NOC1006', contact: '9876543210' });
+    assert.equal(status, 429);
+  });
+
+  it('throttles and checks codes for a contact that does not match like one that does', async () => {
+    await store.applications.insert(application('NOC1007', { mobile: '9876543210' }));
+
+    const first = await post('/applicant/otp', { appNo: 'NOC1007', contact: '9123456789' });
+    const again = await post('/applicant/otp', { appNo: 'NOC1007', contact: '9123456789' });
+    assert.equal(again.status, 429);
+    assert.match(again.body.message, /Please wait \d+ seconds/);
+
+    const guess = await post('/applicant/verify', { challengeId: first.body.data.challengeId, code: '123456' });
+    assert.equal(guess.status, 401);
+    assert.equal(guess.body.message, 'Incorrect verification code');
+  });
+});
+
+describe('GET /applicant/applications', () => {
+  it('lists the applications filed with the verified contact, except those in the trash', async () => {
+    await store.applications.insert(application('NOC1102', { mobile: '98765 43210' }));
+    await store.applications.insert({
+      ...application('NOC1103', { mobile: '9876543210' }),
+      removed: Retention.mark('deleted', 'sup', 'Duplicate')
+    });
+    await store.applications.insert(application('NOC1104', { mobile: '9123456789', email: 'asha@example.com' }));
+    const token = await signIn('NOC1101');
+
+    const res = await fetch(`${base}/applicant/applications`, { headers: { Authorization: `Bearer ${token}` } });
+    const appNos = (await res.json()).data.map(a => a.appNo);
+
+    assert.ok(appNos.includes('NOC1101'));
+    assert.ok(appNos.includes('NOC1102'));
+    assert.ok(!appNos.includes('NOC1103'));
+    assert.ok(!appNos.includes('NOC1104'));
+  });
+});
+
+describe('console delivery channel', () => {
+  it('prints the message to the server log', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const channel = createDeliveryChannel({ email: 'console', sms: 'console', outboxFile });
+
+    await channel.send({ channel: 'sms', to: '9876543210', subject: 'Fire NOC application tracking', text: 'Your code is 123456' });
+    log.mock.restore();
+
+    assert.equal(log.mock.callCount(), 1);
+    assert.match(log.mock.calls[0].arguments[0], /sms → 9876543210.*Your code is 123456/);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const config = require('../config');
+const Retention = require('../../shared/retention');
+const { useTempStore } = require('./helpers');
+const { createCertificate, checkCertificate } = require('../certificates');
+const certificateRoutes = require('../routes/certificates');
+
+// Certificate verification and the expiry report
+
+const APPLICATION = {
+  appNo: 'NOC1001',
+  buildingType: 'commercial',
+  propertyName: 'Sunrise Towers',
+  plotNumber: 'P-12',
+  address: 'MG Road, Pune',
+  status: 'approved',
+  removed: null
+};
+
+const temp = useTempStore();
+let store;
+let server;
+let base;
+const audited = [];
+
+const allow = (req, res, next) => next();
+
+async function verify(certificate, { html = false, sig = certificate.signature } = {}) {
+  const query = sig === null ? '' : `?sig=${sig}`;
+  const url = `${base}/certificates/verify/${certificate.certificateNo}${query}`;
+  const res = await fetch(url, { headers: { Accept: html ? 'text/html' : 'application/json' } });
+  return html ? res.text() : (await res.json()).data;
+}
+
+// An approved application with a certificate, stored under `appNo`
+async function approved(appNo) {
+  const application = { ...APPLICATION, appNo };
+  application.certificate = await createCertificate(store, config, application, 'sup');
+  await store.applications.insert(application);
+  return application;
+}
+
+before(async () => {
+  ({ store } = temp);
+
+  const app = express();
+  app.use('/api', certificateRoutes({
+    store,
+    config,
+    requireAuth: allow,
+    requireStaffOrApplicant: allow,
+    audit: { record: async (req, action, entry) => audited.push({ action, ...entry }) }
+  }));
+  server = await new Promise(resolve => {
+    const httpServer = app.listen(0, () => resolve(httpServer));
+  });
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => {
+  if (server) server.close();
+});
+
+describe('checkCertificate', () => {
+  const { secret } = config.certificate;
+  const signed = application => ({ secret, signature: application.certificate.signature });
+
+  it('accepts an unchanged certificate and rejects an edited record', async () => {
+    const application = await approved('NOC2001');
+
+    assert.equal(checkCertificate(application, signed(application)), 'valid');
+    assert.equal(checkCertificate({ ...application, propertyName: 'Other' }, signed(application)), 'invalid');
+    assert.equal(checkCertificate(application, { secret, signature: 'forged' }), 'invalid');
+  });
+
+  it('rejects a certificate checked without its signature', async () => {
+    const application = await approved('NOC2003');
+
+    assert.equal(checkCertificate(application, { secret }), 'invalid');
+    assert.equal(checkCertificate(application, { secret, signature: '' }), 'invalid');
+  });
+
+  it('revokes the certificate of an application in the trash', async () => {
+    const application = await approved('NOC2002');
+    const trashed = { ...application, removed: Retention.mark('deleted', 'sup', 'Duplicate') };
+    const archived = { ...application, removed: Retention.mark('archived', 'sup', '') };
+
+    assert.equal(checkCertificate(trashed, signed(application)), 'revoked');
+    assert.equal(checkCertificate(archived, signed(application)), 'valid');
+  });
+});
+
+describe('GET /certificates/verify/:certificateNo', () => {
+  it('shows the certificate details while it is valid', async () => {
+    const { certificate } = await approved('NOC1001');
+
+    const result = await verify(certificate);
+    assert.equal(result.status, 'valid');
+    assert.equal(result.appNo, 'NOC1001');
+    assert.equal(result.propertyName, 'Sunrise Towers');
+  });
+
+  it('reports a trashed application as revoked, without its details', async () => {
+    const { certificate } = await approved('NOC1002');
+    await store.applications.update({ appNo: 'NOC1002' }, { removed: Retention.mark('deleted', 'sup', 'Withdrawn') });
+
+    const result = await verify(certificate);
+    assert.deepEqual(result, { certificateNo: certificate.certificateNo, status: 'revoked' });
+    assert.match(await verify(certificate, { html: true }), /Certificate revoked/);
+  });
+
+  it('reports a purged application as invalid', async () => {
+    const { certificate } = await approved('NOC1003');
+    await store.applications.remove({ appNo: 'NOC1003' });
+
+    assert.equal((await verify(certificate)).status, 'invalid');
+  });
+
+  it('rejects a signature that does not match', async () => {
+    const { certificate } = await approved('NOC1004');
+
+    assert.deepEqual(await verify(certificate, { sig: 'forged' }), { certificateNo: certificate.certificateNo, status: 'invalid' });
+  });
+
+  it('shows nothing but an invalid status without a signature', async () => {
+    const { certificate } = await approved('NOC1005');
+
+    assert.deepEqual(await verify(certificate, { sig: null }), { certificateNo: certificate.certificateNo, status: 'invalid' });
+    assert.doesNotMatch(await verify(certificate, { html: true, sig: null }), /Sunrise Towers/);
+  });
+});
+
+describe('GET /certificates/expiring', () => {
+  it('records the report read with the window asked for', async () => {
+    const res = await fetch(`${base}/certificates/expiring?within=expired`);
+    assert.equal(res.status, 200);
+
+    const entry = audited.at(-1);
+    assert.equal(entry.action, 'listed');
+    assert.deepEqual(entry.details, { view: 'certificate_expiry', filters: { within: 'expired' }, shown: 0 });
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvRow } = require('../../shared/exports/csv');
+const { toCsv, parseCsv } = require('../contactFormats');
+
+describe('csvRow', () => {
+  it('quotes fields with commas, quotes or line breaks', () => {
+    assert.equal(csvRow(['a,b', 'say "hi"', 'two\nlines', 'plain']), '"a,b","say ""hi""","two\nlines",plain\r\n');
+  });
+
+  it('writes empty fields for missing values and numbers as they are', () => {
+    assert.equal(csvRow([null, undefined, 0, -12.5, false]), ',,0,-12.5,false\r\n');
+  });
+
+  it('keeps formulas from running but leaves phone numbers alone', () => {
+    assert.equal(
+      csvRow(['=HYPERLINK("x")', '@SUM(A1)', '-2+3', '+91 98765 43210', '-5', '(022) 2262-0111']),
+      '"\'=HYPERLINK(""x"")",\'@SUM(A1),\'-2+3,+91 98765 43210,-5,(022) 2262-0111\r\n'
+    );
+  });
+});
+
+describe('contacts CSV', () => {
+  const contact = {
+    name: 'Fort Fire Station',
+    category: 'fire_station',
+    role: '=cmd',
+    phone: '+91 22 2262 0111',
+    email: 'fort@example.com',
+    address: 'Fort, Mumbai'
+  };
+
+  it('writes the same cells as the list exports', () => {
+    const [header, row] = toCsv([contact]).replace(/^\uFEFF/, '').split('\r\n');
+
+    assert.equal(header, 'Name,Category,Role,Phone,Backup Phone,Email,Address,Jurisdiction');
+    assert.ok(row.startsWith('Fort Fire Station,'));
+    assert.ok(row.includes(",'=cmd,+91 22 2262 0111,,fort@example.com,\"Fort, Mumbai\","));
+  });
+
+  it('reads back what it writes', () => {
+    const { records } = parseCsv(toCsv([contact]).replace(/^\uFEFF/, ''));
+
+    assert.equal(records[0].fields.phone, '+91 22 2262 0111');
+    assert.equal(records[0].fields.address, 'Fort, Mumbai');
+  });
+});
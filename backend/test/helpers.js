@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { before, after } = require('node:test');
+const { createStore } = require('../storage');
+
+// Shared setup for the test files. Each helper registers before/after hooks
+// in the calling file, so call it at the top level, ahead of the file's own
+// hooks; the fields of the returned object are set once its before hook has
+// run.
+
+const makeTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'noc-test-'));
+
+// A temporary directory, removed after the last test
+function useTempDir() {
+  const temp = { dir: null };
+
+  before(() => {
+    temp.dir = makeTempDir();
+  });
+
+  after(() => {
+    if (temp.dir) fs.rmSync(temp.dir, { recursive: true, force: true });
+  });
+
+  return temp;
+}
+
+// A file store in a temporary directory; pending writes finish before the
+// directory is removed
+function useTempStore() {
+  const temp = { store: null, dataDir: null };
+
+  before(async () => {
+    temp.dataDir = makeTempDir();
+    temp.store = createStore({ driver: 'file', dataDir: temp.dataDir });
+    await temp.store.connect();
+  });
+
+  after(async () => {
+    if (temp.store) await temp.store.close();
+    if (temp.dataDir) fs.rmSync(temp.dataDir, { recursive: true, force: true });
+  });
+
+  return temp;
+}
+
+module.exports = { useTempDir, useTempStore };
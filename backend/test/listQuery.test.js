@@ -0,0 +1,49 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ListQuery = require('../../shared/listQuery');
+const { useTempStore } = require('./helpers');
+const { backfillApplicationSeq } = require('../migrations');
+
+// List paging and ordering
+
+const temp = useTempStore();
+let store;
+
+before(() => {
+  ({ store } = temp);
+  mock.method(console, 'log', () => {});
+});
+
+describe('ListQuery.parse', () => {
+  it('ends every sort on a unique key', () => {
+    assert.deepEqual(ListQuery.parse('noc', {}).sort, { submittedDate: 1, seq: 1 });
+    assert.deepEqual(ListQuery.parse('inspection', { sort: 'riskScore' }).sort, { riskScore: 1, createdAt: -1, reviewId: -1 });
+  });
+
+  it('sorts the application number on its number part', () => {
+    assert.deepEqual(ListQuery.parse('noc', { sort: '-appNo' }).sort, { seq: -1 });
+  });
+
+  it('refuses unknown sort fields', () => {
+    assert.match(ListQuery.parse('noc', { sort: 'seq' }).error, /Invalid sort field "seq"/);
+  });
+});
+
+describe('application list order', () => {
+  it('backfills seq and pages by application number past NOC9999', async () => {
+    const submittedDate = '2026-01-01T00:00:00.000Z';
+    for (const appNo of ['NOC10000', 'NOC9999', 'NOC10001', 'NOC9998']) {
+      await store.applications.insert({ appNo, submittedDate });
+    }
+    await backfillApplicationSeq(store);
+
+    const list = ListQuery.parse('noc', { limit: 2 });
+    const pages = [];
+    for (const page of [1, 2]) {
+      pages.push(...await store.applications.find(list.filter, { sort: list.sort, skip: (page - 1) * 2, limit: 2 }));
+    }
+
+    assert.deepEqual(pages.map(a => a.appNo), ['NOC9998', 'NOC9999', 'NOC10000', 'NOC10001']);
+    assert.deepEqual(pages.map(a => a.seq), [9998, 9999, 10000, 10001]);
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStore } = require('./helpers');
+const { createNotifier, nocNotification } = require('../notifications');
+const { EVENTS, LANGUAGES, renderMessage, eventForStatus } = require('../notifications/templates');
+
+// The notifier, delivering through a stand-in channel that records messages
+// and fails on request
+
+const APPLICATION = {
+  appNo: 'NOC1001',
+  applicantName: 'Asha Patil',
+  mobile: '+91 98765 43210',
+  email: 'asha@example.com',
+  propertyName: 'Sunrise Towers',
+  status: 'approved',
+  language: 'hi'
+};
+
+const SETTINGS = { maxAttempts: 3, retryDelaySeconds: 0, defaultLanguage: 'en' };
+
+const temp = useTempStore();
+let store;
+let channel;
+let notifier;
+
+// Delivery stand-in; fails the next `failures` sends
+function createTestChannel() {
+  return {
+    sent: [],
+    failures: 0,
+    async send(message) {
+      if (this.failures > 0) {
+        this.failures--;
+        throw new Error('Gateway unavailable');
+      }
+      this.sent.push(message);
+    }
+  };
+}
+
+before(() => {
+  ({ store } = temp);
+  // Failed attempts are logged on purpose
+  mock.method(console, 'error', () => {});
+});
+
+beforeEach(() => {
+  channel = createTestChannel();
+  notifier = createNotifier({ store, channel, config: { notifications: SETTINGS } });
+});
+
+describe('notify', () => {
+  it('sends one message per contact, in the applicant\'s language', async () => {
+    await notifier.notify('approved', nocNotification({ ...APPLICATION, appNo: 'NOC2001' }));
+
+    assert.deepEqual(channel.sent.map(m => [m.channel, m.to]), [['sms', '9876543210'], ['email', 'asha@example.com']]);
+    const entries = await store.notifications.find({ reference: 'NOC2001' });
+    assert.deepEqual(entries.map(e => e.status), ['sent', 'sent']);
+    assert.ok(entries.every(e => e.language === 'hi' && e.source === 'noc' && e.attempts === 1));
+    assert.match(entries[0].text, /^प्रिय Asha Patil, .*NOC2001/);
+  });
+
+  it('falls back to the default language', async () => {
+    await notifier.notify('submitted', nocNotification({ ...APPLICATION, appNo: 'NOC2002', language: 'xx', email: '' }));
+
+    const [entry] = await store.notifications.find({ reference: 'NOC2002' });
+    assert.equal(entry.language, 'en');
+    assert.match(entry.text, /has been received/);
+  });
+
+  it('retries a failed delivery until it goes through', async () => {
+    channel.failures = 1;
+    await notifier.notify('submitted', nocNotification({ ...APPLICATION, appNo: 'NOC2003', email: '' }));
+
+    let [entry] = await store.notifications.find({ reference: 'NOC2003' });
+    assert.equal(entry.status, 'retrying');
+    assert.equal(entry.lastError, 'Gateway unavailable');
+
+    await notifier.retryDue();
+    [entry] = await store.notifications.find({ reference: 'NOC2003' });
+    assert.equal(entry.status, 'sent');
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.lastError, null);
+  });
+
+  it('gives up after the maximum number of attempts', async () => {
+    channel.failures = SETTINGS.maxAttempts;
+    await notifier.notify('submitted', nocNotification({ ...APPLICATION, appNo: 'NOC2004', email: '' }));
+    for (let i = 1; i < SETTINGS.maxAttempts; i++) await notifier.retryDue();
+
+    const [entry] = await store.notifications.find({ reference: 'NOC2004' });
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, SETTINGS.maxAttempts);
+    assert.equal(entry.nextAttemptAt, null);
+    assert.equal(channel.sent.length, 0);
+  });
+
+  it('never rejects, even when storage fails', async () => {
+    const broken = { notifications: { insert: async () => { throw new Error('disk full'); } } };
+    const failing = createNotifier({ store: broken, channel, config: { notifications: SETTINGS } });
+
+    await failing.notify('submitted', nocNotification(APPLICATION));
+    assert.equal(channel.sent.length, 0);
+  });
+});
+
+describe('notifyStaff', () => {
+  it('emails every account with the role that has an address', async () => {
+    await store.admins.insert({ username: 'sup1', role: 'supervisor', email: 'sup1@example.com' });
+    await store.admins.insert({ username: 'sup2', role: 'supervisor', email: '' });
+    await store.admins.insert({ username: 'clerk', role: 'clerk', email: 'clerk@example.com' });
+
+    const messaged = await notifier.notifyStaff('sla_breached', 'supervisor', {
+      reference: 'NOC2005',
+      source: 'noc',
+      data: { property: 'Sunrise Towers', status: 'under_review', days: 9, dueAt: '2026-01-01T00:00:00Z' }
+    });
+
+    assert.deepEqual(messaged, ['sup1']);
+    assert.deepEqual(channel.sent.map(m => m.to), ['sup1@example.com']);
+    assert.match(channel.sent[0].text, /Dear sup1, .*"Under Review" for 9 days/);
+  });
+});
+
+describe('templates', () => {
+  it('render every event in every language', () => {
+    const data = { reference: 'NOC1', source: 'noc', name: 'Asha', property: 'Towers', status: 'approved', remarks: 'ok', validUntil: '2027-01-01', daysLeft: 30, days: 3, dueAt: '2027-01-01' };
+    LANGUAGES.forEach(language => EVENTS.forEach(event => {
+      const message = renderMessage(event, language, data);
+      assert.ok(message.subject && message.text, `${language} ${event}`);
+    }));
+  });
+
+  it('pick the event for a status change', () => {
+    assert.equal(eventForStatus('approved'), 'approved');
+    assert.equal(eventForStatus('query_raised'), 'query_raised');
+    assert.equal(eventForStatus('rejected'), 'status_changed');
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Permissions = require('../../shared/permissions');
+const { requirePermission } = require('../middleware/auth');
+
+// What each staff role may do, and the middleware that enforces it
+
+const P = Permissions.PERMISSIONS;
+
+// Role -> exactly the permissions it should have
+const EXPECTED = {
+  clerk: [P.NOC_REVIEW],
+  inspector: [P.INSPECTION_UPDATE],
+  dispatcher: [P.INCIDENT_UPDATE, P.CONTACT_MANAGE],
+  supervisor: Object.values(P),
+  admin: Object.values(P)
+};
+
+describe('can', () => {
+  Object.entries(EXPECTED).forEach(([role, granted]) => {
+    it(`grants a ${role} exactly its permissions`, () => {
+      Object.values(P).forEach(permission => {
+        assert.equal(Permissions.can(role, permission), granted.includes(permission), `${role}: ${permission}`);
+      });
+    });
+  });
+
+  it('grants nothing to unknown or missing roles', () => {
+    ['applicant', 'Admin', 'toString', '', undefined, null].forEach(role => {
+      assert.equal(Permissions.isKnownRole(role), false, String(role));
+      Object.values(P).forEach(permission => assert.equal(Permissions.can(role, permission), false));
+    });
+  });
+});
+
+describe('status permissions', () => {
+  it('lets a clerk start a NOC review but not decide it', () => {
+    assert.equal(Permissions.permissionForNocStatus('under_review'), P.NOC_REVIEW);
+    ['approved', 'rejected', 'query_raised'].forEach(status => {
+      assert.equal(Permissions.permissionForNocStatus(status), P.NOC_DECIDE, status);
+      assert.equal(Permissions.can('clerk', Permissions.permissionForNocStatus(status)), false, status);
+    });
+  });
+
+  it('lets an inspector move a safety review along but not decide it', () => {
+    ['under_review', 'query_raised'].forEach(status => {
+      assert.equal(Permissions.permissionForInspectionStatus(status), P.INSPECTION_UPDATE, status);
+    });
+    ['approved', 'rejected'].forEach(status => {
+      assert.equal(Permissions.permissionForInspectionStatus(status), P.INSPECTION_DECIDE, status);
+      assert.equal(Permissions.can('inspector', Permissions.permissionForInspectionStatus(status)), false, status);
+    });
+  });
+});
+
+describe('requirePermission', () => {
+  // Runs the middleware for a user with `role`; returns the status it
+  // answered with, or 'next' when it let the request through
+  function run(role, permission) {
+    let result = null;
+    const req = { user: role === undefined ? undefined : { username: 'u', role } };
+    const res = {
+      status(code) { result = code; return this; },
+      json() { return this; }
+    };
+    requirePermission(permission)(req, res, () => { result = 'next'; });
+    return result;
+  }
+
+  it('passes a role that has the permission', () => {
+    assert.equal(run('clerk', P.NOC_REVIEW), 'next');
+    assert.equal(run('supervisor', P.RECORD_PURGE), 'next');
+  });
+
+  it('refuses a role without it, or a request without a user, with 403', () => {
+    assert.equal(run('clerk', P.NOC_DECIDE), 403);
+    assert.equal(run('inspector', P.AUDIT_VIEW), 403);
+    assert.equal(run('dispatcher', P.NOC_DELETE), 403);
+    assert.equal(run(undefined, P.NOC_REVIEW), 403);
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const Retention = require('../../shared/retention');
+const { useTempStore, useTempDir } = require('./helpers');
+const retentionRoutes = require('../routes/retention');
+
+// Trash, restore and the purge of applications past retention
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY = { keepYears: 7, trashDays: 30 };
+
+const temp = useTempStore();
+const uploads = useTempDir();
+let store;
+let server;
+let base;
+const audited = [];
+// Runs once between the purge reading the trash and removing from it
+let afterTrashRead = null;
+
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// An application submitted `submittedDays` ago with one stored document,
+// optionally already in the trash for `trashedDays`
+async function application(appNo, { submittedDays = 10, trashedDays = null } = {}) {
+  const filename = `${appNo}-plan.pdf`;
+  fs.writeFileSync(path.join(uploads.dir, filename), 'plan');
+  return store.applications.insert({
+    appNo,
+    propertyName: `Property ${appNo}`,
+    status: 'approved',
+    submittedDate: daysAgo(submittedDays),
+    files: { buildingPlan: filename },
+    removed: trashedDays === null ? null : { ...Retention.mark('deleted', 'sup', 'Duplicate'), at: daysAgo(trashedDays) }
+  });
+}
+
+const post = (url, body = {}, method = 'POST') => fetch(`${base}${url}`, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+}).then(async res => ({ status: res.status, body: await res.json() }));
+
+const stored = appNo => store.applications.findOne({ appNo });
+const fileKept = appNo => fs.existsSync(path.join(uploads.dir, `${appNo}-plan.pdf`));
+
+before(async () => {
+  ({ store } = temp);
+  mock.method(console, 'log', () => {});
+
+  // The route reads the trash through store.applications.find
+  const applications = Object.create(store.applications);
+  applications.find = async (...args) => {
+    const found = await store.applications.find(...args);
+    const hook = afterTrashRead;
+    afterTrashRead = null;
+    if (hook) await hook();
+    return found;
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { username: 'sup', role: 'admin' };
+    next();
+  });
+  app.use('/api', retentionRoutes({
+    store: { ...store, applications },
+    config: { retention: POLICY },
+    requireAuth: (req, res, next) => next(),
+    uploadsDir: uploads.dir,
+    publishApplication: () => {},
+    audit: { record: async (req, action, entry) => audited.push({ action, ...entry }) }
+  }));
+  server = await new Promise(resolve => {
+    const httpServer = app.listen(0, () => resolve(httpServer));
+  });
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => {
+  mock.restoreAll();
+  if (server) server.close();
+});
+
+describe('DELETE /applications/:appNo', () => {
+  it('moves the application to the trash and keeps its documents', async () => {
+    await application('NOC3001');
+
+    const res = await post('/applications/NOC3001', { reason: 'Duplicate' }, 'DELETE');
+    assert.equal(res.status, 200);
+
+    const trashed = await stored('NOC3001');
+    assert.equal(trashed.removed.state, 'deleted');
+    assert.equal(trashed.removed.reason, 'Duplicate');
+    assert.ok(fileKept('NOC3001'));
+    assert.deepEqual(audited.at(-1).record, { type: 'application', id: 'NOC3001' });
+  });
+
+  it('refuses an application already in the trash', async () => {
+    await application('NOC3002', { trashedDays: 1 });
+
+    assert.equal((await post('/applications/NOC3002', {}, 'DELETE')).status, 409);
+  });
+});
+
+describe('POST /applications/:appNo/restore', () => {
+  it('takes the application out of the trash', async () => {
+    await application('NOC3003', { trashedDays: 1 });
+
+    const res = await post('/applications/NOC3003/restore');
+    assert.equal(res.status, 200);
+    assert.equal((await stored('NOC3003')).removed, null);
+  });
+
+  it('refuses an application that is in use', async () => {
+    await application('NOC3004');
+
+    assert.equal((await post('/applications/NOC3004/restore')).status, 409);
+  });
+});
+
+describe('POST /applications/purge', () => {
+  it('destroys only trashed applications past retention, with their documents', async () => {
+    await application('NOC3101', { submittedDays: 8 * 365, trashedDays: 40 });
+    // Still within its years of retention
+    await application('NOC3102', { submittedDays: 365, trashedDays: 40 });
+    // Not long enough in the trash
+    await application('NOC3103', { submittedDays: 8 * 365, trashedDays: 5 });
+    // Old, but in use
+    await application('NOC3104', { submittedDays: 8 * 365 });
+
+    const dryRun = await post('/applications/purge', { dryRun: true });
+    assert.deepEqual(dryRun.body.data.records.map(record => record.appNo), ['NOC3101']);
+    assert.ok(await stored('NOC3101'));
+
+    const res = await post('/applications/purge');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.records.map(record => record.appNo), ['NOC3101']);
+    assert.equal(res.body.data.removedFiles, 1);
+
+    assert.equal(await stored('NOC3101'), null);
+    assert.ok(!fileKept('NOC3101'));
+    for (const appNo of ['NOC3102', 'NOC3103', 'NOC3104']) {
+      assert.ok(await stored(appNo), appNo);
+      assert.ok(fileKept(appNo), appNo);
+    }
+    assert.equal(audited.at(-1).action, 'purged');
+  });
+
+  it('skips an application restored and deleted again while the purge runs', async () => {
+    await application('NOC3201', { submittedDays: 8 * 365, trashedDays: 40 });
+    afterTrashRead = async () => {
+      await post('/applications/NOC3201/restore');
+      await post('/applications/NOC3201', {}, 'DELETE');
+    };
+
+    const res = await post('/applications/purge');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.records, []);
+
+    const trashed = await stored('NOC3201');
+    assert.equal(trashed.removed.state, 'deleted');
+    assert.ok(fileKept('NOC3201'));
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { createSlaJob } = require('../jobs/slaEscalation');
+const { useTempStore } = require('./helpers');
+
+// The SLA check on NOC applications, with stand-ins for the notifier and
+// the dashboard stream
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const temp = useTempStore();
+let store;
+
+before(() => {
+  ({ store } = temp);
+  mock.method(console, 'log', () => {});
+});
+
+// An application that entered `status` `days` days ago
+function waiting(appNo, status, days, fields = {}) {
+  const at = new Date(Date.now() - days * DAY_MS).toISOString();
+  return {
+    appNo,
+    buildingType: 'commercial',
+    status,
+    statusHistory: [{ from: null, to: status, at }],
+    submittedDate: at,
+    removed: null,
+    ...fields
+  };
+}
+
+describe('SLA check', () => {
+  it('gives untracked applications due dates and escalates the overdue ones once', async () => {
+    await store.applications.insert(waiting('NOC3001', 'under_review', 20));
+    await store.applications.insert(waiting('NOC3002', 'under_review', 2));
+    await store.applications.insert(waiting('NOC3003', 'approved', 90));
+    await store.applications.insert(waiting('NOC3004', 'pending', 9, { removed: { state: 'deleted' } }));
+
+    const notified = [];
+    const published = [];
+    const job = createSlaJob({
+      store,
+      config,
+      notifier: { notifyStaff: (event, role, notification) => notified.push([event, role, notification.reference]) },
+      publishApplication: (change, application) => published.push(application.appNo)
+    });
+
+    assert.deepEqual(await job.run(), { tracked: 2, escalated: 1 });
+    assert.deepEqual(notified, [['sla_breached', config.sla.escalateTo, 'NOC3001']]);
+    assert.deepEqual(published, ['NOC3001']);
+
+    const overdue = await store.applications.findOne({ appNo: 'NOC3001' });
+    assert.equal(overdue.sla.escalatedTo, config.sla.escalateTo);
+    assert.equal((await store.applications.findOne({ appNo: 'NOC3002' })).sla.escalatedAt, null);
+    assert.equal((await store.applications.findOne({ appNo: 'NOC3003' })).sla, undefined);
+
+    assert.deepEqual(await job.run(), { tracked: 0, escalated: 0 });
+    assert.equal(notified.length, 1);
+  });
+});
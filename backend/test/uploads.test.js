@@ -0,0 +1,160 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { useTempDir } = require('./helpers');
+const { createUploadPipeline } = require('../../shared/uploads');
+const { createScanner, EICAR } = require('../../shared/uploads/scanners');
+
+// Upload scanning with the stand-in scanners and a stand-in clamd
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const RULES = { idProof: { label: 'ID proof', types: ['png'], maxBytes: 1024 * 1024 } };
+
+const temp = useTempDir();
+let tmpDir;
+let clamd;
+let clamdPort;
+
+// Writes `content` under a temporary upload name, as multer would
+function upload(content, name = `idProof-${Date.now()}-${Math.random()}.upload`) {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, content);
+  return { fieldname: 'idProof', originalname: 'id.png', path: filePath, filename: name };
+}
+
+// Runs the pipeline's middleware on one file; returns what it answered
+async function check(pipeline, file) {
+  const req = { files: { idProof: [file] }, ip: '127.0.0.1' };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await pipeline.check(req, res, () => { passed = true; });
+  return { passed, req, res };
+}
+
+const pipelineWith = (scanner, options = {}) => createUploadPipeline({
+  rules: RULES,
+  quarantineDir: path.join(tmpDir, 'quarantine'),
+  scanner,
+  scannerOptions: { port: clamdPort, host: '127.0.0.1', timeoutMs: 2000 },
+  ...options
+});
+
+// clamd INSTREAM stand-in: reads length-prefixed chunks up to the
+// zero-length one and answers FOUND for the EICAR string
+const INSTREAM = 'zINSTREAM\0';
+
+function startClamd() {
+  return new Promise(resolve => {
+    const server = net.createServer(socket => {
+      let received = Buffer.alloc(0);
+      socket.on('data', data => {
+        received = Buffer.concat([received, data]);
+        const content = [];
+        let offset = INSTREAM.length;
+        while (offset + 4 <= received.length) {
+          const size = received.readUInt32BE(offset);
+          if (size === 0) {
+            const file = Buffer.concat(content);
+            return socket.end(file.includes(EICAR) ? 'stream: Eicar-Signature FOUND\0' : 'stream: OK\0');
+          }
+          if (offset + 4 + size > received.length) return;
+          content.push(received.subarray(offset + 4, offset + 4 + size));
+          offset += 4 + size;
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+before(async () => {
+  tmpDir = temp.dir;
+  clamd = await startClamd();
+  clamdPort = clamd.address().port;
+  // Quarantines and scanner failures are logged on purpose
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => {
+  if (clamd) clamd.close();
+});
+
+describe('scanners', () => {
+  it('none passes every file without looking at it', async () => {
+    assert.deepEqual(await createScanner('none').scan('/no/such/file'), { clean: true, signature: null, skipped: true });
+  });
+
+  it('eicar flags files containing the test string', async () => {
+    const scanner = createScanner('eicar');
+    assert.deepEqual(await scanner.scan(upload(PNG).path), { clean: true, signature: null });
+    assert.deepEqual(await scanner.scan(upload(Buffer.concat([PNG, Buffer.from(EICAR)])).path), { clean: false, signature: 'EICAR-Test-File' });
+  });
+
+  it('clamav streams the file to clamd and reads its verdict', async () => {
+    const scanner = createScanner('clamav', { port: clamdPort, host: '127.0.0.1' });
+    assert.deepEqual(await scanner.scan(upload(PNG).path), { clean: true, signature: null });
+    assert.deepEqual(await scanner.scan(upload(Buffer.from(EICAR)).path), { clean: false, signature: 'Eicar-Signature' });
+  });
+
+  it('clamav rejects when clamd cannot be reached', async () => {
+    const scanner = createScanner('clamav', { port: 1, host: '127.0.0.1' });
+    await assert.rejects(scanner.scan(upload(PNG).path), /ClamAV at 127\.0\.0\.1/);
+  });
+
+  it('refuses an unknown scanner name', () => {
+    assert.throws(() => createScanner('antivirus'), /Unknown upload scanner "antivirus"/);
+  });
+});
+
+describe('upload pipeline', () => {
+  it('accepts a clean file under the extension of its real type', async () => {
+    const { passed, req } = await check(pipelineWith('eicar'), upload(PNG));
+
+    assert.ok(passed);
+    const [meta] = req.fileMeta;
+    assert.match(meta.filename, /\.png$/);
+    assert.equal(meta.scan.engine, 'eicar');
+    assert.equal(meta.scan.result, 'clean');
+    assert.ok(fs.existsSync(path.join(tmpDir, meta.filename)));
+  });
+
+  it('quarantines an infected file and answers 422', async () => {
+    const file = upload(Buffer.concat([PNG, Buffer.from(EICAR)]));
+    const { passed, res } = await check(pipelineWith('eicar'), file);
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.errors.idProof, 'ID proof was rejected by the virus scan');
+    assert.equal(fs.existsSync(file.path), false);
+
+    const quarantined = fs.readdirSync(path.join(tmpDir, 'quarantine'));
+    const details = JSON.parse(fs.readFileSync(path.join(tmpDir, 'quarantine', quarantined.find(name => name.endsWith('.json')))));
+    assert.equal(details.signature, 'EICAR-Test-File');
+    assert.ok(quarantined.some(name => name.endsWith('.quarantine')));
+  });
+
+  it('fails closed when the scanner is down, unless told to fail open', async () => {
+    const down = { port: 1, host: '127.0.0.1', timeoutMs: 2000 };
+
+    const closed = await check(pipelineWith('clamav', { scannerOptions: down }), upload(PNG));
+    assert.equal(closed.passed, false);
+    assert.equal(closed.res.statusCode, 503);
+
+    const open = await check(pipelineWith('clamav', { scannerOptions: down, failOpen: true }), upload(PNG));
+    assert.ok(open.passed);
+    assert.equal(open.req.fileMeta[0].scan.result, 'skipped');
+  });
+
+  it('marks files as skipped with no scanner', async () => {
+    const { passed, req } = await check(pipelineWith('none'), upload(PNG));
+
+    assert.ok(passed);
+    assert.equal(req.fileMeta[0].scan.result, 'skipped');
+  });
+});
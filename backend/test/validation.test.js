@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Validation = require('../../shared/validation');
+
+// Field-level errors of the NOC and safety review schemas
+
+const NOC = {
+  buildingType: 'commercial',
+  propertyName: ' Sunrise Towers ',
+  plotNumber: 'P-12',
+  address: 'MG Road, Pune',
+  builtupArea: '1200',
+  floors: '6',
+  applicantName: 'Asha Rao',
+  mobile: '+91 98765-43210',
+  email: 'asha@example.com',
+  applicantType: 'owner'
+};
+
+const REVIEW = {
+  buildingName: 'Lakeview Mall',
+  buildingType: 'commercial',
+  address: 'Ring Road, Nagpur',
+  numberOfFloors: '4',
+  occupancyLoad: '800',
+  yearConstruction: '2004',
+  ownerName: 'Ravi Kumar',
+  contactNumber: '09876543210'
+};
+
+const errorsFor = (kind, input, options) => Validation.validate(kind, input, options).errors;
+
+describe('validate noc', () => {
+  it('accepts a complete application, trimmed and parsed', () => {
+    const { values, errors } = Validation.validate('noc', NOC);
+
+    assert.deepEqual(errors, {});
+    assert.equal(Validation.hasErrors(errors), false);
+    assert.equal(values.propertyName, 'Sunrise Towers');
+    assert.equal(values.builtupArea, 1200);
+    assert.equal(values.floors, 6);
+  });
+
+  it('names each missing required field', () => {
+    const errors = errorsFor('noc', { ...NOC, propertyName: '  ', mobile: null, email: undefined });
+
+    assert.deepEqual(errors, {
+      propertyName: 'Property Name is required',
+      mobile: 'Mobile Number is required',
+      email: 'Email Address is required'
+    });
+    assert.ok(Validation.hasErrors(errors));
+  });
+
+  it('reports a message per wrong field', () => {
+    const errors = errorsFor('noc', {
+      ...NOC,
+      buildingType: 'castle',
+      builtupArea: '12.5',
+      floors: '0',
+      mobile: '12345',
+      email: 'asha@',
+      plotNumber: 'x'.repeat(51)
+    });
+
+    assert.deepEqual(errors, {
+      buildingType: 'Building Type must be one of: residential, commercial, industrial, institutional, mixed',
+      builtupArea: 'Built-up Area must be a whole number',
+      floors: 'Number of Floors must be between 1 and 200',
+      mobile: 'Mobile Number must be a 10-digit mobile number',
+      email: 'Email Address must be a valid email address',
+      plotNumber: 'Plot/Survey Number must be at most 50 characters'
+    });
+  });
+
+  it('accepts a map pin only with both coordinates in range', () => {
+    assert.deepEqual(errorsFor('noc', { ...NOC, latitude: '18.52', longitude: '73.85' }), {});
+    assert.deepEqual(errorsFor('noc', { ...NOC, latitude: '18.52' }), {
+      latitude: 'Latitude needs longitude too'
+    });
+    assert.deepEqual(errorsFor('noc', { ...NOC, latitude: '91', longitude: 'east' }), {
+      latitude: 'Latitude must be between -90 and 90',
+      longitude: 'Longitude must be a number'
+    });
+  });
+
+  it('checks only the fields asked for', () => {
+    assert.deepEqual(errorsFor('noc', { floors: 'six' }, { only: ['floors'] }), {
+      floors: 'Number of Floors must be a whole number'
+    });
+  });
+});
+
+describe('validate inspection', () => {
+  it('accepts a complete review', () => {
+    assert.deepEqual(errorsFor('inspection', REVIEW), {});
+  });
+
+  it('bounds the year of construction by the current year', () => {
+    const nextYear = new Date().getFullYear() + 1;
+
+    assert.deepEqual(errorsFor('inspection', { ...REVIEW, yearConstruction: String(nextYear) }), {
+      yearConstruction: `Year of Construction must be between 1900 and ${nextYear - 1}`
+    });
+    assert.deepEqual(errorsFor('inspection', { ...REVIEW, yearConstruction: '1899' }), {
+      yearConstruction: `Year of Construction must be between 1900 and ${nextYear - 1}`
+    });
+  });
+
+  it('reports wrong review fields by name', () => {
+    const errors = errorsFor('inspection', {
+      ...REVIEW,
+      buildingType: 'institutional',
+      occupancyLoad: '-5',
+      contactNumber: '5876543210',
+      wiringCondition: 'bad'
+    });
+
+    assert.deepEqual(errors, {
+      buildingType: 'Building Type must be one of: residential, commercial, industrial, mixed, other',
+      occupancyLoad: 'Occupancy Load must be a whole number',
+      contactNumber: 'Contact Number must be a 10-digit mobile number',
+      wiringCondition: 'Wiring Condition must be one of: good, average, poor'
+    });
+  });
+
+  it('leaves optional fields out when empty', () => {
+    const { values, errors } = Validation.validate('inspection', { ...REVIEW, wiringCondition: '' });
+
+    assert.deepEqual(errors, {});
+    assert.equal('wiringCondition' in values, false);
+  });
+});
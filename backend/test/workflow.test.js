@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const workflow = require('../workflow');
+
+// Status changes a NOC application may and may not make
+
+const ALLOWED = [
+  ['pending', 'under_review'],
+  ['under_review', 'approved'],
+  ['under_review', 'rejected'],
+  ['under_review', 'query_raised'],
+  ['query_raised', 'under_review']
+];
+
+describe('canTransition', () => {
+  it('allows each step of the review flow', () => {
+    ALLOWED.forEach(([from, to]) => assert.ok(workflow.canTransition(from, to), `${from} -> ${to}`));
+  });
+
+  it('refuses every other change between known statuses', () => {
+    const allowed = new Set(ALLOWED.map(pair => pair.join('>')));
+
+    workflow.STATUSES.forEach(from => workflow.STATUSES.forEach(to => {
+      if (allowed.has(`${from}>${to}`)) return;
+      assert.equal(workflow.canTransition(from, to), false, `${from} -> ${to}`);
+    }));
+  });
+
+  it('refuses skipping the review and reopening a decision', () => {
+    assert.equal(workflow.canTransition('pending', 'approved'), false);
+    assert.equal(workflow.canTransition('query_raised', 'approved'), false);
+    assert.equal(workflow.canTransition('approved', 'under_review'), false);
+    assert.equal(workflow.canTransition('rejected', 'pending'), false);
+  });
+
+  it('refuses unknown statuses', () => {
+    assert.equal(workflow.canTransition('pending', 'cancelled'), false);
+    assert.equal(workflow.canTransition('cancelled', 'under_review'), false);
+    assert.equal(workflow.canTransition(undefined, 'under_review'), false);
+  });
+});
+
+describe('allowedTransitions', () => {
+  it('lists the next statuses, and none once decided', () => {
+    assert.deepEqual(workflow.allowedTransitions('under_review'), ['approved', 'rejected', 'query_raised']);
+    assert.deepEqual(workflow.allowedTransitions('approved'), []);
+    assert.deepEqual(workflow.allowedTransitions('rejected'), []);
+    assert.deepEqual(workflow.allowedTransitions('cancelled'), []);
+  });
+});
+
+describe('isKnownStatus', () => {
+  it('accepts the status codes only', () => {
+    workflow.STATUSES.forEach(status => assert.ok(workflow.isKnownStatus(status), status));
+    assert.equal(workflow.isKnownStatus('Under Review'), false);
+    assert.equal(workflow.isKnownStatus('submitted'), false);
+  });
+});
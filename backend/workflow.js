@@ -0,0 +1,37 @@
+const Status = require('../shared/status');
+
+// NOC application status workflow (codes and allowed changes from
+// shared/status.js).
+
+const STATUSES = Status.NOC_STATUSES;
+
+function isKnownStatus(status) {
+  return STATUSES.includes(status);
+}
+
+function allowedTransitions(from) {
+  return Status.allowedTransitions('noc', from);
+}
+
+function canTransition(from, to) {
+  return Status.canTransition('noc', from, to);
+}
+
+// One statusHistory entry; `from` is null for the initial submission
+function historyEntry(from, to, { remarks = '', actor = '' } = {}) {
+  return {
+    from,
+    to,
+    remarks,
+    actor,
+    at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  STATUSES,
+  isKnownStatus,
+  allowedTransitions,
+  canTransition,
+  historyEntry
+};
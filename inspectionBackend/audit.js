@@ -0,0 +1,14 @@
+const Audit = require('../shared/audit');
+const AuditEntry = require('./models/auditEntry');
+
+// The inspection service's audit trail (see shared/audit), kept in its own
+// database alongside the reviews
+
+const HIDDEN_FIELDS = '-_id -__v';
+
+module.exports = Audit.createAuditLog({
+  service: 'inspection',
+  lastEntry: () => AuditEntry.findOne().sort({ seq: -1 }).select(HIDDEN_FIELDS).lean(),
+  insertEntry: entry => AuditEntry.create(entry),
+  readEntries: (afterSeq, limit) => AuditEntry.find({ seq: { $gt: afterSeq } }).sort({ seq: 1 }).limit(limit).select(HIDDEN_FIELDS).lean()
+});
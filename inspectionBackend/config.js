@@ -0,0 +1,68 @@
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Runtime configuration. Values come from the environment (.env) with
+// development defaults.
+module.exports = {
+  port: process.env.PORT || 5001,
+  mongoUri: process.env.MONGODB_URI,
+  uploadsDir: process.env.UPLOADS_DIR || path.join(__dirname, 'inspection-uploads'),
+  uploads: {
+    // Files that fail the malware scan are moved here. Keep it outside
+    // uploadsDir so nothing in it can ever be served.
+    quarantineDir: process.env.QUARANTINE_DIR || path.join(__dirname, 'quarantine'),
+    // 'none', 'clamav', or 'eicar' (flags only the EICAR test file; for testing)
+    scanner: process.env.UPLOAD_SCANNER || 'none',
+    clamav: {
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: Number(process.env.CLAMAV_PORT) || 3310,
+      socket: process.env.CLAMAV_SOCKET,
+      timeoutMs: 30000
+    },
+    // Accept documents unscanned while the scanner is down
+    failOpen: process.env.UPLOAD_SCAN_FAIL_OPEN === 'true',
+    // Per document field: accepted types, size limit and PDF page limit
+    rules: {
+      buildingPlan: { label: 'Building plan', types: ['pdf'], maxBytes: 10 * MB, maxPages: 50 },
+      equipmentLayout: { label: 'Equipment layout', types: ['pdf', 'png', 'jpeg'], maxBytes: 10 * MB, maxPages: 20 },
+      electricalLayout: { label: 'Electrical layout', types: ['pdf', 'png', 'jpeg'], maxBytes: 10 * MB, maxPages: 20 },
+      previousAudit: { label: 'Previous audit report', types: ['pdf'], maxBytes: 10 * MB, maxPages: 100 },
+      additionalDocs: { label: 'Additional document', types: ['pdf', 'png', 'jpeg'], maxBytes: 5 * MB, maxPages: 20 }
+    }
+  },
+  sla: {
+    // Days a review may stay in a status before it is overdue, by building
+    // type (`default` for the others); statuses without a rule have no
+    // deadline. Escalations go to the role set by SLA_ESCALATE_TO on the
+    // NOC backend.
+    rules: {
+      pending: { default: 5 },
+      under_review: { default: 14, industrial: 21, mixed: 21 }
+    },
+    checkIntervalHours: Number(process.env.SLA_CHECK_INTERVAL_HOURS) || 1
+  },
+  // Years reviews and their documents are kept from submission, and days a
+  // deleted review stays in the trash, before a purge may destroy them
+  retention: {
+    keepYears: Number(process.env.RETENTION_YEARS) || 7,
+    trashDays: Number(process.env.RETENTION_TRASH_DAYS) || 30
+  },
+  // Optional JSON file merged over the default risk weights (riskWeights.js)
+  riskWeightsFile: process.env.RISK_WEIGHTS_FILE,
+  // GeoJSON file of fire stations and their jurisdictions (see
+  // shared/stations); unset uses the sample dataset
+  stationsFile: process.env.STATIONS_FILE,
+  // NOC backend API: staff sessions and applicant notifications live there
+  coreApiUrl: process.env.AUTH_API_URL || 'http://localhost:5000/api',
+  // Sessions checked with the NOC backend are trusted this long without
+  // asking again, so a logout or password change there takes effect within
+  // seconds. At most maxEntries tokens are kept, the oldest dropped first.
+  authCache: {
+    ttlSeconds: process.env.AUTH_CACHE_SECONDS !== undefined ? Number(process.env.AUTH_CACHE_SECONDS) : 5,
+    maxEntries: 1000
+  },
+  // Must match NOTIFICATIONS_SERVICE_KEY on the NOC backend; unset turns
+  // owner notifications off
+  notificationsServiceKey: process.env.NOTIFICATIONS_SERVICE_KEY
+};
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Connection handling lives here rather than in server.js so tests can point
+// the app at an in-process MongoDB (e.g. mongodb-memory-server) before use.
+
+async function connectDatabase(uri) {
+  if (!uri) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await mongoose.connect(uri);
+  return mongoose.connection;
+}
+
+async function disconnectDatabase() {
+  await mongoose.disconnect();
+}
+
+module.exports = { connectDatabase, disconnectDatabase };
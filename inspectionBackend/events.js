@@ -0,0 +1,22 @@
+const Status = require('../shared/status');
+const { createEventStream } = require('../shared/events');
+
+// The inspection service's live update stream (see shared/events.js). The
+// review routes and the SLA job publish to it whenever a review changes.
+
+const stream = createEventStream();
+
+// Tell open admin dashboards that a review was created, updated or deleted
+function publishReview(change, review, actor = null) {
+  stream.publish(`inspection.${change}`, {
+    inspectionId: review.reviewId,
+    buildingName: review.buildingName,
+    ownerName: review.ownerName,
+    status: review.status,
+    statusLabel: Status.label(review.status),
+    riskBand: review.riskBand,
+    actor
+  });
+}
+
+module.exports = { subscribe: stream.subscribe, publishReview };
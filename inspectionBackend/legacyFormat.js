@@ -0,0 +1,135 @@
+const Status = require('../shared/status');
+
+// Maps between the flat safety-review shape used by inspectionPage.html and
+// adminPage.html (every checklist item at the top level, files/*Url links)
+// and the nested SafetyReview model.
+
+const CHECKLIST = {
+  fireProtection: ['fireExtinguishers', 'hydrants', 'smokeDetectors', 'sprinklers', 'fireAlarm', 'emergencyExits', 'firePump'],
+  electricalSafety: ['earthing', 'panelsAccessible'],
+  structuralSafety: ['escapeRoutes', 'fireDoors', 'staircaseWidth'],
+  housekeepingStorage: ['hazardousStorage', 'corridors', 'wasteDisposal']
+};
+
+const DOCUMENT_FIELDS = ['buildingPlan', 'equipmentLayout', 'electricalLayout', 'previousAudit', 'additionalDocs'];
+
+const TEXT_FIELDS = ['buildingName', 'buildingType', 'address', 'ownerName', 'contactNumber', 'language'];
+
+const toBool = value => value === true || value === 'true';
+
+// Flat request body -> nested model fields. Only fields present in the body
+// are returned, so the result also works for partial updates. Nested groups
+// sent by newer clients are accepted as-is.
+function fromFlat(body) {
+  const review = {};
+
+  TEXT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) review[field] = body[field];
+  });
+
+  const floors = body.numberOfFloors !== undefined ? body.numberOfFloors : body.floors;
+  if (floors !== undefined) review.numberOfFloors = Number(floors);
+  if (body.occupancyLoad !== undefined) review.occupancyLoad = Number(body.occupancyLoad);
+  if (body.yearConstruction !== undefined) review.yearConstruction = Number(body.yearConstruction);
+  if (body.remarks !== undefined) review.remarks = body.remarks;
+
+  Object.entries(CHECKLIST).forEach(([group, fields]) => {
+    const nested = body[group] && typeof body[group] === 'object' ? body[group] : {};
+    fields.forEach(field => {
+      const value = body[field] !== undefined ? body[field] : nested[field];
+      if (value !== undefined) {
+        review[group] = review[group] || {};
+        review[group][field] = toBool(value);
+      }
+    });
+  });
+
+  const wiring = body.wiringCondition || (body.electricalSafety && body.electricalSafety.wiringCondition);
+  if (wiring) {
+    review.electricalSafety = review.electricalSafety || {};
+    review.electricalSafety.wiringCondition = wiring;
+  }
+
+  return review;
+}
+
+// Nested fields -> dotted paths for $set, so a partial update of one
+// checklist item doesn't reset the rest of its group
+function toUpdatePaths(fields, prefix = '') {
+  return Object.entries(fields).reduce((paths, [key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.assign(paths, toUpdatePaths(value, `${prefix}${key}.`));
+    } else {
+      paths[`${prefix}${key}`] = value;
+    }
+    return paths;
+  }, {});
+}
+
+// Model document -> flat response shape
+function toFlat(doc) {
+  const review = typeof doc.toObject === 'function' ? doc.toObject({ getters: false, virtuals: false }) : doc;
+  const documents = review.documents || {};
+
+  const flat = {
+    _id: String(review._id),
+    reviewId: review.reviewId,
+    inspectionId: review.reviewId,
+    buildingName: review.buildingName,
+    building: review.buildingName,
+    buildingType: review.buildingType,
+    address: review.address,
+    location: review.location || null,
+    jurisdiction: review.jurisdiction || null,
+    floors: review.numberOfFloors,
+    numberOfFloors: review.numberOfFloors,
+    occupancyLoad: review.occupancyLoad,
+    yearConstruction: review.yearConstruction,
+    ownerName: review.ownerName,
+    contactNumber: review.contactNumber,
+    language: review.language,
+    wiringCondition: review.electricalSafety ? review.electricalSafety.wiringCondition : undefined,
+    status: review.status,
+    statusLabel: Status.label(review.status),
+    statusClass: Status.classFor(review.status),
+    remarks: review.remarks,
+    statusHistory: review.statusHistory || [],
+    riskScore: review.riskScore,
+    riskBand: review.riskBand,
+    criticalDeficiencies: review.criticalDeficiencies || [],
+    reviewedBy: review.reviewedBy,
+    updatedBy: review.reviewedBy,
+    submittedDate: review.createdAt,
+    createdAt: review.createdAt,
+    updatedDate: review.lastUpdated,
+    sla: review.sla || null,
+    removed: review.removed || null,
+    files: {}
+  };
+
+  Object.entries(CHECKLIST).forEach(([group, fields]) => {
+    fields.forEach(field => {
+      flat[field] = !!(review[group] && review[group][field]);
+    });
+  });
+
+  DOCUMENT_FIELDS.forEach(field => {
+    const value = field === 'additionalDocs' ? (documents[field] || []) : (documents[field] || null);
+    flat.files[field] = value;
+    const first = Array.isArray(value) ? value[0] : value;
+    if (first) flat[`${field}Url`] = `/api/inspections/${review.reviewId}/documents/${Array.isArray(value) ? `${field}-1` : field}`;
+  });
+  flat.fileMeta = review.documentMeta || [];
+  flat.queries = review.queries || [];
+  flat.revisions = review.revisions || [];
+
+  return flat;
+}
+
+module.exports = {
+  CHECKLIST,
+  DOCUMENT_FIELDS,
+  fromFlat,
+  toUpdatePaths,
+  toFlat
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const Permissions = require('../../shared/permissions');
+const Retention = require('../../shared/retention');
+const config = require('../config');
+
+// Staff authentication for the inspection service. Sessions are owned by the
+// NOC backend, so a bearer token is checked against its /auth/me endpoint and
+// the answer cached briefly (config.authCache) to avoid a round trip on
+// every request of a page load.
+
+// Keyed by token hash; a Map iterates in insertion order, so the first
+// entries are the oldest
+const cache = new Map();
+
+function cached(key) {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (entry.expires <= Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+  return entry.user;
+}
+
+function remember(key, user) {
+  const { ttlSeconds, maxEntries } = config.authCache;
+  const now = Date.now();
+  cache.delete(key);
+
+  if (cache.size >= maxEntries) {
+    cache.forEach((entry, k) => {
+      if (entry.expires <= now) cache.delete(k);
+    });
+    for (const k of cache.keys()) {
+      if (cache.size < maxEntries) break;
+      cache.delete(k);
+    }
+  }
+  cache.set(key, { user, expires: now + ttlSeconds * 1000 });
+}
+
+function readBearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+async function lookupUser(token) {
+  const key = crypto.createHash('sha256').update(token).digest('hex');
+  const user = cached(key);
+  if (user) return user;
+
+  const res = await fetch(`${config.coreApiUrl}/auth/me`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  if (res.status === 401) {
+    cache.delete(key);
+    return null;
+  }
+  if (!res.ok) {
+    throw new Error(`Auth service responded with ${res.status}`);
+  }
+
+  const result = await res.json();
+  remember(key, result.data.user);
+  return result.data.user;
+}
+
+// Applicant sessions (one-time code login on nocPage.html) also live on the
+// NOC backend; resolves to { channel, value } of the verified contact
+async function lookupApplicant(token) {
+  const key = 'applicant:' + crypto.createHash('sha256').update(token).digest('hex');
+  const applicant = cached(key);
+  if (applicant) return applicant;
+
+  const res = await fetch(`${config.coreApiUrl}/applicant/me`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  if (res.status === 401) {
+    cache.delete(key);
+    return null;
+  }
+  if (!res.ok) {
+    throw new Error(`Auth service responded with ${res.status}`);
+  }
+
+  const result = await res.json();
+  remember(key, result.data.applicant);
+  return result.data.applicant;
+}
+
+// Whether the request's applicant verified the review's contact number.
+// Reviews in the trash are no longer anyone's.
+function ownsReview(req, review) {
+  if (!req.applicant || req.applicant.channel !== 'sms' || Retention.isDeleted(review)) return false;
+  const digits = String(review.contactNumber || '').replace(/\D/g, '');
+  return digits.length >= 10 && digits.slice(-10) === req.applicant.value;
+}
+
+// Storage filter for the reviews ownsReview() would grant `applicant`.
+// Contact numbers are free text ('+91 98765 43210'), so it matches the
+// verified digits as the last ten, whatever separates them. Emails own no
+// reviews.
+function ownerFilter(applicant) {
+  if (applicant.channel !== 'sms' || !/^\d{10}$/.test(applicant.value)) return { _id: null };
+  return { contactNumber: { $regex: `${applicant.value.split('').join('\\D*')}\\D*$` } };
+}
+
+async function requireAuth(req, res, next) {
+  const token = readBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required. Please log in again.'
+    });
+  }
+
+  try {
+    const user = await lookupUser(token);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required. Please log in again.'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error contacting auth service:', error.message);
+    res.status(503).json({
+      success: false,
+      message: 'Authentication service unavailable'
+    });
+  }
+}
+
+// Routes open to staff and to building owners with an applicant session.
+// Sets req.user for staff or req.applicant for owners; handlers check
+// ownership with ownsReview().
+async function requireStaffOrOwner(req, res, next) {
+  const token = readBearerToken(req);
+  const unauthorized = () => res.status(401).json({
+    success: false,
+    message: 'Authentication required. Please log in again.'
+  });
+
+  if (!token) return unauthorized();
+
+  try {
+    const user = await lookupUser(token);
+    if (user) {
+      req.user = user;
+      return next();
+    }
+
+    const applicant = await lookupApplicant(token);
+    if (!applicant) return unauthorized();
+
+    req.applicant = applicant;
+    next();
+  } catch (error) {
+    console.error('Error contacting auth service:', error.message);
+    res.status(503).json({
+      success: false,
+      message: 'Authentication service unavailable'
+    });
+  }
+}
+
+// Use after requireAuth. Refuses the request unless the user's role grants
+// `permission` (see shared/permissions.js).
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!Permissions.can(req.user && req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAuth, requireStaffOrOwner, requirePermission, ownsReview, ownerFilter, lookupUser };
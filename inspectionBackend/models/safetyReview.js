@@ -1,4 +1,71 @@
 const mongoose = require('mongoose');
+const Status = require('../../shared/status');
+const Sla = require('../../shared/sla');
+const Retention = require('../../shared/retention');
+const config = require('../config');
+const { scoreReview, loadWeights, RISK_BANDS } = require('../riskScoring');
+
+const riskWeights = loadWeights(config.riskWeightsFile);
+
+// What the upload pipeline (shared/uploads) found out about a stored document
+const documentMetaSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  filename: { type: String, required: true },
+  originalName: { type: String },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  pages: { type: Number, default: null },
+  sha256: { type: String, required: true },
+  scan: {
+    engine: { type: String },
+    result: { type: String, enum: ['clean', 'skipped'] },
+    at: { type: Date }
+  }
+}, { _id: false });
+
+// One status change with the remarks given with it; `from` is null for the
+// submission
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  remarks: { type: String, default: '' },
+  actor: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Reviewer queries and resubmissions (see shared/queries.js)
+const querySchema = new mongoose.Schema({
+  queryId: { type: String, required: true },
+  target: {
+    type: { type: String, enum: ['document', 'field'], required: true },
+    name: { type: String, required: true }
+  },
+  message: { type: String, required: true },
+  status: { type: String, enum: ['open', 'answered'], default: 'open' },
+  raisedBy: { type: String },
+  raisedAt: { type: Date, default: Date.now },
+  answeredAt: { type: Date, default: null },
+  revision: { type: Number, default: null }
+}, { _id: false });
+
+const revisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: String },
+  note: { type: String, default: '' },
+  answered: { type: [String], default: [] },
+  changes: { type: [mongoose.Schema.Types.Mixed], default: [] }
+}, { _id: false });
+
+// A document replaced by a resubmission; the file stays in uploads
+const documentVersionSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  version: { type: Number, required: true },
+  filename: { type: String, required: true },
+  meta: { type: documentMetaSchema, default: null },
+  replacedAt: { type: Date },
+  revision: { type: Number }
+}, { _id: false });
 
 const safetyReviewSchema = new mongoose.Schema({
   // Building Information
@@ -17,6 +84,24 @@ const safetyReviewSchema = new mongoose.Schema({
     required: [true, 'Address is required'],
     trim: true
   },
+  // Optional map pin, and the jurisdiction it falls in; the review is in
+  // that jurisdiction's queue (shared/stations)
+  location: {
+    type: new mongoose.Schema({
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true }
+    }, { _id: false }),
+    default: null
+  },
+  jurisdiction: {
+    type: new mongoose.Schema({
+      id: { type: String, required: true },
+      name: { type: String },
+      stationId: { type: String, default: null },
+      stationName: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
   // FIXED: Use 'numberOfFloors' to match admin panel expectations
   numberOfFloors: { 
     type: Number, 
@@ -50,6 +135,9 @@ const safetyReviewSchema = new mongoose.Schema({
     required: [true, 'Contact number is required'],
     trim: true
   },
+  // Language of the owner's SMS updates; the NOC backend's notification
+  // templates decide which ones exist and fall back to English
+  language: { type: String, default: 'en', trim: true },
 
   // Fire Safety Infrastructure Checklist
   fireProtection: {
@@ -90,8 +178,16 @@ const safetyReviewSchema = new mongoose.Schema({
     equipmentLayout: { type: String, default: null },
     electricalLayout: { type: String, default: null },
     previousAudit: { type: String, default: null },
-    additionalDocs: { type: String, default: null }
+    additionalDocs: { type: [String], default: [] }
   },
+  // One entry per stored document: real type, size, pages, SHA-256 and scan
+  // result (see shared/uploads)
+  documentMeta: { type: [documentMetaSchema], default: [] },
+  // Earlier versions of the documents above
+  documentVersions: { type: [documentVersionSchema], default: [] },
+
+  queries: { type: [querySchema], default: [] },
+  revisions: { type: [revisionSchema], default: [] },
 
   // Metadata
   reviewId: { 
@@ -109,16 +205,28 @@ const safetyReviewSchema = new mongoose.Schema({
     type: Date,
     get: function() { return this.createdAt; }
   },
-  // FIXED: Changed enum values to match lowercase
+  // Status code from shared/status.js. Older spellings ('submitted',
+  // 'Under Review', ...) are normalized on write and in query filters.
   status: { 
     type: String, 
-    enum: ['submitted', 'under review', 'approved', 'rejected'], 
-    default: 'submitted'
+    enum: Status.INSPECTION_STATUSES, 
+    default: Status.CODES.PENDING,
+    set: value => Status.normalize(value) || value
   },
   remarks: { 
     type: String, 
     default: '' 
   },
+  // Every status change; remarks above holds only the latest
+  statusHistory: { type: [statusHistorySchema], default: [] },
+  // Computed by riskScoring.js on every save; never set by clients
+  riskScore: { type: Number, min: 0, max: 100 },
+  riskBand: { type: String, enum: RISK_BANDS },
+  criticalDeficiencies: [{
+    _id: false,
+    code: String,
+    message: String
+  }],
   reviewedBy: { 
     type: String, 
     default: '' 
@@ -126,6 +234,35 @@ const safetyReviewSchema = new mongoose.Schema({
   lastUpdated: { 
     type: Date, 
     default: Date.now 
+  },
+  // Due date in the current status, set whenever the status changes, and
+  // the escalation by the SLA job once it is missed (shared/sla.js)
+  sla: {
+    type: new mongoose.Schema({
+      status: { type: String, required: true },
+      since: { type: Date, required: true },
+      dueAt: { type: Date, default: null },
+      escalatedAt: { type: Date, default: null },
+      escalatedTo: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
+  // When the review was approved or rejected (unset while undecided); used
+  // for the processing-time figures in /analytics
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the review is in the trash or the archive, and hidden from
+  // the default lists (shared/retention.js)
+  removed: {
+    type: new mongoose.Schema({
+      state: { type: String, enum: Object.keys(Retention.STATES), required: true },
+      at: { type: Date, required: true },
+      by: { type: String },
+      reason: { type: String, default: '' }
+    }, { _id: false }),
+    default: null
   }
 }, {
   // Enable virtuals in JSON
@@ -135,13 +272,48 @@ const safetyReviewSchema = new mongoose.Schema({
 
 // ADDED: Virtual for statusClass used in admin panel
 safetyReviewSchema.virtual('statusClass').get(function() {
-  const statusMap = {
-    'submitted': 'bg-yellow-600',
-    'under review': 'bg-blue-600',
-    'approved': 'bg-green-600',
-    'rejected': 'bg-red-600'
-  };
-  return statusMap[this.status] || 'bg-gray-600';
+  return Status.classFor(this.status);
+});
+
+// Move to `status`, keeping the change and its remarks in statusHistory.
+// Callers check the move with Status.canTransition(); staying in the same
+// status is not a change and records nothing. Returns whether it moved.
+safetyReviewSchema.methods.moveTo = function(status, { remarks = '', actor = '', at = new Date() } = {}) {
+  if (status === this.status) return false;
+  this.statusHistory.push({ from: this.status, to: status, remarks, actor, at });
+  this.status = status;
+  return true;
+};
+
+// Rewrite statuses stored before the shared vocabulary ('submitted',
+// 'under review', ...) to their codes. Goes through the driver directly
+// because the status setter would normalize the filter values too.
+safetyReviewSchema.statics.normalizeStoredStatuses = async function() {
+  const stored = await this.collection.distinct('status');
+  let changed = 0;
+
+  for (const value of stored) {
+    const code = Status.normalize(value);
+    if (!code || code === value) continue;
+    const result = await this.collection.updateMany({ status: value }, { $set: { status: code } });
+    changed += result.modifiedCount;
+  }
+
+  if (changed) console.log(`✅ Normalized status codes on ${changed} safety review(s)`);
+};
+
+// Re-score on every save so the stored score always matches the checklist
+safetyReviewSchema.pre('validate', function(next) {
+  this.set(scoreReview(this, riskWeights));
+  next();
+});
+
+// A new status starts a new SLA deadline
+safetyReviewSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.sla = Sla.track(config.sla.rules, this);
+  }
+  next();
 });
 
 // Pre-save hook to generate Review ID
@@ -158,10 +330,28 @@ safetyReviewSchema.pre('save', async function(next) {
   next();
 });
 
+// Score reviews stored before risk scoring existed
+safetyReviewSchema.statics.scoreUnscoredReviews = async function() {
+  const reviews = await this.find({ riskScore: { $exists: false } });
+  for (const review of reviews) {
+    try {
+      await review.save();
+    } catch (error) {
+      console.error(`Could not score safety review ${review.reviewId}:`, error.message);
+    }
+  }
+  if (reviews.length) console.log(`✅ Risk-scored ${reviews.length} existing safety review(s)`);
+};
+
 // Index for faster queries
 safetyReviewSchema.index({ reviewId: 1 });
 safetyReviewSchema.index({ buildingName: 1 });
 safetyReviewSchema.index({ status: 1 });
 safetyReviewSchema.index({ createdAt: -1 });
+safetyReviewSchema.index({ 'sla.dueAt': 1 });
+safetyReviewSchema.index({ riskScore: -1 });
+safetyReviewSchema.index({ riskBand: 1 });
+safetyReviewSchema.index({ 'removed.state': 1 });
+safetyReviewSchema.index({ 'jurisdiction.id': 1 });
 
 module.exports = mongoose.model('SafetyReview', safetyReviewSchema);
\ No newline at end of file
@@ -0,0 +1,77 @@
+const config = require('./config');
+const Status = require('../shared/status');
+
+// Owner notifications for safety reviews. The NOC backend owns the message
+// templates, delivery channels and delivery log, so events are posted to its
+// /notifications endpoint with the shared service key. Failures are logged
+// and never reach the request that triggered them. SLA escalations for staff
+// go the same way (notifyStaff).
+
+const TIMEOUT_MS = 10 * 1000;
+
+function eventForStatus(status) {
+  if (status === Status.CODES.APPROVED) return 'approved';
+  if (status === Status.CODES.QUERY_RAISED) return 'query_raised';
+  return 'status_changed';
+}
+
+async function notifyOwner(event, review) {
+  if (!config.notificationsServiceKey) return;
+
+  try {
+    const res = await fetch(`${config.coreApiUrl}/notifications`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-service-key': config.notificationsServiceKey
+      },
+      body: JSON.stringify({
+        event,
+        reference: review.reviewId,
+        language: review.language,
+        recipient: { name: review.ownerName, mobile: review.contactNumber },
+        data: { property: review.buildingName, status: review.status, remarks: review.remarks }
+      }),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    if (!res.ok) {
+      throw new Error(`Notification service responded with ${res.status}`);
+    }
+  } catch (error) {
+    console.error(`❌ Could not send ${event} notification for ${review.reviewId}:`, error.message);
+  }
+}
+
+// Escalate an overdue review to the supervisors (the NOC backend knows who
+// they are). Resolves to the role it went to, or null if it wasn't sent.
+async function notifyStaff(event, review, data) {
+  if (!config.notificationsServiceKey) return null;
+
+  try {
+    const res = await fetch(`${config.coreApiUrl}/notifications`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-service-key': config.notificationsServiceKey
+      },
+      body: JSON.stringify({
+        event,
+        reference: review.reviewId,
+        data: { property: review.buildingName, status: review.status, ...data }
+      }),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    if (!res.ok) {
+      throw new Error(`Notification service responded with ${res.status}`);
+    }
+    const result = await res.json();
+    return result.data.escalatedTo;
+  } catch (error) {
+    console.error(`❌ Could not send ${event} notification for ${review.reviewId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = { notifyOwner, notifyStaff, eventForStatus };
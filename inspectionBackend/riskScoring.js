@@ -0,0 +1,127 @@
+const fs = require('fs');
+const defaultWeights = require('./riskWeights');
+const { CHECKLIST } = require('./legacyFormat');
+
+// Fire-risk scoring for safety reviews. scoreReview() turns the checklist and
+// building details into a 0-100 score (higher is riskier), a band and a list
+// of critical deficiencies. The SafetyReview model runs it on every save.
+
+const MAX_SCORE = 100;
+
+// Lowest band a review with any critical deficiency can get
+const CRITICAL_FLOOR_BAND = 'high';
+
+// Checklist item -> the model group it lives in
+const ITEM_GROUPS = Object.entries(CHECKLIST).reduce((groups, [group, items]) => {
+  items.forEach(item => { groups[item] = group; });
+  return groups;
+}, {});
+
+const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+// Deep merge for plain objects; arrays and scalars from `override` win
+function merge(base, override = {}) {
+  const result = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    result[key] = isPlainObject(base[key]) && isPlainObject(value) ? merge(base[key], value) : value;
+  });
+  return result;
+}
+
+function loadWeights(file) {
+  if (!file) return defaultWeights;
+  return merge(defaultWeights, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Weights for one building type: the defaults with its overrides applied
+function weightsFor(buildingType, weights) {
+  const { byBuildingType = {}, ...base } = weights;
+  return merge(base, byBuildingType[buildingType]);
+}
+
+function thresholdPoints(thresholds, value) {
+  const match = (thresholds || []).find(t => value >= t.atLeast);
+  return match ? match.points : 0;
+}
+
+// Each rule looks at the nested review and returns a message when it fires
+const CRITICAL_RULES = [
+  {
+    code: 'NO_SPRINKLERS_HIGH_RISE',
+    check: (r, w) => r.numberOfFloors >= w.highRiseFloors && !r.fireProtection.sprinklers &&
+      `No sprinklers in a ${r.numberOfFloors}-floor building`
+  },
+  {
+    code: 'POOR_WIRING_NO_EARTHING',
+    check: r => r.electricalSafety.wiringCondition === 'poor' && !r.electricalSafety.earthing &&
+      'Poor wiring condition with no earthing'
+  },
+  {
+    code: 'NO_MEANS_OF_ESCAPE',
+    check: r => !r.fireProtection.emergencyExits && !r.structuralSafety.escapeRoutes &&
+      'No emergency exits and no clear escape routes'
+  },
+  {
+    code: 'NO_ALARM_LARGE_OCCUPANCY',
+    check: (r, w) => r.occupancyLoad >= w.largeOccupancy && !r.fireProtection.fireAlarm &&
+      `No fire alarm for an occupancy load of ${r.occupancyLoad}`
+  },
+  {
+    code: 'NO_EXTINGUISHERS',
+    check: r => !r.fireProtection.fireExtinguishers && 'No fire extinguishers'
+  },
+  {
+    code: 'HAZARDOUS_STORAGE_NO_HYDRANTS',
+    check: r => r.buildingType === 'industrial' && !r.housekeepingStorage.hazardousStorage &&
+      !r.fireProtection.hydrants && 'Hazardous material stored on an industrial site with no hydrants'
+  }
+];
+
+function bandFor(score, bands) {
+  return bands.find(b => score >= b.from).band;
+}
+
+// `review` is a SafetyReview document or a plain object of the same shape
+function scoreReview(review, weights = defaultWeights) {
+  const w = weightsFor(review.buildingType, weights);
+  const r = {
+    buildingType: review.buildingType,
+    numberOfFloors: Number(review.numberOfFloors) || 0,
+    occupancyLoad: Number(review.occupancyLoad) || 0,
+    yearConstruction: Number(review.yearConstruction) || new Date().getFullYear(),
+    fireProtection: review.fireProtection || {},
+    electricalSafety: review.electricalSafety || {},
+    structuralSafety: review.structuralSafety || {},
+    housekeepingStorage: review.housekeepingStorage || {}
+  };
+
+  let points = 0;
+
+  Object.entries(w.missingItem).forEach(([item, weight]) => {
+    const group = ITEM_GROUPS[item];
+    if (group && !r[group][item]) points += weight;
+  });
+
+  points += w.wiringCondition[r.electricalSafety.wiringCondition] || 0;
+  points += Math.min(Math.max(r.numberOfFloors - w.floors.above, 0) * w.floors.perFloor, w.floors.max);
+  points += thresholdPoints(w.occupancyLoad, r.occupancyLoad);
+  points += thresholdPoints(w.buildingAge, new Date().getFullYear() - r.yearConstruction);
+
+  const riskScore = Math.min(Math.round(points), MAX_SCORE);
+
+  const criticalDeficiencies = CRITICAL_RULES
+    .map(rule => ({ code: rule.code, message: rule.check(r, w) }))
+    .filter(result => result.message);
+
+  let riskBand = bandFor(riskScore, w.bands);
+  const order = w.bands.map(b => b.band);
+  if (criticalDeficiencies.length && order.indexOf(riskBand) > order.indexOf(CRITICAL_FLOOR_BAND)) {
+    riskBand = CRITICAL_FLOOR_BAND;
+  }
+
+  return { riskScore, riskBand, criticalDeficiencies };
+}
+
+const RISK_BANDS = defaultWeights.bands.map(b => b.band);
+
+module.exports = { scoreReview, loadWeights, weightsFor, RISK_BANDS };
@@ -0,0 +1,75 @@
+// Default weights for the fire-risk score (see riskScoring.js). A missing
+// checklist item adds its weight to the score; building factors add points on
+// top. `byBuildingType` entries override the defaults for that type only.
+//
+// To tune without editing code, point RISK_WEIGHTS_FILE at a JSON file with
+// the same shape; it is merged over these values.
+
+module.exports = {
+  // Points added when a checklist item is NOT in place
+  missingItem: {
+    fireExtinguishers: 10,
+    hydrants: 6,
+    smokeDetectors: 8,
+    sprinklers: 8,
+    fireAlarm: 8,
+    emergencyExits: 12,
+    firePump: 4,
+    earthing: 8,
+    panelsAccessible: 4,
+    escapeRoutes: 12,
+    fireDoors: 6,
+    staircaseWidth: 5,
+    hazardousStorage: 6,
+    corridors: 6,
+    wasteDisposal: 3
+  },
+
+  wiringCondition: { good: 0, average: 5, poor: 12 },
+
+  // One point per floor above `above`, at most `max`
+  floors: { above: 4, perFloor: 1, max: 10 },
+
+  // Highest matching threshold wins
+  occupancyLoad: [
+    { atLeast: 500, points: 8 },
+    { atLeast: 100, points: 4 }
+  ],
+
+  buildingAge: [
+    { atLeast: 40, points: 6 },
+    { atLeast: 20, points: 3 }
+  ],
+
+  // Lower bound of each band, highest first. The band names are fixed; only
+  // the thresholds are meant to be tuned.
+  bands: [
+    { band: 'critical', from: 75 },
+    { band: 'high', from: 50 },
+    { band: 'moderate', from: 25 },
+    { band: 'low', from: 0 }
+  ],
+
+  // Thresholds used by the critical deficiency rules
+  highRiseFloors: 5,
+  largeOccupancy: 500,
+
+  byBuildingType: {
+    residential: {
+      missingItem: { smokeDetectors: 10 }
+    },
+    commercial: {
+      missingItem: { fireAlarm: 10, emergencyExits: 14 }
+    },
+    industrial: {
+      missingItem: { hydrants: 10, firePump: 8, hazardousStorage: 12 },
+      occupancyLoad: [
+        { atLeast: 250, points: 8 },
+        { atLeast: 50, points: 4 }
+      ]
+    },
+    mixed: {
+      missingItem: { fireAlarm: 10 }
+    }
+  }
+};
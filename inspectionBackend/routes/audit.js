@@ -0,0 +1,71 @@
+const express = require('express');
+const AuditEntry = require('../models/auditEntry');
+const Audit = require('../../shared/audit');
+const ListQuery = require('../../shared/listQuery');
+const Permissions = require('../../shared/permissions');
+const audit = require('../audit');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+const canView = requirePermission(Permissions.PERMISSIONS.AUDIT_VIEW);
+
+// ============================================================
+// GET: Audit log, newest first. ?actor= (username), ?record=
+// (reviewId), ?action=, ?from=&to=, ?q=, page and limit as for
+// the review list
+// ============================================================
+router.get('/', requireAuth, canView, async (req, res) => {
+  try {
+    const list = Audit.listQuery(req.query);
+
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        message: list.error
+      });
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditEntry.find(list.filter).sort(list.sort).skip(list.skip).limit(list.limit).select('-_id -__v').lean(),
+      AuditEntry.countDocuments(list.filter)
+    ]);
+    res.status(200).json({
+      success: true,
+      data: entries.map(Audit.present),
+      pagination: ListQuery.pagination(list, total),
+      // Action names and labels, for the admin page's filter
+      actions: Audit.ACTIONS
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+});
+
+// ============================================================
+// GET: Check the hash chain of the whole log
+// ============================================================
+router.get('/verify', requireAuth, canView, async (req, res) => {
+  try {
+    const result = await audit.verify();
+
+    if (!result.valid) {
+      console.error(`❌ Audit log chain broken at entry ${result.brokenAt}: ${result.problem}`);
+    }
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const events = require('../events');
+const { lookupUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// ============================================================
+// GET: Live dashboard updates (Server-Sent Events, staff only)
+// EventSource can't send an Authorization header, so the session
+// token comes in ?token=
+// ============================================================
+router.get('/', async (req, res) => {
+  const token = String(req.query.token || '');
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required. Please log in again.'
+    });
+  }
+
+  try {
+    const user = await lookupUser(token);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required. Please log in again.'
+      });
+    }
+
+    events.subscribe(req, res, async () => !!(await lookupUser(token)));
+  } catch (error) {
+    console.error('Error contacting auth service:', error.message);
+    res.status(503).json({
+      success: false,
+      message: 'Authentication service unavailable'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,164 +3,274 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const SafetyReview = require('../models/safetyReview');
+const config = require('../config');
+const Permissions = require('../../shared/permissions');
+const Status = require('../../shared/status');
+const { requireAuth, requireStaffOrOwner, requirePermission, ownsReview, ownerFilter } = require('../middleware/auth');
+const { CHECKLIST, DOCUMENT_FIELDS, fromFlat, toUpdatePaths, toFlat } = require('../legacyFormat');
+const { RISK_BANDS } = require('../riskScoring');
+const { notifyOwner, eventForStatus } = require('../notifications');
+const Sla = require('../../shared/sla');
+const { publishReview } = require('../events');
+const audit = require('../audit');
+const { createUploadPipeline, removeUploadedFiles } = require('../../shared/uploads');
+const { describe, sendDocument, sendDocumentsZip } = require('../../shared/uploads/documents');
+const Queries = require('../../shared/queries');
+const Validation = require('../../shared/validation');
+const Audit = require('../../shared/audit');
+const Retention = require('../../shared/retention');
+const ListQuery = require('../../shared/listQuery');
+const { sendExport, parseExportRequest } = require('../../shared/exports');
+const Analytics = require('../../shared/analytics');
+const ExportColumns = require('../../shared/exportColumns');
+const { loadStationDirectory } = require('../../shared/stations');
 const router = express.Router();
 
+const { INSPECTION_UPDATE, INSPECTION_DELETE, RECORD_PURGE } = Permissions.PERMISSIONS;
+const { PENDING, UNDER_REVIEW, QUERY_RAISED, APPROVED, REJECTED } = Status.CODES;
+
+const statusList = Status.INSPECTION_STATUSES.map(Status.label).join(', ');
+
+// Canonical code for a status from a request, or null if it isn't one a
+// safety review can take
+function inspectionStatus(value) {
+  const code = Status.normalize(value);
+  return Status.INSPECTION_STATUSES.includes(code) ? code : null;
+}
+
+// Fire stations and jurisdictions, for routing pinned reviews
+const stations = loadStationDirectory(config.stationsFile);
+
 // Create uploads directory if it doesn't exist
-const uploadDir = 'uploads/safety-reviews';
+const uploadDir = config.uploadsDir;
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
-// Configure multer for file uploads
+// Type, size and page checks, checksums and malware scanning of uploads
+// (shared/uploads)
+const uploadPipeline = createUploadPipeline({
+  rules: config.uploads.rules,
+  quarantineDir: config.uploads.quarantineDir,
+  scanner: config.uploads.scanner,
+  scannerOptions: config.uploads.clamav,
+  failOpen: config.uploads.failOpen
+});
+
+// Configure multer for file uploads. Files get a temporary name here; the
+// upload pipeline checks them and names them after their real type.
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadDir);
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
+  filename: uploadPipeline.temporaryFilename
 });
 
-const upload = multer({ 
+const upload = multer({
   storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /pdf|jpg|jpeg|png/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+  limits: { fileSize: uploadPipeline.maxFileSize }
+});
 
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only PDF, JPG, JPEG, PNG files are allowed'));
-    }
+// Multer plus the upload checks, for every route that takes documents
+const uploadDocuments = [
+  upload.fields([
+    { name: 'buildingPlan', maxCount: 1 },
+    { name: 'equipmentLayout', maxCount: 1 },
+    { name: 'electricalLayout', maxCount: 1 },
+    { name: 'previousAudit', maxCount: 1 },
+    { name: 'additionalDocs', maxCount: 5 }
+  ]),
+  uploadPipeline.check
+];
+
+// Fields a full update may change. Status goes through /:id/status so the
+// role checks there can't be bypassed.
+const EDITABLE_FIELDS = [
+  'buildingName', 'buildingType', 'address', 'numberOfFloors', 'occupancyLoad',
+  'yearConstruction', 'ownerName', 'contactNumber', 'language', 'remarks',
+  'fireProtection', 'electricalSafety', 'structuralSafety', 'housekeepingStorage'
+];
+
+// Reviews are addressed either by Mongo _id or by reviewId
+function idFilter(id) {
+  return /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { reviewId: id };
+}
+
+function deleteStoredFiles(filenames) {
+  filenames.filter(Boolean).forEach(filename => {
+    const filePath = path.join(uploadDir, path.basename(filename));
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  });
+}
+
+// Current documents and the versions they replaced
+function documentFilenames(review) {
+  const documents = review.documents || {};
+  return [
+    ...DOCUMENT_FIELDS.flatMap(field => [].concat(documents[field] || [])),
+    ...(review.documentVersions || []).map(version => version.filename)
+  ];
+}
+
+// Stored documents of a review, as entries for shared/uploads/documents.js.
+// Fields holding several files get keys like 'additionalDocs-2'; replaced
+// versions get a '.v1' suffix. A resubmission replaces all files of a field
+// at once, so they share a version number.
+function documentEntries(review) {
+  const documents = review.documents || {};
+  const meta = review.documentMeta || [];
+  const versions = review.documentVersions || [];
+  const multiple = field => Array.isArray(documents[field]);
+
+  return DOCUMENT_FIELDS.flatMap(field => {
+    const earlier = versions.filter(v => v.field === field);
+    const earlierEntries = earlier.map(v => {
+      const index = earlier.filter(e => e.version === v.version).indexOf(v);
+      return {
+        key: `${multiple(field) ? `${field}-${index + 1}` : field}.v${v.version}`,
+        field,
+        filename: v.filename,
+        meta: v.meta,
+        version: v.version,
+        current: false,
+        replacedAt: v.replacedAt
+      };
+    });
+    const version = new Set(earlier.map(v => v.version)).size + 1;
+
+    const filenames = [].concat(documents[field] || []).filter(Boolean);
+    return [...earlierEntries, ...filenames.map((filename, i) => ({
+      key: multiple(field) ? `${field}-${i + 1}` : field,
+      field,
+      filename,
+      meta: meta.find(m => m.filename === filename) || null,
+      version,
+      current: true
+    }))];
+  });
+}
+
+// The review a staff or owner request is about, or null once a 404 has been
+// sent. Owners only get their own reviews; a foreign one looks like a
+// missing one.
+async function findVisibleReview(req, res, filter = idFilter(req.params.id)) {
+  const review = await SafetyReview.findOne(filter);
+
+  if (!review || (req.applicant && !ownsReview(req, review))) {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+    return null;
   }
-});
+  return review;
+}
+
+// 409 for work on a review in the trash or the archive; true once sent
+function refuseRemoved(res, review) {
+  if (!Retention.isRemoved(review)) return false;
+  res.status(409).json({
+    success: false,
+    message: Retention.blockedMessage('Review', review)
+  });
+  return true;
+}
 
 // ============================================================
 // POST: Submit Safety Review
 // ============================================================
-router.post('/', upload.fields([
-  { name: 'buildingPlan', maxCount: 1 },
-  { name: 'equipmentLayout', maxCount: 1 },
-  { name: 'electricalLayout', maxCount: 1 },
-  { name: 'previousAudit', maxCount: 1 },
-  { name: 'additionalDocs', maxCount: 1 }
-]), async (req, res) => {
+router.post('/', ...uploadDocuments, async (req, res) => {
   try {
-    const {
-      buildingName, buildingType, address, floors, occupancyLoad,
-      yearConstruction, ownerName, contactNumber,
-      fireExtinguishers, hydrants, smokeDetectors, sprinklers,
-      fireAlarm, emergencyExits, firePump,
-      wiringCondition, earthing, panelsAccessible,
-      escapeRoutes, fireDoors, staircaseWidth,
-      hazardousStorage, corridors, wasteDisposal
-    } = req.body;
+    const fields = fromFlat(req.body);
 
-    // Validate required fields
-    if (!buildingName || !buildingType || !address || !floors || !occupancyLoad || !yearConstruction || !ownerName || !contactNumber) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields. Please fill all marked fields with *' 
+    // Field-level errors for the form to show next to its inputs; the form
+    // sends the number of floors as `floors`
+    const { values, errors } = Validation.validate('inspection', {
+      ...req.body,
+      numberOfFloors: req.body.numberOfFloors !== undefined ? req.body.numberOfFloors : req.body.floors,
+      wiringCondition: fields.electricalSafety && fields.electricalSafety.wiringCondition
+    });
+    if (Validation.hasErrors(errors)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields',
+        errors
       });
     }
+    // wiringCondition stays in its checklist group, and the optional map
+    // pin routes the review to its jurisdiction's queue
+    const { wiringCondition, latitude, longitude, ...checked } = values;
+    Object.assign(fields, checked);
 
     // Create new safety review
     const safetyReview = new SafetyReview({
-      buildingName,
-      buildingType,
-      address,
-      numberOfFloors: Number(floors), // FIXED: use numberOfFloors
-      occupancyLoad: Number(occupancyLoad),
-      yearConstruction: Number(yearConstruction),
-      ownerName,
-      contactNumber,
-      
-      fireProtection: {
-        fireExtinguishers: fireExtinguishers === 'true' || fireExtinguishers === true,
-        hydrants: hydrants === 'true' || hydrants === true,
-        smokeDetectors: smokeDetectors === 'true' || smokeDetectors === true,
-        sprinklers: sprinklers === 'true' || sprinklers === true,
-        fireAlarm: fireAlarm === 'true' || fireAlarm === true,
-        emergencyExits: emergencyExits === 'true' || emergencyExits === true,
-        firePump: firePump === 'true' || firePump === true
-      },
-      
-      electricalSafety: {
-        wiringCondition: wiringCondition || 'good',
-        earthing: earthing === 'true' || earthing === true,
-        panelsAccessible: panelsAccessible === 'true' || panelsAccessible === true
-      },
-      
-      structuralSafety: {
-        escapeRoutes: escapeRoutes === 'true' || escapeRoutes === true,
-        fireDoors: fireDoors === 'true' || fireDoors === true,
-        staircaseWidth: staircaseWidth === 'true' || staircaseWidth === true
-      },
-      
-      housekeepingStorage: {
-        hazardousStorage: hazardousStorage === 'true' || hazardousStorage === true,
-        corridors: corridors === 'true' || corridors === true,
-        wasteDisposal: wasteDisposal === 'true' || wasteDisposal === true
-      },
+      ...fields,
+      ...stations.route(latitude === undefined ? null : { lat: latitude, lng: longitude }),
+      remarks: '',
+      statusHistory: [{ from: null, to: PENDING, actor: fields.ownerName || '' }],
 
       documents: {
-        buildingPlan: req.files?.buildingPlan?.[0]?.path,
-        equipmentLayout: req.files?.equipmentLayout?.[0]?.path,
-        electricalLayout: req.files?.electricalLayout?.[0]?.path,
-        previousAudit: req.files?.previousAudit?.[0]?.path,
-        additionalDocs: req.files?.additionalDocs?.[0]?.path
+        buildingPlan: req.files?.buildingPlan?.[0]?.filename || null,
+        equipmentLayout: req.files?.equipmentLayout?.[0]?.filename || null,
+        electricalLayout: req.files?.electricalLayout?.[0]?.filename || null,
+        previousAudit: req.files?.previousAudit?.[0]?.filename || null,
+        additionalDocs: req.files?.additionalDocs?.map(f => f.filename) || []
       },
+      documentMeta: req.fileMeta,
 
-      status: 'submitted' // FIXED: lowercase
+      status: PENDING
     });
 
     // Save to database
     await safetyReview.save();
 
+    console.log('✅ New safety review created:', safetyReview.reviewId);
+    notifyOwner('submitted', safetyReview);
+    publishReview('created', safetyReview);
+
     res.status(201).json({
       success: true,
       message: 'Safety review submitted successfully',
-      data: {
-        reviewId: safetyReview.reviewId,
-        submittedDate: safetyReview.createdAt,
-        status: safetyReview.status
-      }
+      data: toFlat(safetyReview)
     });
   } catch (error) {
+    removeUploadedFiles(req.files);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join('. ')
+      });
+    }
+
     console.error('Error creating safety review:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error submitting safety review' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error submitting safety review'
     });
   }
 });
 
 // ============================================================
-// GET: Fetch Safety Review by Review ID
+// GET: Fetch Safety Review by Review ID (staff or the owner)
 // ============================================================
-router.get('/review/:reviewId', async (req, res) => {
+router.get('/review/:reviewId', requireStaffOrOwner, async (req, res) => {
   try {
-    const review = await SafetyReview.findOne({ reviewId: req.params.reviewId });
-    
-    if (!review) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Review not found with this ID' 
-      });
-    }
-    
+    const review = await findVisibleReview(req, res, { reviewId: req.params.reviewId });
+    if (!review) return;
+
+    await audit.record(req, 'viewed', { record: { type: 'review', id: review.reviewId } });
+
     res.status(200).json({
       success: true,
-      data: review
+      data: toFlat(review)
     });
   } catch (error) {
     console.error('Error fetching review:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error fetching review' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching review'
     });
   }
 });
@@ -170,11 +280,13 @@ router.get('/review/:reviewId', async (req, res) => {
 // ============================================================
 router.get('/stats/summary', async (req, res) => {
   try {
-    const total = await SafetyReview.countDocuments();
-    const submitted = await SafetyReview.countDocuments({ status: 'submitted' });
-    const approved = await SafetyReview.countDocuments({ status: 'approved' });
-    const rejected = await SafetyReview.countDocuments({ status: 'rejected' });
-    const reviewed = await SafetyReview.countDocuments({ status: 'under review' });
+    // Reviews in use, not those in the trash or the archive
+    const inUse = { removed: null };
+    const total = await SafetyReview.countDocuments(inUse);
+    const submitted = await SafetyReview.countDocuments({ ...inUse, status: PENDING });
+    const approved = await SafetyReview.countDocuments({ ...inUse, status: APPROVED });
+    const rejected = await SafetyReview.countDocuments({ ...inUse, status: REJECTED });
+    const reviewed = await SafetyReview.countDocuments({ ...inUse, status: UNDER_REVIEW });
 
     res.status(200).json({
       success: true,
@@ -188,236 +300,912 @@ router.get('/stats/summary', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching stats:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error fetching statistics' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching statistics'
     });
   }
 });
 
+// Filter, sort and paging of a review list request: shared/listQuery.js plus
+// ?status= (comma-separated, any known spelling), ?riskBand=high,critical,
+// ?overdue=true (past the SLA due date in the current status) and
+// ?removed=deleted|archived|all for the trash and archive instead of the
+// reviews in use. Returns the parsed list or { error }.
+function reviewListQuery(query) {
+  const list = ListQuery.parse('inspection', query);
+  if (list.error) return list;
+
+  const removed = Retention.listFilter(query.removed);
+  if (removed.error) return removed;
+  Object.assign(list.filter, removed.filter);
+
+  const jurisdiction = stations.listFilter(query.jurisdiction);
+  if (jurisdiction.error) return jurisdiction;
+  Object.assign(list.filter, jurisdiction.filter);
+
+  const { status, riskBand, overdue } = query;
+  if (status && status !== 'all') {
+    const statuses = String(status).split(',').map(s => inspectionStatus(s.trim()));
+    if (!statuses.every(Boolean)) {
+      return { error: `Invalid status. Must be one of: ${statusList}` };
+    }
+    list.filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (riskBand && riskBand !== 'all') {
+    const bands = String(riskBand).toLowerCase().split(',').map(b => b.trim());
+    if (!bands.every(b => RISK_BANDS.includes(b))) {
+      return { error: `Invalid risk band. Must be one of: ${RISK_BANDS.join(', ')}` };
+    }
+    list.filter.riskBand = { $in: bands };
+  }
+
+  if (overdue === 'true') {
+    list.filter.status = list.filter.status || { $in: Sla.trackedStatuses(config.sla.rules) };
+    list.filter['sla.dueAt'] = { $lt: new Date() };
+  }
+  return list;
+}
+
 // ============================================================
-// GET: Fetch All Safety Reviews
+// GET: Fetch All Safety Reviews (filters in reviewListQuery). Staff
+// see every review, the trash and the archive; owners their own reviews
 // ============================================================
-router.get('/', async (req, res) => {
+router.get('/', requireStaffOrOwner, async (req, res) => {
   try {
-    const { status, q } = req.query;
-    let query = {};
-    
-    // Filter by status if provided
-    if (status && status !== 'all') {
-      query.status = status.toLowerCase();
-    }
-    
-    // Search functionality
-    if (q) {
-      query.$or = [
-        { buildingName: { $regex: q, $options: 'i' } },
-        { ownerName: { $regex: q, $options: 'i' } },
-        { reviewId: { $regex: q, $options: 'i' } }
-      ];
-    }
-    
-    const reviews = await SafetyReview.find(query)
-      .select('reviewId buildingName buildingType address ownerName createdAt status numberOfFloors')
-      .sort({ createdAt: -1 });
-    
+    if (req.query.removed && !req.user) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to see the trash and the archive'
+      });
+    }
+
+    const list = reviewListQuery(req.query);
+
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        message: list.error
+      });
+    }
+    if (req.applicant) Object.assign(list.filter, ownerFilter(req.applicant));
+
+    let find = SafetyReview.find(list.filter).sort(list.sort).skip(list.skip);
+    if (list.limit) find = find.limit(list.limit);
+    const [reviews, total] = await Promise.all([find, SafetyReview.countDocuments(list.filter)]);
+
+    // The audit trail covers staff reads; owners only see their own reviews
+    if (req.user) {
+      await audit.record(req, 'listed', {
+        record: { type: 'review', id: null },
+        details: { view: 'reviews', filters: req.query, shown: reviews.length, total }
+      });
+    }
     res.status(200).json({
       success: true,
       count: reviews.length,
-      data: reviews
+      data: reviews.map(review => ({
+        ...toFlat(review),
+        purgeableFrom: Retention.purgeableFrom(config.retention, review.removed, review.createdAt)
+      })),
+      pagination: ListQuery.pagination(list, total)
     });
   } catch (error) {
     console.error('Error fetching reviews:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error fetching reviews' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching reviews'
+    });
+  }
+});
+
+// ============================================================
+// GET: Export the reviews matching the list filters (paging
+// ignored) as CSV or XLSX, checklist items as columns.
+// ?format=csv|xlsx, ?columns= from shared/exportColumns.js
+// ============================================================
+router.get('/export', requireAuth, async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    const list = reviewListQuery(filters);
+    const request = list.error ? list : parseExportRequest('inspection', req.query);
+
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        message: request.error
+      });
+    }
+
+    async function* records() {
+      for await (const review of SafetyReview.find(list.filter).sort(list.sort).cursor()) {
+        yield toFlat(review);
+      }
+    }
+
+    console.log(`✅ Exporting reviews as ${request.format} for ${req.user.username}`);
+    await audit.record(req, 'exported', {
+      record: { type: 'review', id: null },
+      details: { format: request.format, filters, columns: request.columns.map(column => column.key) }
+    });
+    await sendExport(res, {
+      format: request.format,
+      basename: `safety-reviews-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Safety Reviews',
+      columns: request.columns,
+      records: records()
+    });
+  } catch (error) {
+    console.error('Error exporting reviews:', error);
+    // A half-written file must not look complete
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting reviews'
+    });
+  }
+});
+
+// ============================================================
+// GET: Overdue queue: reviews past their SLA due date in their
+// current status, most overdue first (list filters and paging
+// as in GET /)
+// ============================================================
+router.get('/overdue', requireAuth, async (req, res) => {
+  try {
+    const { sort, ...filters } = req.query;
+    const list = reviewListQuery({ ...filters, overdue: 'true' });
+
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        message: list.error
+      });
+    }
+
+    const now = new Date();
+    let find = SafetyReview.find(list.filter).sort({ 'sla.dueAt': 1, createdAt: 1, reviewId: 1 }).skip(list.skip);
+    if (list.limit) find = find.limit(list.limit);
+    const [reviews, total] = await Promise.all([find, SafetyReview.countDocuments(list.filter)]);
+
+    await audit.record(req, 'listed', {
+      record: { type: 'review', id: null },
+      details: { view: 'overdue', filters: req.query, shown: reviews.length, total }
+    });
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews.map(review => ({
+        ...toFlat(review),
+        daysInStatus: Sla.daysInStatus(review.sla, now),
+        daysOverdue: Sla.daysInStatus({ since: review.sla.dueAt }, now)
+      })),
+      pagination: ListQuery.pagination(list, total)
+    });
+  } catch (error) {
+    console.error('Error fetching overdue reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching overdue reviews'
+    });
+  }
+});
+
+// Checklist items for the failed-items figures, labelled as in the export.
+// Wiring counts as failed when rated poor.
+const CHECKLIST_ITEMS = ExportColumns.COLUMNS.inspection
+  .filter(column => column.group)
+  .map(column => ({ key: column.key, label: column.key === 'wiringCondition' ? 'Wiring in Poor Condition' : column.label }));
+const CHECKLIST_FIELDS = Object.values(CHECKLIST).flat();
+
+// A review in the shape shared/analytics.js works on. Reviews decided
+// before decidedAt was recorded fall back to their last update.
+function analyticsRecord(review) {
+  const flat = toFlat(review);
+  const decided = Analytics.DECISIONS.includes(review.status);
+  return {
+    submittedAt: review.createdAt,
+    decidedAt: decided ? review.decidedAt || review.lastUpdated : null,
+    status: review.status,
+    groups: { buildingType: review.buildingType },
+    failed: [
+      ...CHECKLIST_FIELDS.filter(field => flat[field] === false),
+      ...(flat.wiringCondition === 'poor' ? ['wiringCondition'] : [])
+    ]
+  };
+}
+
+// ============================================================
+// GET: Processing figures for reviews submitted between ?from=
+// and ?to= (YYYY-MM-DD; the last 90 days by default), the most
+// often failed checklist items, and the current backlog
+// ============================================================
+router.get('/analytics', requireAuth, async (req, res) => {
+  try {
+    const range = Analytics.parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    // Deleted reviews don't count; archived ones do
+    const [reviews, open] = await Promise.all([
+      SafetyReview.find({ createdAt: { $gte: range.from, $lte: range.to }, 'removed.state': { $ne: 'deleted' } }).lean(),
+      SafetyReview.find({ status: { $in: Analytics.OPEN_STATUSES }, removed: null }).select('createdAt status').lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: Analytics.summarize({
+        records: reviews.map(analyticsRecord),
+        openRecords: open.map(review => ({ submittedAt: review.createdAt, status: review.status })),
+        range,
+        groupBy: ['buildingType'],
+        checklist: CHECKLIST_ITEMS
+      })
+    });
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing analytics'
     });
   }
 });
 
 // ============================================================
-// PUT: Update Safety Review Status
-// FIXED: Changed from PATCH to PUT to match frontend
+// PUT/PATCH: Update Safety Review Status
 // ============================================================
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', requireAuth, updateReviewStatus);
+router.patch('/:id/status', requireAuth, updateReviewStatus);
+
+async function updateReviewStatus(req, res) {
   try {
-    const { status, remarks, reviewedBy } = req.body;
-    const validStatuses = ['submitted', 'under review', 'approved', 'rejected'];
-    
-    if (!status || !validStatuses.includes(status.toLowerCase())) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
-      });
-    }
-
-    let review;
-    const updateData = { 
-      status: status.toLowerCase(), 
-      lastUpdated: Date.now() 
-    };
-    
-    // Add optional fields if provided
-    if (remarks !== undefined) updateData.remarks = remarks;
-    if (reviewedBy !== undefined) updateData.reviewedBy = reviewedBy;
-    
-    // Try to find by MongoDB _id
-    if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      review = await SafetyReview.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true }
-      );
-    } else {
-      // Try by reviewId
-      review = await SafetyReview.findOneAndUpdate(
-        { reviewId: req.params.id },
-        updateData,
-        { new: true }
-      );
+    const { remarks } = req.body;
+    const status = inspectionStatus(req.body.status);
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${statusList}`
+      });
     }
 
+    if (!Permissions.can(req.user.role, Permissions.permissionForInspectionStatus(status))) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role (${req.user.role}) cannot move safety reviews to "${Status.label(status)}"`
+      });
+    }
+
+    const review = await SafetyReview.findOne(idFilter(req.params.id));
+
     if (!review) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Review not found' 
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
       });
     }
 
+    if (refuseRemoved(res, review)) return;
+
+    if (!Status.canTransition('inspection', review.status, status)) {
+      const allowed = Status.allowedTransitions('inspection', review.status);
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from "${Status.label(review.status)}" to "${Status.label(status)}". ` +
+          (allowed.length ? `Allowed: ${allowed.map(Status.label).join(', ')}` : 'No further changes are allowed.'),
+        allowedStatuses: allowed
+      });
+    }
+
+    const before = review.toObject();
+    review.decidedAt = Analytics.DECISIONS.includes(status) ? new Date() : null;
+
+    // Saved through the document so the risk score is recomputed
+    review.moveTo(status, { remarks: remarks || '', actor: req.user.username });
+    review.reviewedBy = req.user.username;
+    if (remarks) review.remarks = remarks;
+    await review.save();
+
+    console.log(`✅ Safety review ${review.reviewId} status updated to: ${Status.label(status)}`);
+    await audit.record(req, 'status_changed', {
+      record: { type: 'review', id: review.reviewId },
+      changes: Audit.changesBetween(before, review.toObject(), ['status', 'remarks', 'riskScore', 'riskBand'])
+    });
+    notifyOwner(eventForStatus(status), review);
+    publishReview('updated', review, req.user.username);
+
     res.status(200).json({
       success: true,
       message: 'Status updated successfully',
-      data: review
+      data: toFlat(review)
     });
   } catch (error) {
     console.error('Error updating status:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error updating status' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error updating status'
     });
   }
-});
+}
 
 // ============================================================
 // PUT: Update Safety Review (Full Update)
+// Accepts the flat or the nested field layout; only the fields
+// sent are changed.
 // ============================================================
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, requirePermission(INSPECTION_UPDATE), async (req, res) => {
   try {
-    let review;
-    const updateData = { ...req.body, lastUpdated: Date.now() };
-    
-    // Handle floors field mapping
-    if (updateData.floors) {
-      updateData.numberOfFloors = updateData.floors;
-      delete updateData.floors;
-    }
-    
-    // Try to find by MongoDB _id
-    if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      review = await SafetyReview.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true, runValidators: true }
-      );
-    } else {
-      // Try by reviewId
-      review = await SafetyReview.findOneAndUpdate(
-        { reviewId: req.params.id },
-        updateData,
-        { new: true, runValidators: true }
-      );
-    }
+    const fields = fromFlat(req.body);
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) changes[field] = fields[field];
+    });
+
+    const review = await SafetyReview.findOne(idFilter(req.params.id));
 
     if (!review) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Review not found' 
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
       });
     }
 
+    if (refuseRemoved(res, review)) return;
+
+    // Dotted paths so a partial group update keeps the group's other items;
+    // saving re-runs validation and the risk score
+    const before = review.toObject();
+    review.set({ ...toUpdatePaths(changes), reviewedBy: req.user.username });
+    await review.save();
+    await audit.record(req, 'updated', {
+      record: { type: 'review', id: review.reviewId },
+      changes: Audit.changesBetween(before, review.toObject(), [...EDITABLE_FIELDS, 'riskScore', 'riskBand'])
+    });
+    publishReview('updated', review, req.user.username);
+
     res.status(200).json({
       success: true,
       message: 'Review updated successfully',
-      data: review
+      data: toFlat(review)
     });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Error updating review:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error updating review' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error updating review'
     });
   }
 });
 
 // ============================================================
-// GET: Fetch Single Safety Review by ID or Review ID
+// POST: Raise queries on documents or fields of a review under
+// review. Moves it to Query Raised.
 // ============================================================
-router.get('/:id', async (req, res) => {
+router.post('/:id/queries', requireAuth, requirePermission(INSPECTION_UPDATE), async (req, res) => {
   try {
-    let review;
-    
-    // Try to find by MongoDB _id
-    if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      review = await SafetyReview.findById(req.params.id);
-    } else {
-      // Try by reviewId
-      review = await SafetyReview.findOne({ reviewId: req.params.id });
-    }
-    
+    const review = await SafetyReview.findOne(idFilter(req.params.id));
+
     if (!review) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Review not found' 
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (refuseRemoved(res, review)) return;
+
+    if (review.status !== UNDER_REVIEW) {
+      return res.status(409).json({
+        success: false,
+        message: `Queries can only be raised on reviews that are ${Status.label(UNDER_REVIEW)}`
       });
     }
-    
+
+    const { queries, error } = Queries.parseQueries('inspection', req.body.queries);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const before = review.toObject();
+    const existing = review.queries.length;
+    queries.forEach((query, i) => {
+      review.queries.push({
+        queryId: `Q${existing + i + 1}`,
+        target: { type: query.type, name: query.name },
+        message: query.message,
+        raisedBy: req.user.username
+      });
+    });
+
+    // Also the remarks the owner is notified with
+    review.remarks = queries.map(q => `${Queries.targetLabel('inspection', q)}: ${q.message}`).join('; ');
+    review.moveTo(QUERY_RAISED, { remarks: review.remarks, actor: req.user.username });
+    review.set({ reviewedBy: req.user.username, lastUpdated: new Date() });
+    await review.save();
+
+    console.log(`✅ ${queries.length} quer${queries.length === 1 ? 'y' : 'ies'} raised on ${review.reviewId}`);
+    await audit.record(req, 'query_raised', {
+      record: { type: 'review', id: review.reviewId },
+      changes: Audit.changesBetween(before, review.toObject(), ['status', 'remarks']),
+      details: { queries: review.queries.slice(existing) }
+    });
+    notifyOwner('query_raised', review);
+    publishReview('updated', review, req.user.username);
+
+    res.status(201).json({
+      success: true,
+      message: 'Query raised. The owner has been notified.',
+      data: toFlat(review)
+    });
+  } catch (error) {
+    console.error('Error raising query:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error raising query'
+    });
+  }
+});
+
+// ============================================================
+// POST: Answer the open queries (owner, or staff on their behalf).
+// Earlier documents are kept as versions, the diff is stored as a
+// revision, and the review goes back to Under Review.
+// ============================================================
+router.post('/:id/resubmission', requireStaffOrOwner, ...uploadDocuments, async (req, res) => {
+  try {
+    const review = await findVisibleReview(req, res);
+    if (!review) {
+      removeUploadedFiles(req.files);
+      return;
+    }
+
+    if (review.status !== QUERY_RAISED || Retention.isRemoved(review)) {
+      removeUploadedFiles(req.files);
+      return res.status(409).json({
+        success: false,
+        message: 'This review has no open query to respond to'
+      });
+    }
+
+    const uploaded = Object.keys(req.files || {});
+    const { answered, values, error } = Queries.checkResponse('inspection', review, uploaded, req.body);
+    if (error) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Answers to field queries go through the same rules as a new review
+    const { values: fieldValues, errors } = Validation.validate('inspection', values, { only: Object.keys(values) });
+    if (Validation.hasErrors(errors)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields',
+        errors
+      });
+    }
+
+    const actor = req.user ? req.user.username : review.ownerName;
+    const at = new Date();
+    const revision = review.revisions.length + 1;
+    const before = review.toObject();
+
+    // Replaced documents move to documentVersions
+    const documentChanges = uploaded.map(field => {
+      const previous = [].concat(review.documents[field] || []).filter(Boolean);
+      const version = new Set(review.documentVersions.filter(v => v.field === field).map(v => v.version)).size + 1;
+      const summary = (filename, meta, number) => ({
+        version: number,
+        filename,
+        originalName: meta ? meta.originalName : null,
+        size: meta ? meta.size : null,
+        sha256: meta ? meta.sha256 : null
+      });
+      const metaFor = filename => review.documentMeta.find(m => m.filename === filename) || null;
+
+      previous.forEach(filename => {
+        review.documentVersions.push({ field, version, filename, meta: metaFor(filename), replacedAt: at, revision });
+      });
+
+      const incoming = req.fileMeta.filter(m => m.field === field);
+      review.documents[field] = Array.isArray(review.documents[field]) ? incoming.map(m => m.filename) : incoming[0].filename;
+      review.documentMeta = [...review.documentMeta.filter(m => m.field !== field), ...incoming];
+
+      const newVersion = previous.length ? version + 1 : version;
+      return {
+        type: 'document',
+        name: field,
+        from: previous.length ? previous.map(filename => summary(filename, metaFor(filename), version)) : null,
+        to: incoming.map(m => summary(m.filename, m, newVersion))
+      };
+    });
+
+    review.set(fieldValues);
+    const fieldChanges = Queries.diffFields(before, review.toObject(), Object.keys(fieldValues));
+    const note = String(req.body.note || '').trim().slice(0, 1000);
+
+    review.queries.forEach(query => {
+      if (!answered.includes(query.queryId)) return;
+      query.status = Queries.STATUSES.ANSWERED;
+      query.answeredAt = at;
+      query.revision = revision;
+    });
+    review.revisions.push({ revision, at, by: actor, note, answered, changes: [...fieldChanges, ...documentChanges] });
+    review.moveTo(UNDER_REVIEW, { remarks: note, actor, at });
+    review.lastUpdated = at;
+    await review.save();
+
+    console.log(`✅ ${review.reviewId} resubmitted (revision ${revision})`);
+    await audit.record(req, 'resubmitted', {
+      record: { type: 'review', id: review.reviewId },
+      changes: Audit.changesBetween(before, review.toObject(), ['status', ...Object.keys(fieldValues)]),
+      details: { revision, answered, documents: uploaded }
+    });
+    publishReview('updated', review, actor);
+
     res.status(200).json({
       success: true,
-      data: review
+      message: 'Your response has been sent to the reviewer',
+      data: toFlat(review)
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join('. ')
+      });
+    }
+
+    console.error('Error submitting response:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error submitting response'
+    });
+  }
+});
+
+// ============================================================
+// GET: List the documents of a review with earlier versions (staff
+// or the owner)
+// ============================================================
+router.get('/:id/documents', requireStaffOrOwner, async (req, res) => {
+  try {
+    const review = await findVisibleReview(req, res);
+    if (!review) return;
+
+    res.status(200).json({
+      success: true,
+      data: describe(documentEntries(review), `${req.baseUrl}/${review.reviewId}/documents`)
+    });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing documents'
+    });
+  }
+});
+
+// ============================================================
+// GET: Current documents of a review as one ZIP
+// ============================================================
+router.get('/:id/documents.zip', requireStaffOrOwner, async (req, res) => {
+  try {
+    const review = await findVisibleReview(req, res);
+    if (!review) return;
+
+    await audit.record(req, 'document_downloaded', {
+      record: { type: 'review', id: review.reviewId },
+      details: { document: 'all (ZIP)' }
+    });
+    await sendDocumentsZip(res, uploadDir, review.reviewId, documentEntries(review).filter(e => e.current));
+  } catch (error) {
+    console.error('Error zipping documents:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing documents'
+    });
+  }
+});
+
+// ============================================================
+// GET: One document, inline for preview (?download=true to save)
+// ============================================================
+router.get('/:id/documents/:key', requireStaffOrOwner, async (req, res) => {
+  try {
+    const review = await findVisibleReview(req, res);
+    if (!review) return;
+
+    const entry = documentEntries(review).find(e => e.key === req.params.key);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await audit.record(req, 'document_downloaded', {
+      record: { type: 'review', id: review.reviewId },
+      details: { document: entry.key, filename: entry.filename }
+    });
+    await sendDocument(res, uploadDir, review.reviewId, entry, { download: req.query.download === 'true' });
+  } catch (error) {
+    console.error('Error sending document:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error sending document'
+    });
+  }
+});
+
+// ============================================================
+// GET: Fetch Single Safety Review by ID or Review ID (staff or the
+// owner)
+// ============================================================
+router.get('/:id', requireStaffOrOwner, async (req, res) => {
+  try {
+    const review = await findVisibleReview(req, res);
+    if (!review) return;
+
+    await audit.record(req, 'viewed', { record: { type: 'review', id: review.reviewId } });
+
+    res.status(200).json({
+      success: true,
+      data: toFlat(review)
     });
   } catch (error) {
     console.error('Error fetching review:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error fetching review' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching review'
+    });
+  }
+});
+
+// Filter matching the review only while it is still where it was read (in
+// use, in the trash or archived), so an update fails if someone else moved
+// it meanwhile
+function unmoved(review) {
+  return review.removed
+    ? { _id: review._id, 'removed.at': review.removed.at }
+    : { _id: review._id, removed: null };
+}
+
+// Move a review to the trash or the archive; null once a 409 has been sent
+async function removeReview(req, res, review, state) {
+  const removed = Retention.mark(state, req.user.username, req.body && req.body.reason);
+  const updated = await SafetyReview.findOneAndUpdate(unmoved(review), { $set: { removed } }, { new: true });
+
+  if (!updated) {
+    res.status(409).json({
+      success: false,
+      message: 'Review was updated by someone else. Please reload and try again.'
+    });
+    return null;
+  }
+
+  await audit.record(req, state, {
+    record: { type: 'review', id: updated.reviewId },
+    details: removed.reason ? { reason: removed.reason } : null
+  });
+  // Gone from the working lists, as far as open dashboards are concerned
+  publishReview('deleted', updated, req.user.username);
+  return updated;
+}
+
+// ============================================================
+// POST: Permanently delete the reviews in the trash whose
+// retention period is over, with their documents.
+// { dryRun: true } lists them without deleting anything.
+// ============================================================
+router.post('/purge', requireAuth, requirePermission(RECORD_PURGE), async (req, res) => {
+  try {
+    const dryRun = !!(req.body && req.body.dryRun);
+    const now = new Date();
+    const due = (await SafetyReview.find({ 'removed.state': 'deleted' }).sort({ reviewId: 1 }))
+      .filter(review => Retention.isPurgeable(config.retention, review.removed, review.createdAt, now));
+
+    const summary = review => ({
+      reviewId: review.reviewId,
+      buildingName: review.buildingName,
+      removed: review.removed,
+      purgeableFrom: Retention.purgeableFrom(config.retention, review.removed, review.createdAt)
+    });
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        data: { dryRun, records: due.map(summary), removedFiles: 0 }
+      });
+    }
+
+    const purged = [];
+    let removedFiles = 0;
+    for (const review of due) {
+      // Skipped if restored meanwhile, or restored and deleted again: its
+      // trash period started over
+      const deleted = await SafetyReview.findOneAndDelete(unmoved(review));
+      if (!deleted) continue;
+
+      const files = documentFilenames(deleted).filter(Boolean);
+      deleteStoredFiles(files);
+      removedFiles += files.length;
+      purged.push(summary(deleted));
+
+      await audit.record(req, 'purged', {
+        record: { type: 'review', id: deleted.reviewId },
+        details: { removed: deleted.removed, removedFiles: files }
+      });
+    }
+
+    console.log(`✅ Purged ${purged.length} safety review(s) past retention, ${removedFiles} file(s) removed`);
+    res.status(200).json({
+      success: true,
+      message: `${purged.length} review(s) permanently deleted`,
+      data: { dryRun, records: purged, removedFiles }
+    });
+  } catch (error) {
+    console.error('Error purging reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error purging reviews'
+    });
+  }
+});
+
+// ============================================================
+// POST: Archive a decided review (body: { reason })
+// ============================================================
+router.post('/:id/archive', requireAuth, requirePermission(INSPECTION_DELETE), async (req, res) => {
+  try {
+    const review = await SafetyReview.findOne(idFilter(req.params.id));
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (refuseRemoved(res, review)) return;
+
+    if (!Analytics.DECISIONS.includes(review.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Only ${Status.label(APPROVED)} or ${Status.label(REJECTED)} reviews can be archived`
+      });
+    }
+
+    const updated = await removeReview(req, res, review, 'archived');
+    if (!updated) return;
+
+    console.log(`✅ Safety review ${updated.reviewId} archived`);
+    res.status(200).json({
+      success: true,
+      message: 'Review archived',
+      data: toFlat(updated)
+    });
+  } catch (error) {
+    console.error('Error archiving review:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error archiving review'
     });
   }
 });
 
 // ============================================================
-// DELETE: Delete Safety Review
+// POST: Restore a review from the trash or the archive
 // ============================================================
-router.delete('/:id', async (req, res) => {
+router.post('/:id/restore', requireAuth, requirePermission(INSPECTION_DELETE), async (req, res) => {
   try {
-    let review;
-    
-    // Try to find by MongoDB _id
-    if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      review = await SafetyReview.findByIdAndDelete(req.params.id);
-    } else {
-      // Try by reviewId
-      review = await SafetyReview.findOneAndDelete({ reviewId: req.params.id });
-    }
-    
+    const review = await SafetyReview.findOne(idFilter(req.params.id));
+
     if (!review) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Review not found' 
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (!Retention.isRemoved(review)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Review is not in the trash or the archive'
+      });
+    }
+
+    const before = review.toObject();
+    const updated = await SafetyReview.findOneAndUpdate(unmoved(review), { $set: { removed: null } }, { new: true });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Review was updated by someone else. Please reload and try again.'
       });
     }
 
+    console.log(`✅ Safety review ${updated.reviewId} restored`);
+    await audit.record(req, 'restored', {
+      record: { type: 'review', id: updated.reviewId },
+      changes: Audit.changesBetween(before, updated.toObject(), ['removed'])
+    });
+    publishReview('updated', updated, req.user.username);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review restored',
+      data: toFlat(updated)
+    });
+  } catch (error) {
+    console.error('Error restoring review:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error restoring review'
+    });
+  }
+});
+
+// ============================================================
+// DELETE: Move a Safety Review to the trash (body: { reason }).
+// Its documents are kept until a purge (see shared/retention.js).
+// ============================================================
+router.delete('/:id', requireAuth, requirePermission(INSPECTION_DELETE), async (req, res) => {
+  try {
+    const review = await SafetyReview.findOne(idFilter(req.params.id));
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (Retention.isDeleted(review)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Review is already in the trash'
+      });
+    }
+
+    const updated = await removeReview(req, res, review, 'deleted');
+    if (!updated) return;
+
+    console.log(`✅ Safety review ${updated.reviewId} moved to the trash`);
     res.status(200).json({
       success: true,
-      message: 'Review deleted successfully',
-      data: review
+      message: 'Review moved to the trash. It can be restored from Trash & Archive.',
+      data: toFlat(updated)
     });
   } catch (error) {
     console.error('Error deleting review:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Error deleting review' 
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error deleting review'
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
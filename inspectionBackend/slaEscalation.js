@@ -0,0 +1,45 @@
+const config = require('./config');
+const Sla = require('../shared/sla');
+const SlaEscalation = require('../shared/slaEscalation');
+const SafetyReview = require('./models/safetyReview');
+const { notifyStaff } = require('./notifications');
+const { publishReview } = require('./events');
+
+// SLA check for safety reviews (the schedule and loop are in
+// shared/slaEscalation.js): overdue reviews are escalated to the
+// supervisors through the NOC backend's notifications and on open admin
+// dashboards. Reviews from before SLA tracking count from their last update.
+
+function createSlaJob() {
+  const { rules, checkIntervalHours } = config.sla;
+
+  return SlaEscalation.createSlaJob({
+    rules,
+    checkIntervalHours,
+    noun: 'review',
+    findTracked: statuses => SafetyReview.find({ status: { $in: statuses }, removed: null }),
+    statusSince: review => review.lastUpdated || review.createdAt,
+    // Written with updateOne so lastUpdated and the risk score stay as they
+    // are
+    saveSla: (review, sla) => SafetyReview.updateOne({ _id: review._id, status: review.status }, { $set: { sla } }),
+
+    async escalate(review, sla, now) {
+      const escalatedTo = await notifyStaff('sla_breached', review, {
+        days: Sla.daysInStatus(sla, now),
+        dueAt: sla.dueAt
+      });
+      // Matching on the status skips reviews that moved on meanwhile
+      const updated = await SafetyReview.findOneAndUpdate(
+        { _id: review._id, status: review.status },
+        { $set: { 'sla.escalatedAt': now, 'sla.escalatedTo': escalatedTo } },
+        { new: true }
+      );
+      if (!updated) return null;
+
+      publishReview('updated', updated, 'SLA check');
+      return updated;
+    }
+  });
+}
+
+module.exports = { createSlaJob };
@@ -0,0 +1,71 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const config = require('../config');
+const { lookupUser } = require('../middleware/auth');
+
+// The staff session cache, against a stand-in for the NOC backend's
+// /auth/me that counts its calls and can end sessions
+
+const sessions = new Set();
+let calls = 0;
+let authServer;
+const defaults = { ...config.authCache };
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  const auth = express();
+  auth.get('/api/auth/me', (req, res) => {
+    calls++;
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!sessions.has(token)) {
+      return res.status(401).json({ success: false, message: 'Invalid session' });
+    }
+    res.json({ success: true, data: { user: { username: token, role: 'clerk' } } });
+  });
+  authServer = await new Promise(resolve => {
+    const httpServer = auth.listen(0, () => resolve(httpServer));
+  });
+  config.coreApiUrl = `http://localhost:${authServer.address().port}/api`;
+});
+
+beforeEach(() => {
+  calls = 0;
+  Object.assign(config.authCache, defaults);
+});
+
+after(() => {
+  if (authServer) authServer.close();
+});
+
+describe('lookupUser', () => {
+  it('asks the NOC backend once per token while the answer is fresh', async () => {
+    sessions.add('fresh');
+
+    assert.equal((await lookupUser('fresh')).username, 'fresh');
+    assert.equal((await lookupUser('fresh')).username, 'fresh');
+    assert.equal(calls, 1);
+  });
+
+  it('stops accepting a token soon after its session ends', async () => {
+    config.authCache.ttlSeconds = 0.05;
+    sessions.add('ended');
+    assert.ok(await lookupUser('ended'));
+
+    sessions.delete('ended');
+    await wait(60);
+    assert.equal(await lookupUser('ended'), null);
+  });
+
+  it('keeps at most maxEntries tokens, dropping the oldest', async () => {
+    config.authCache.maxEntries = 2;
+    ['a', 'b', 'c'].forEach(token => sessions.add(token));
+
+    for (const token of ['a', 'b', 'c', 'c', 'b']) await lookupUser(token);
+    assert.equal(calls, 3);
+
+    await lookupUser('a');
+    assert.equal(calls, 4);
+  });
+});
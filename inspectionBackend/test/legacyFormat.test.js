@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHECKLIST, fromFlat, toUpdatePaths, toFlat } = require('../legacyFormat');
+
+describe('fromFlat', () => {
+  it('nests checklist items under their group and parses numbers', () => {
+    const review = fromFlat({
+      buildingName: 'Sunrise Towers',
+      floors: '12',
+      occupancyLoad: '300',
+      yearConstruction: '2004',
+      hydrants: 'true',
+      sprinklers: 'false',
+      earthing: true,
+      wiringCondition: 'poor'
+    });
+
+    assert.equal(review.buildingName, 'Sunrise Towers');
+    assert.equal(review.numberOfFloors, 12);
+    assert.equal(review.occupancyLoad, 300);
+    assert.equal(review.yearConstruction, 2004);
+    assert.deepEqual(review.fireProtection, { hydrants: true, sprinklers: false });
+    assert.deepEqual(review.electricalSafety, { earthing: true, wiringCondition: 'poor' });
+  });
+
+  it('prefers numberOfFloors over the legacy floors field', () => {
+    assert.equal(fromFlat({ numberOfFloors: '4', floors: '9' }).numberOfFloors, 4);
+  });
+
+  it('accepts the nested layout sent by newer clients', () => {
+    const review = fromFlat({ structuralSafety: { fireDoors: true }, electricalSafety: { wiringCondition: 'good' } });
+    assert.deepEqual(review.structuralSafety, { fireDoors: true });
+    assert.equal(review.electricalSafety.wiringCondition, 'good');
+  });
+
+  it('leaves out fields the body does not have', () => {
+    assert.deepEqual(fromFlat({ remarks: 'ok' }), { remarks: 'ok' });
+  });
+});
+
+describe('toUpdatePaths', () => {
+  it('turns nested groups into dotted paths', () => {
+    assert.deepEqual(
+      toUpdatePaths({ occupancyLoad: 55, fireProtection: { hydrants: true }, electricalSafety: { wiringCondition: 'good' } }),
+      { occupancyLoad: 55, 'fireProtection.hydrants': true, 'electricalSafety.wiringCondition': 'good' }
+    );
+  });
+
+  it('keeps dates and arrays as values', () => {
+    const at = new Date('2026-01-01T00:00:00Z');
+    assert.deepEqual(toUpdatePaths({ decidedAt: at, tags: ['a'] }), { decidedAt: at, tags: ['a'] });
+  });
+});
+
+describe('toFlat', () => {
+  const review = {
+    _id: 'abc123',
+    reviewId: 'SR-1-1',
+    buildingName: 'Sunrise Towers',
+    buildingType: 'commercial',
+    address: 'MG Road',
+    numberOfFloors: 12,
+    occupancyLoad: 300,
+    yearConstruction: 2004,
+    ownerName: 'Asha',
+    contactNumber: '9876543210',
+    status: 'under_review',
+    fireProtection: { hydrants: true },
+    electricalSafety: { wiringCondition: 'average', earthing: false },
+    documents: { buildingPlan: 'buildingPlan-1.pdf', additionalDocs: ['extra-1.png'] },
+    createdAt: '2026-01-01T00:00:00.000Z'
+  };
+
+  it('flattens checklist groups, every item a boolean', () => {
+    const flat = toFlat(review);
+    Object.values(CHECKLIST).flat().forEach(field => assert.equal(typeof flat[field], 'boolean', field));
+    assert.equal(flat.hydrants, true);
+    assert.equal(flat.smokeDetectors, false);
+    assert.equal(flat.wiringCondition, 'average');
+  });
+
+  it('keeps the legacy aliases the admin panel reads', () => {
+    const flat = toFlat(review);
+    assert.equal(flat.inspectionId, 'SR-1-1');
+    assert.equal(flat.building, 'Sunrise Towers');
+    assert.equal(flat.floors, 12);
+    assert.equal(flat.submittedDate, review.createdAt);
+    assert.equal(flat.statusLabel, 'Under Review');
+  });
+
+  it('links stored documents', () => {
+    const flat = toFlat(review);
+    assert.equal(flat.buildingPlanUrl, '/api/inspections/SR-1-1/documents/buildingPlan');
+    assert.equal(flat.additionalDocsUrl, '/api/inspections/SR-1-1/documents/additionalDocs-1');
+    assert.equal(flat.equipmentLayoutUrl, undefined);
+    assert.deepEqual(flat.files.additionalDocs, ['extra-1.png']);
+  });
+
+  it('round-trips through fromFlat', () => {
+    const again = fromFlat(toFlat(review));
+    assert.equal(again.numberOfFloors, 12);
+    assert.equal(again.fireProtection.hydrants, true);
+    assert.equal(again.electricalSafety.wiringCondition, 'average');
+  });
+});
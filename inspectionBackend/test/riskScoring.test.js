@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHECKLIST } = require('../legacyFormat');
+const { scoreReview } = require('../riskScoring');
+
+// Scores and bands at the thresholds of the default weights (riskWeights.js)
+
+const THIS_YEAR = new Date().getFullYear();
+
+// A residential review with every checklist item in place except `missing`;
+// scores 0 unless `details` adds building factors
+function review(missing = [], details = {}) {
+  const groups = {};
+  Object.entries(CHECKLIST).forEach(([group, items]) => {
+    groups[group] = {};
+    items.forEach(item => { groups[group][item] = !missing.includes(item); });
+  });
+  groups.electricalSafety.wiringCondition = 'good';
+
+  return {
+    buildingType: 'residential',
+    numberOfFloors: 4,
+    occupancyLoad: 0,
+    yearConstruction: THIS_YEAR,
+    ...groups,
+    ...details
+  };
+}
+
+const score = (...args) => scoreReview(review(...args));
+
+// Missing items worth 21, 40 and 69 points for a residential building;
+// each floor above the fourth adds one more
+const MISSING_21 = ['hydrants', 'fireDoors', 'corridors', 'wasteDisposal'];
+const MISSING_40 = ['smokeDetectors', 'fireAlarm', 'emergencyExits', 'firePump', 'hydrants'];
+const MISSING_69 = [...MISSING_40, 'earthing', 'panelsAccessible', 'fireDoors', 'staircaseWidth', 'corridors'];
+
+describe('scoreReview bands', () => {
+  it('scores a fully equipped new building 0, low risk', () => {
+    assert.deepEqual(score(), { riskScore: 0, riskBand: 'low', criticalDeficiencies: [] });
+  });
+
+  it('starts each band at its lower bound', () => {
+    const cases = [
+      [MISSING_21, 7, 24, 'low'],
+      [MISSING_21, 8, 25, 'moderate'],
+      [MISSING_40, 13, 49, 'moderate'],
+      [MISSING_40, 14, 50, 'high'],
+      [MISSING_69, 9, 74, 'high'],
+      [MISSING_69, 10, 75, 'critical']
+    ];
+
+    cases.forEach(([missing, numberOfFloors, riskScore, riskBand]) => {
+      const result = score(missing, { numberOfFloors });
+      assert.deepEqual(result.criticalDeficiencies, [], `${riskScore}`);
+      assert.equal(result.riskScore, riskScore);
+      assert.equal(result.riskBand, riskBand, `${riskScore}`);
+    });
+  });
+
+  it('caps the score at 100', () => {
+    const everything = Object.values(CHECKLIST).flat();
+    assert.equal(score(everything, { numberOfFloors: 30, occupancyLoad: 1000, yearConstruction: 1950 }).riskScore, 100);
+  });
+});
+
+describe('scoreReview building factors', () => {
+  it('adds a point per floor above the fourth, at most 10', () => {
+    assert.equal(score([], { numberOfFloors: 5 }).riskScore, 1);
+    assert.equal(score([], { numberOfFloors: 14 }).riskScore, 10);
+    assert.equal(score([], { numberOfFloors: 40 }).riskScore, 10);
+  });
+
+  it('adds the highest occupancy threshold reached', () => {
+    assert.equal(score([], { occupancyLoad: 99 }).riskScore, 0);
+    assert.equal(score([], { occupancyLoad: 100 }).riskScore, 4);
+    assert.equal(score([], { occupancyLoad: 499 }).riskScore, 4);
+    assert.equal(score([], { occupancyLoad: 500 }).riskScore, 8);
+  });
+
+  it('uses the lower occupancy thresholds for industrial sites', () => {
+    assert.equal(score([], { buildingType: 'industrial', occupancyLoad: 49 }).riskScore, 0);
+    assert.equal(score([], { buildingType: 'industrial', occupancyLoad: 50 }).riskScore, 4);
+    assert.equal(score([], { buildingType: 'industrial', occupancyLoad: 250 }).riskScore, 8);
+  });
+
+  it('adds points from 20 and 40 years of age', () => {
+    assert.equal(score([], { yearConstruction: THIS_YEAR - 19 }).riskScore, 0);
+    assert.equal(score([], { yearConstruction: THIS_YEAR - 20 }).riskScore, 3);
+    assert.equal(score([], { yearConstruction: THIS_YEAR - 40 }).riskScore, 6);
+  });
+});
+
+describe('scoreReview critical deficiencies', () => {
+  const codes = result => result.criticalDeficiencies.map(deficiency => deficiency.code);
+
+  it('raises a low score with a critical deficiency to high risk', () => {
+    const result = score(['fireExtinguishers']);
+    assert.equal(result.riskScore, 10);
+    assert.equal(result.riskBand, 'high');
+    assert.deepEqual(codes(result), ['NO_EXTINGUISHERS']);
+  });
+
+  it('keeps a critical score critical', () => {
+    const result = score([...MISSING_69, 'fireExtinguishers']);
+    assert.equal(result.riskBand, 'critical');
+  });
+
+  it('flags a high-rise without sprinklers from five floors up', () => {
+    assert.deepEqual(codes(score(['sprinklers'], { numberOfFloors: 4 })), []);
+    assert.deepEqual(codes(score(['sprinklers'], { numberOfFloors: 5 })), ['NO_SPRINKLERS_HIGH_RISE']);
+  });
+
+  it('flags a large occupancy without an alarm from 500 people', () => {
+    assert.deepEqual(codes(score(['fireAlarm'], { occupancyLoad: 499 })), []);
+    assert.deepEqual(codes(score(['fireAlarm'], { occupancyLoad: 500 })), ['NO_ALARM_LARGE_OCCUPANCY']);
+  });
+
+  it('flags a building only when both exits and escape routes are missing', () => {
+    assert.deepEqual(codes(score(['emergencyExits'])), []);
+    assert.deepEqual(codes(score(['emergencyExits', 'escapeRoutes'])), ['NO_MEANS_OF_ESCAPE']);
+  });
+});
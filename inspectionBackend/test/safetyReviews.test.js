@@ -0,0 +1,267 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// The exported app against an in-process MongoDB. Staff and applicant
+// sessions live on the NOC backend, so a stand-in answers its /auth/me for
+// STAFF_TOKEN and its /applicant/me for OWNER_TOKEN.
+const STAFF_TOKEN = 'test-supervisor-token';
+const OWNER_TOKEN = 'test-owner-token';
+
+const REVIEW = {
+  buildingName: 'Sunrise Towers',
+  buildingType: 'commercial',
+  address: 'MG Road, Pune',
+  floors: '12',
+  occupancyLoad: '300',
+  yearConstruction: '2004',
+  ownerName: 'Asha Patil',
+  contactNumber: '9876543210',
+  fireExtinguishers: 'true',
+  hydrants: 'false',
+  wiringCondition: 'good'
+};
+
+let mongo;
+let authServer;
+let server;
+let base;
+let tmpDir;
+
+function listen(app) {
+  return new Promise(resolve => {
+    const httpServer = app.listen(0, () => resolve(httpServer));
+  });
+}
+
+async function request(method, url, { body, staff = false, owner = false } = {}) {
+  const headers = {};
+  if (body) headers['Content-Type'] = 'application/json';
+  if (staff) headers.Authorization = `Bearer ${STAFF_TOKEN}`;
+  if (owner) headers.Authorization = `Bearer ${OWNER_TOKEN}`;
+  const res = await fetch(`${base}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+const submit = (fields = {}) => request('POST', '/safety-reviews', { body: { ...REVIEW, ...fields } });
+
+before(async () => {
+  // The server's progress logs garble the test runner's output
+  mock.method(console, 'log', () => {});
+
+  const auth = express();
+  auth.get('/api/auth/me', (req, res) => {
+    if (req.headers.authorization !== `Bearer ${STAFF_TOKEN}`) {
+      return res.status(401).json({ success: false, message: 'Invalid session' });
+    }
+    res.json({ success: true, data: { user: { username: 'sup', role: 'supervisor' } } });
+  });
+  auth.get('/api/applicant/me', (req, res) => {
+    if (req.headers.authorization !== `Bearer ${OWNER_TOKEN}`) {
+      return res.status(401).json({ success: false, message: 'Invalid session' });
+    }
+    res.json({ success: true, data: { applicant: { channel: 'sms', value: REVIEW.contactNumber } } });
+  });
+  authServer = await listen(auth);
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspection-test-'));
+  Object.assign(process.env, {
+    AUTH_API_URL: `http://localhost:${authServer.address().port}/api`,
+    UPLOADS_DIR: path.join(tmpDir, 'uploads'),
+    QUARANTINE_DIR: path.join(tmpDir, 'quarantine'),
+    UPLOAD_SCANNER: 'none',
+    NOTIFICATIONS_SERVICE_KEY: ''
+  });
+
+  mongo = await MongoMemoryServer.create();
+  await require('../db').connectDatabase(mongo.getUri());
+  server = await listen(require('../server'));
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+// Each test starts from no reviews; the audit trail is append-only and
+// carries on across tests
+beforeEach(async () => {
+  await require('../models/safetyReview').deleteMany({});
+});
+
+after(async () => {
+  if (server) server.close();
+  if (authServer) authServer.close();
+  await require('../db').disconnectDatabase();
+  if (mongo) await mongo.stop();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('safety review API', () => {
+  it('creates a review from the flat form fields', async () => {
+    const { status, body } = await submit();
+
+    assert.equal(status, 201);
+    assert.match(body.data.reviewId, /^SR-/);
+    assert.equal(body.data.status, 'pending');
+    assert.equal(body.data.numberOfFloors, 12);
+    assert.equal(body.data.fireExtinguishers, true);
+    assert.equal(body.data.hydrants, false);
+    assert.equal(body.data.wiringCondition, 'good');
+    assert.equal(typeof body.data.riskScore, 'number');
+  });
+
+  it('rejects a submission with field errors', async () => {
+    const { status, body } = await submit({ contactNumber: '123', floors: '' });
+
+    assert.equal(status, 400);
+    assert.ok(body.errors.contactNumber);
+    assert.ok(body.errors.numberOfFloors);
+  });
+
+  it('lists reviews a page at a time', async () => {
+    await submit();
+    await submit({ buildingName: 'Lakeview Residency', buildingType: 'residential' });
+    await submit({ buildingName: 'Harbour Plaza' });
+
+    const all = await request('GET', '/inspections?limit=2&page=1', { staff: true });
+    assert.equal(all.status, 200);
+    assert.equal(all.body.data.length, 2);
+    assert.equal(all.body.pagination.total, 3);
+    assert.equal(all.body.pagination.pages, 2);
+
+    const next = await request('GET', '/inspections?limit=2&page=2', { staff: true });
+    const ids = [...all.body.data, ...next.body.data].map(review => review.reviewId);
+    assert.equal(new Set(ids).size, 3);
+
+    const residential = await request('GET', '/inspections?buildingType=residential', { staff: true });
+    assert.deepEqual(residential.body.data.map(review => review.buildingName), ['Lakeview Residency']);
+  });
+
+  it('finds a review by its review ID', async () => {
+    const created = (await submit({ buildingName: 'Orchid Court' })).body.data;
+
+    const found = await request('GET', `/safety-reviews/review/${created.reviewId}`, { staff: true });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.data.buildingName, 'Orchid Court');
+
+    const missing = await request('GET', '/safety-reviews/review/SR-0-0', { staff: true });
+    assert.equal(missing.status, 404);
+  });
+
+  it('keeps reviews and their owner details from anonymous readers', async () => {
+    const created = (await submit()).body.data;
+
+    for (const url of ['/inspections', `/inspections/${created.reviewId}`, `/safety-reviews/review/${created.reviewId}`]) {
+      const { status, body } = await request('GET', url);
+      assert.equal(status, 401, url);
+      assert.equal(body.data, undefined);
+    }
+  });
+
+  it('shows owners their own reviews only', async () => {
+    const own = (await submit({ buildingName: 'Own Tower', contactNumber: '+91 98765 43210' })).body.data;
+    const other = (await submit({ buildingName: 'Other Tower', contactNumber: '9123456789' })).body.data;
+
+    const list = await request('GET', '/inspections', { owner: true });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data.map(review => review.buildingName), ['Own Tower']);
+
+    assert.equal((await request('GET', `/inspections/${own.reviewId}`, { owner: true })).status, 200);
+    assert.equal((await request('GET', `/inspections/${other.reviewId}`, { owner: true })).status, 404);
+    assert.equal((await request('GET', '/inspections?removed=deleted', { owner: true })).status, 403);
+  });
+
+  it('updates only the fields sent, for staff', async () => {
+    const created = (await submit({ buildingName: 'Cedar House', sprinklers: 'true' })).body.data;
+
+    const anonymous = await request('PUT', `/inspections/${created.reviewId}`, { body: { occupancyLoad: 10 } });
+    assert.equal(anonymous.status, 401);
+
+    const { status, body } = await request('PUT', `/inspections/${created.reviewId}`, {
+      staff: true,
+      body: { occupancyLoad: 450, hydrants: true }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.occupancyLoad, 450);
+    assert.equal(body.data.hydrants, true);
+    // Other items of the same checklist group are kept
+    assert.equal(body.data.sprinklers, true);
+    assert.equal(body.data.fireExtinguishers, true);
+    assert.equal(body.data.updatedBy, 'sup');
+  });
+
+  it('keeps the remarks of every status change', async () => {
+    const created = (await submit({ buildingName: 'Palm Grove' })).body.data;
+    const url = `/inspections/${created.reviewId}/status`;
+
+    await request('PUT', url, { staff: true, body: { status: 'under_review', remarks: 'Site visit booked' } });
+    const { body } = await request('PUT', url, { staff: true, body: { status: 'rejected', remarks: 'Exits blocked' } });
+
+    assert.equal(body.data.remarks, 'Exits blocked');
+    assert.deepEqual(
+      body.data.statusHistory.map(h => [h.from, h.to, h.remarks, h.actor]),
+      [[null, 'pending', '', 'Asha Patil'], ['pending', 'under_review', 'Site visit booked', 'sup'], ['under_review', 'rejected', 'Exits blocked', 'sup']]
+    );
+
+    const audit = await request('GET', `/audit?record=${created.reviewId}&action=status_changed`, { staff: true });
+    assert.deepEqual(audit.body.data[0].changes.remarks, { from: 'Site visit booked', to: 'Exits blocked' });
+  });
+
+  it('refuses status changes the workflow does not allow', async () => {
+    const created = (await submit({ buildingName: 'Birch Villa' })).body.data;
+    const url = `/inspections/${created.reviewId}/status`;
+    const move = status => request('PUT', url, { staff: true, body: { status } });
+
+    const skipped = await move('approved');
+    assert.equal(skipped.status, 409);
+    assert.deepEqual(skipped.body.allowedStatuses, ['under_review']);
+
+    assert.equal((await move('under_review')).status, 200);
+    assert.equal((await move('under_review')).status, 409);
+    assert.equal((await move('approved')).status, 200);
+
+    const reopened = await move('pending');
+    assert.equal(reopened.status, 409);
+    assert.match(reopened.body.message, /No further changes are allowed/);
+
+    const { body } = await request('GET', `/inspections/${created.reviewId}`, { staff: true });
+    assert.equal(body.data.status, 'approved');
+    assert.deepEqual(body.data.statusHistory.map(h => h.to), ['pending', 'under_review', 'approved']);
+  });
+
+  it('records no history entry for a move to the current status', () => {
+    const SafetyReview = require('../models/safetyReview');
+    const review = new SafetyReview({ status: 'under_review' });
+
+    assert.equal(review.moveTo('under_review', { remarks: 'Again' }), false);
+    assert.equal(review.statusHistory.length, 0);
+    assert.equal(review.moveTo('approved'), true);
+    assert.deepEqual(review.statusHistory.map(h => [h.from, h.to]), [['under_review', 'approved']]);
+  });
+
+  it('records staff list reads with their filters', async () => {
+    await request('GET', '/inspections?buildingType=commercial&limit=5', { staff: true });
+
+    const audit = await request('GET', '/audit?action=listed', { staff: true });
+    assert.equal(audit.status, 200);
+    const [entry] = audit.body.data;
+    assert.equal(entry.actor.username, 'sup');
+    assert.deepEqual(entry.details.filters, { buildingType: 'commercial', limit: '5' });
+    assert.equal(entry.details.view, 'reviews');
+  });
+
+  it('counts reviews by status', async () => {
+    const created = (await submit({ buildingName: 'Maple Heights' })).body.data;
+    await request('PUT', `/inspections/${created.reviewId}/status`, { staff: true, body: { status: 'under_review' } });
+
+    const { status, body } = await request('GET', '/inspections/stats/summary');
+    const list = await request('GET', '/inspections?limit=100', { staff: true });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.total, list.body.pagination.total);
+    assert.equal(body.data.reviewed, 1);
+    assert.equal(body.data.submitted, body.data.total - 1);
+    assert.equal(body.data.approved, 0);
+  });
+});
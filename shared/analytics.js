@@ -0,0 +1,171 @@
+// Trend figures for the NOC and inspection analytics endpoints. Loaded with
+// require() by both backends; each turns its records into the common shape
+//
+//   { submittedAt, decidedAt, status, groups: { buildingType, ... }, failed }
+//
+// (dates as Date, decidedAt null while undecided, failed = checklist items
+// not met) and summarize() does the rest, so both services report the same
+// way. UMD like the other shared modules, though only the backends use it.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Analytics = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DEFAULT_RANGE_DAYS = 90;
+  const MAX_RANGE_DAYS = 731;
+  const TOP_FAILED_ITEMS = 10;
+
+  const OPEN_STATUSES = ['pending', 'under_review', 'query_raised'];
+  const DECISIONS = ['approved', 'rejected'];
+
+  // Age of open records, in days since submission
+  const AGE_BUCKETS = [
+    { label: 'Under 7 days', maxDays: 7 },
+    { label: '7–14 days', maxDays: 15 },
+    { label: '15–30 days', maxDays: 31 },
+    { label: '31–60 days', maxDays: 61 },
+    { label: 'Over 60 days', maxDays: Infinity }
+  ];
+
+  const startOfDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  // Monday (UTC) of the week a date falls in
+  function weekStart(date) {
+    const day = startOfDay(date);
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+
+  // { from, to } (Dates; to is the end of its day) from ?from=&to=
+  // (YYYY-MM-DD), by default the last DEFAULT_RANGE_DAYS days; or { error }
+  function parseRange(query, now = new Date()) {
+    const day = value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00.000Z`) : null);
+    const to = query.to ? day(query.to) : startOfDay(now);
+    const from = query.from ? day(query.from) : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+    if (!from || !to) {
+      return { error: 'from and to must be dates (YYYY-MM-DD)' };
+    }
+    if (from > to) {
+      return { error: 'from must not be after to' };
+    }
+    if ((to - from) / DAY_MS >= MAX_RANGE_DAYS) {
+      return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+    return { from, to: new Date(to.getTime() + DAY_MS - 1) };
+  }
+
+  function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  function percentile(values, p) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+  }
+
+  const roundDays = value => (value === null ? null : Math.round(value * 10) / 10);
+  const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+  function submissionsPerWeek(records, { from, to }) {
+    const counts = {};
+    for (let week = weekStart(from); week <= to; week = new Date(week.getTime() + 7 * DAY_MS)) {
+      counts[week.toISOString().slice(0, 10)] = 0;
+    }
+    records.forEach(record => {
+      const key = weekStart(record.submittedAt).toISOString().slice(0, 10);
+      if (key in counts) counts[key]++;
+    });
+    return Object.entries(counts).map(([week, count]) => ({ week, count }));
+  }
+
+  // Approved/rejected counts and approval rate per value of a field
+  function ratesBy(records, field) {
+    const rows = {};
+    records.filter(record => DECISIONS.includes(record.status)).forEach(record => {
+      const value = record.groups[field] || 'unknown';
+      rows[value] = rows[value] || { value, decided: 0, approved: 0, rejected: 0 };
+      rows[value].decided++;
+      rows[value][record.status]++;
+    });
+    return Object.values(rows)
+      .map(row => ({ ...row, approvalRate: rate(row.approved, row.decided) }))
+      .sort((a, b) => b.decided - a.decided);
+  }
+
+  function failedItems(records, checklist) {
+    const counts = {};
+    records.forEach(record => (record.failed || []).forEach(key => {
+      counts[key] = (counts[key] || 0) + 1;
+    }));
+    return checklist
+      .map(item => ({ key: item.key, label: item.label, failed: counts[item.key] || 0, share: rate(counts[item.key] || 0, records.length) }))
+      .filter(item => item.failed)
+      .sort((a, b) => b.failed - a.failed)
+      .slice(0, TOP_FAILED_ITEMS);
+  }
+
+  function backlog(openRecords, now) {
+    const ages = openRecords.map(record => (now - record.submittedAt) / DAY_MS);
+    return {
+      open: openRecords.length,
+      medianAgeDays: roundDays(median(ages)),
+      oldestDays: ages.length ? roundDays(Math.max(...ages)) : null,
+      byStatus: OPEN_STATUSES.map(status => ({ status, count: openRecords.filter(r => r.status === status).length })),
+      buckets: AGE_BUCKETS.map((bucket, i) => ({
+        label: bucket.label,
+        count: ages.filter(age => age < bucket.maxDays && (i === 0 || age >= AGE_BUCKETS[i - 1].maxDays)).length
+      }))
+    };
+  }
+
+  // Figures for the records submitted in `range` (`records`) plus the
+  // current backlog (`openRecords`, whenever submitted). `groupBy` lists the
+  // fields approval rates are broken down by; `checklist` ([{ key, label }])
+  // is given for records with failed checklist items.
+  function summarize({ records, openRecords, range, groupBy, checklist = null, now = new Date() }) {
+    const decided = records.filter(record => DECISIONS.includes(record.status));
+    const decisionDays = decided
+      .filter(record => record.decidedAt)
+      .map(record => Math.max(0, (record.decidedAt - record.submittedAt) / DAY_MS));
+    const approved = decided.filter(record => record.status === 'approved').length;
+
+    const summary = {
+      range: { from: range.from.toISOString().slice(0, 10), to: range.to.toISOString().slice(0, 10) },
+      totals: {
+        submitted: records.length,
+        decided: decided.length,
+        approved,
+        rejected: decided.length - approved,
+        approvalRate: rate(approved, decided.length)
+      },
+      submissionsPerWeek: submissionsPerWeek(records, range),
+      decisionTime: {
+        decided: decisionDays.length,
+        medianDays: roundDays(median(decisionDays)),
+        p90Days: roundDays(percentile(decisionDays, 90))
+      },
+      ratesBy: Object.fromEntries(groupBy.map(field => [field, ratesBy(records, field)])),
+      backlog: backlog(openRecords, now)
+    };
+
+    if (checklist) {
+      summary.failedChecklistItems = failedItems(records, checklist);
+    }
+    return summary;
+  }
+
+  return {
+    OPEN_STATUSES,
+    DECISIONS,
+    AGE_BUCKETS,
+    parseRange,
+    summarize
+  };
+});
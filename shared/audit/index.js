@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const ListQuery = require('../listQuery');
+
+// Append-only audit trail of staff actions for both backends (Node only).
+// Each backend keeps its own chain of entries
+//
+//   { seq, at, service, action, actor, record, changes, details, ip, prevHash, hash }
+//
+// where `hash` is the SHA-256 of the entry (without `hash`) and `prevHash`
+// the hash of the entry before it, so changing or removing any entry but the
+// newest breaks the chain from there on; verify() reports where. The backend
+// supplies the storage:
+//
+//   lastEntry()                 the entry with the highest seq, or null
+//   insertEntry(entry)          stores a new entry
+//   readEntries(afterSeq, n)    up to n entries with seq > afterSeq, by seq
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 500;
+
+// Inserts that collide on seq (another instance appended first) are retried
+const MAX_APPEND_ATTEMPTS = 3;
+
+const ACTIONS = {
+  login: 'Logged in',
+  login_failed: 'Failed login',
+  logout: 'Logged out',
+  password_changed: 'Changed password',
+  account_created: 'Created staff account',
+  viewed: 'Viewed',
+  listed: 'Viewed list',
+  created: 'Created',
+  updated: 'Edited',
+  status_changed: 'Changed status',
+  query_raised: 'Raised query',
+  resubmitted: 'Resubmitted',
+  deleted: 'Deleted',
+  archived: 'Archived',
+  restored: 'Restored',
+  purged: 'Purged',
+  imported: 'Imported',
+  exported: 'Exported',
+  document_downloaded: 'Downloaded document'
+};
+
+function label(action) {
+  return ACTIONS[action] || action;
+}
+
+// JSON with object keys sorted at every level, so an entry hashes the same
+// however its storage orders fields
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashEntry(entry) {
+  const { hash, ...fields } = entry;
+  return crypto.createHash('sha256').update(canonical(fields)).digest('hex');
+}
+
+// '98******10' / 'ra***@example.com', so the trail (and the applicant
+// tracking pages) show which contact without giving all of it away
+function maskContact(value) {
+  const text = String(value || '');
+  if (text.includes('@')) {
+    const [name, domain] = text.split('@');
+    return `${name.slice(0, 2)}***@${domain}`;
+  }
+  return `${text.slice(0, 2)}******${text.slice(-2)}`;
+}
+
+// Who made a request: staff (req.user), an applicant with a one-time code
+// session (req.applicant) or nobody signed in
+function actorOf(req) {
+  if (req.user) return { type: 'staff', username: req.user.username, role: req.user.role };
+  if (req.applicant) return { type: 'applicant', username: null, contact: maskContact(req.applicant.value) };
+  return { type: 'public', username: null };
+}
+
+// { field: { from, to } } for the fields whose value differs, or null
+function changesBetween(before, after, fields) {
+  const changes = {};
+  fields.forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (canonical(from) !== canonical(to)) changes[field] = { from, to };
+  });
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Filter and paging of an audit log request: shared/listQuery.js (always
+// paged, newest first) plus ?actor= (username) and ?record= (appNo,
+// reviewId, ...). Returns the parsed list or { error }.
+function listQuery(query) {
+  const list = ListQuery.parse('audit', { page: 1, ...query });
+  if (list.error) return list;
+
+  if (query.actor) list.filter['actor.username'] = String(query.actor).trim();
+  if (query.record) list.filter['record.id'] = String(query.record).trim();
+  return list;
+}
+
+// An entry as the audit log endpoints return it
+function present(entry) {
+  return { ...entry, actionLabel: label(entry.action) };
+}
+
+function createAuditLog({ service, lastEntry, insertEntry, readEntries }) {
+  let queue = Promise.resolve();
+
+  async function append(fields) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await lastEntry();
+      // Through JSON so dates and documents are stored as they are hashed
+      const entry = JSON.parse(JSON.stringify({
+        seq: last ? last.seq + 1 : 1,
+        at: new Date().toISOString(),
+        service,
+        ...fields,
+        prevHash: last ? last.hash : GENESIS_HASH
+      }));
+      entry.hash = hashEntry(entry);
+
+      try {
+        await insertEntry(entry);
+        return entry;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  // Add an entry for `action` (see ACTIONS) by the request's actor. Entries
+  // are appended one at a time, in call order. Never throws: a failure to
+  // write is logged, and the action it describes has already happened.
+  function record(req, action, { actor = null, record = null, changes = null, details = null } = {}) {
+    const fields = {
+      action,
+      actor: actor || actorOf(req),
+      record,
+      changes,
+      details,
+      ip: req.ip || null
+    };
+    const next = queue.then(() => append(fields));
+    queue = next.catch(() => {});
+    return next.catch(error => {
+      console.error(`Error writing audit entry (${action}):`, error);
+      return null;
+    });
+  }
+
+  // Walk the whole chain. { valid, entries, lastHash } when intact, plus
+  // { brokenAt, problem } at the first entry that doesn't fit.
+  async function verify() {
+    let previous = null;
+    let entries = 0;
+
+    for (;;) {
+      const batch = await readEntries(previous ? previous.seq : 0, VERIFY_BATCH_SIZE);
+      for (const entry of batch) {
+        let problem = null;
+        if (entry.seq !== (previous ? previous.seq + 1 : 1)) {
+          problem = `Entry ${previous ? previous.seq + 1 : 1} is missing`;
+        } else if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+          problem = 'Does not follow the entry before it';
+        } else if (entry.hash !== hashEntry(entry)) {
+          problem = 'Contents were changed after it was written';
+        }
+
+        if (problem) {
+          return { valid: false, entries, lastHash: previous ? previous.hash : null, brokenAt: entry.seq, problem };
+        }
+        previous = entry;
+        entries++;
+      }
+      if (batch.length < VERIFY_BATCH_SIZE) break;
+    }
+
+    return { valid: true, entries, lastHash: previous ? previous.hash : null, brokenAt: null, problem: null };
+  }
+
+  return { record, verify };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  ACTIONS,
+  label,
+  canonical,
+  hashEntry,
+  maskContact,
+  actorOf,
+  changesBetween,
+  listQuery,
+  present,
+  createAuditLog
+};
@@ -0,0 +1,44 @@
+// Mongoose model of the audit trail entries that index.js chains, for both
+// backends (Node only). Entries are only ever appended: stored exactly as
+// they were hashed (minimize is off so empty objects survive) and refused
+// by every update and delete. Each backend passes in its own mongoose, as
+// they run different versions with their own connections.
+function auditEntryModel(mongoose) {
+  const auditEntrySchema = new mongoose.Schema({
+    seq: { type: Number, required: true, unique: true },
+    at: { type: String, required: true },
+    service: { type: String, required: true },
+    action: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.Mixed, required: true },
+    // { type: 'application' | 'incident' | ..., id }
+    record: { type: mongoose.Schema.Types.Mixed, default: null },
+    changes: { type: mongoose.Schema.Types.Mixed, default: null },
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, default: null },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true }
+  }, {
+    collection: 'auditLog',
+    minimize: false
+  });
+
+  auditEntrySchema.index({ 'actor.username': 1, seq: -1 });
+  auditEntrySchema.index({ 'record.id': 1, seq: -1 });
+  auditEntrySchema.index({ at: 1 });
+
+  function refuseChange() {
+    throw new Error('Audit entries cannot be changed or removed');
+  }
+
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    auditEntrySchema.pre(operation, refuseChange);
+  });
+
+  auditEntrySchema.pre('save', function () {
+    if (!this.isNew) refuseChange();
+  });
+
+  return mongoose.models.AuditEntry || mongoose.model('AuditEntry', auditEntrySchema);
+}
+
+module.exports = { auditEntryModel };
@@ -0,0 +1,61 @@
+// Emergency contact directory categories. Loaded with require() by the NOC
+// backend and with a <script> tag by contactsPage.html (as window.Contacts),
+// so the page offers exactly the categories the API accepts.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Contacts = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CATEGORIES = {
+    FIRE_STATION: 'fire_station',
+    HOSPITAL: 'hospital',
+    POLICE: 'police',
+    UTILITY: 'utility'
+  };
+
+  const DEFINITIONS = {
+    fire_station: { label: 'Fire Station', icon: 'fa-fire-extinguisher', className: 'bg-red-600' },
+    hospital: { label: 'Hospital', icon: 'fa-hospital', className: 'bg-blue-600' },
+    police: { label: 'Police', icon: 'fa-shield-alt', className: 'bg-indigo-600' },
+    utility: { label: 'Utility', icon: 'fa-bolt', className: 'bg-yellow-500' }
+  };
+
+  const CATEGORY_LIST = Object.values(CATEGORIES);
+
+  function isKnown(category) {
+    return Object.prototype.hasOwnProperty.call(DEFINITIONS, category);
+  }
+
+  // Category code from a code or a label in any case ('Fire Station',
+  // 'fire-station', 'hospital'), or null
+  function normalize(value) {
+    if (value === undefined || value === null) return null;
+    const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (isKnown(key)) return key;
+    return CATEGORY_LIST.find(code => DEFINITIONS[code].label.toLowerCase() === String(value).trim().toLowerCase()) || null;
+  }
+
+  function label(category) {
+    return isKnown(category) ? DEFINITIONS[category].label : category;
+  }
+
+  function iconFor(category) {
+    return isKnown(category) ? DEFINITIONS[category].icon : 'fa-address-book';
+  }
+
+  function classFor(category) {
+    return isKnown(category) ? DEFINITIONS[category].className : 'bg-gray-500';
+  }
+
+  return {
+    CATEGORIES,
+    CATEGORY_LIST,
+    isKnown,
+    normalize,
+    label,
+    iconFor,
+    classFor
+  };
+});
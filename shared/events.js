@@ -0,0 +1,79 @@
+// Live updates for the admin dashboard over Server-Sent Events, for both
+// backends (Node only). Routes publish a short summary whenever a record
+// changes; every open GET /api/events stream receives it and the dashboard
+// refetches what it shows. A heartbeat keeps proxies from closing idle
+// streams and re-checks each stream's session, so a logged-out user stops
+// receiving events.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Browsers reconnect this long after a dropped stream
+const RETRY_MS = 5 * 1000;
+
+function createEventStream() {
+  const clients = new Set();
+  let lastId = 0;
+  let timer = null;
+
+  async function heartbeat() {
+    for (const client of clients) {
+      let valid = true;
+      try {
+        valid = await client.isValid();
+      } catch (error) {
+        // Keep the stream; the next heartbeat checks again
+        console.error('Error checking event stream session:', error.message);
+      }
+
+      if (valid) {
+        client.res.write(': ping\n\n');
+      } else {
+        clients.delete(client);
+        client.res.end();
+      }
+    }
+  }
+
+  // Turn `res` into an event stream until the client goes away.
+  // `isValid()` resolves false once the subscriber's session has ended.
+  function subscribe(req, res, isValid) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, isValid };
+    clients.add(client);
+
+    if (!timer) {
+      timer = setInterval(() => {
+        heartbeat().catch(error => console.error('Error sending event stream heartbeat:', error));
+      }, HEARTBEAT_MS);
+      timer.unref();
+    }
+
+    req.on('close', () => {
+      clients.delete(client);
+      if (!clients.size) {
+        clearInterval(timer);
+        timer = null;
+      }
+    });
+  }
+
+  // Send `data` as a `type` event (e.g. 'application.created',
+  // 'inspection.updated') to every open stream
+  function publish(type, data) {
+    lastId += 1;
+    const payload = JSON.stringify({ ...data, at: new Date().toISOString() });
+    const frame = `id: ${lastId}\nevent: ${type}\ndata: ${payload}\n\n`;
+    clients.forEach(client => client.res.write(frame));
+  }
+
+  return { subscribe, publish, size: () => clients.size };
+}
+
+module.exports = { createEventStream };
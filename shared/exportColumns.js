@@ -0,0 +1,111 @@
+// Columns of the CSV/XLSX exports of NOC applications and safety reviews.
+// Loaded with require() by both backends and with a <script> tag by
+// adminPage.html (as window.ExportColumns), so the column picker offers
+// exactly what the export endpoints accept.
+//
+// `key` is the path of the value in the record as the list endpoint returns
+// it; `type` decides how it is written (date and number cells stay dates and
+// numbers in Excel). Columns marked `default` are exported when no
+// ?columns= is given.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ExportColumns = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FORMATS = ['csv', 'xlsx'];
+
+  const COLUMNS = {
+    noc: [
+      { key: 'appNo', label: 'Application No', default: true },
+      { key: 'applicationType', label: 'Application Type' },
+      { key: 'renewalOf', label: 'Renewal Of' },
+      { key: 'propertyName', label: 'Property Name', default: true },
+      { key: 'buildingType', label: 'Building Type', default: true },
+      { key: 'plotNumber', label: 'Plot Number' },
+      { key: 'address', label: 'Address', default: true },
+      { key: 'jurisdiction.name', label: 'Jurisdiction' },
+      { key: 'builtupArea', label: 'Built-up Area (sq ft)', type: 'number', default: true },
+      { key: 'floors', label: 'Floors', type: 'number', default: true },
+      { key: 'applicantName', label: 'Applicant Name', default: true },
+      { key: 'applicantType', label: 'Applicant Type' },
+      { key: 'mobile', label: 'Mobile' },
+      { key: 'email', label: 'Email' },
+      { key: 'statusLabel', label: 'Status', default: true },
+      { key: 'submittedDate', label: 'Submitted', type: 'date', default: true },
+      { key: 'updatedDate', label: 'Last Updated', type: 'date' },
+      { key: 'updatedBy', label: 'Updated By' },
+      { key: 'remarks', label: 'Remarks' },
+      { key: 'certificate.certificateNo', label: 'Certificate No' },
+      { key: 'certificate.validFrom', label: 'Valid From', type: 'date' },
+      { key: 'certificate.validUntil', label: 'Valid Until', type: 'date' }
+    ],
+    inspection: [
+      { key: 'reviewId', label: 'Review ID', default: true },
+      { key: 'buildingName', label: 'Building Name', default: true },
+      { key: 'buildingType', label: 'Building Type', default: true },
+      { key: 'address', label: 'Address', default: true },
+      { key: 'jurisdiction.name', label: 'Jurisdiction' },
+      { key: 'numberOfFloors', label: 'Floors', type: 'number', default: true },
+      { key: 'occupancyLoad', label: 'Occupancy Load', type: 'number', default: true },
+      { key: 'yearConstruction', label: 'Year of Construction', type: 'number' },
+      { key: 'ownerName', label: 'Owner Name', default: true },
+      { key: 'contactNumber', label: 'Contact Number' },
+      { key: 'statusLabel', label: 'Status', default: true },
+      { key: 'riskScore', label: 'Risk Score', type: 'number', default: true },
+      { key: 'riskBand', label: 'Risk Band', default: true },
+      { key: 'criticalDeficiencies', label: 'Critical Deficiencies' },
+      { key: 'reviewedBy', label: 'Reviewed By' },
+      { key: 'remarks', label: 'Remarks' },
+      { key: 'createdAt', label: 'Submitted', type: 'date', default: true },
+      { key: 'updatedDate', label: 'Last Updated', type: 'date' },
+      // The checklist, one column per item
+      { key: 'fireExtinguishers', label: 'Fire Extinguishers Installed', type: 'boolean', group: 'Fire Protection' },
+      { key: 'hydrants', label: 'Hydrants Available', type: 'boolean', group: 'Fire Protection' },
+      { key: 'smokeDetectors', label: 'Smoke Detectors Functional', type: 'boolean', group: 'Fire Protection' },
+      { key: 'sprinklers', label: 'Sprinkler System Installed', type: 'boolean', group: 'Fire Protection' },
+      { key: 'fireAlarm', label: 'Fire Alarm Operational', type: 'boolean', group: 'Fire Protection' },
+      { key: 'emergencyExits', label: 'Emergency Exits Marked', type: 'boolean', group: 'Fire Protection' },
+      { key: 'firePump', label: 'Fire Pump Working', type: 'boolean', group: 'Fire Protection' },
+      { key: 'wiringCondition', label: 'Wiring Condition', group: 'Electrical Safety' },
+      { key: 'earthing', label: 'Earthing Provided', type: 'boolean', group: 'Electrical Safety' },
+      { key: 'panelsAccessible', label: 'Electrical Panels Accessible', type: 'boolean', group: 'Electrical Safety' },
+      { key: 'escapeRoutes', label: 'Escape Routes Clear', type: 'boolean', group: 'Structural Safety' },
+      { key: 'fireDoors', label: 'Fire Doors Installed', type: 'boolean', group: 'Structural Safety' },
+      { key: 'staircaseWidth', label: 'Staircase Width Adequate', type: 'boolean', group: 'Structural Safety' },
+      { key: 'hazardousStorage', label: 'No Hazardous Storage', type: 'boolean', group: 'Housekeeping & Storage' },
+      { key: 'corridors', label: 'Corridors Obstruction-free', type: 'boolean', group: 'Housekeeping & Storage' },
+      { key: 'wasteDisposal', label: 'Waste Disposal Safe', type: 'boolean', group: 'Housekeeping & Storage' }
+    ]
+  };
+
+  // Columns for a ?columns= list (comma-separated keys, in the order given),
+  // or the defaults. Returns { columns } or { error }.
+  function selectColumns(kind, requested) {
+    const all = COLUMNS[kind];
+    if (!requested) {
+      return { columns: all.filter(column => column.default) };
+    }
+
+    const keys = String(requested).split(',').map(key => key.trim()).filter(Boolean);
+    const unknown = keys.filter(key => !all.some(column => column.key === key));
+    if (!keys.length || unknown.length) {
+      return { error: `Unknown export column${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ') || '(none given)'}` };
+    }
+    return { columns: keys.map(key => all.find(column => column.key === key)) };
+  }
+
+  // Raw value of a column in a record; lists are joined
+  function valueOf(record, column) {
+    const value = column.key.split('.').reduce((v, part) => (v == null ? undefined : v[part]), record);
+    return Array.isArray(value) ? value.join('; ') : value;
+  }
+
+  return {
+    FORMATS,
+    COLUMNS,
+    selectColumns,
+    valueOf
+  };
+});
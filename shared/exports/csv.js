@@ -0,0 +1,22 @@
+// CSV rows as RFC 4180 wants them: fields with commas, quotes or line breaks
+// quoted, CRLF line ends. Used by the list exports and the contacts
+// directory. Text starting with = + - @ is prefixed with a quote so
+// spreadsheets show it instead of running it as a formula; phone numbers
+// ('+91 98765 43210') and negative numbers are digits only, so they are
+// written as they are.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER_LIKE = /^[+-]?[\d\s()-]+$/;
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text) && !NUMBER_LIKE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+module.exports = { csvRow };
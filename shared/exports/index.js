@@ -0,0 +1,78 @@
+const ExportColumns = require('../exportColumns');
+const { csvRow } = require('./csv');
+const { writeXlsx } = require('./xlsx');
+
+// Streaming CSV/XLSX exports for both backends (Node only). The backend
+// supplies the records as an (async) iterable, typically read in batches or
+// from a cursor, and the columns from shared/exportColumns.js.
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// A column's value in a record as { type, value }: numbers and dates typed,
+// yes/no for booleans, everything else as text
+function toCell(record, column) {
+  const value = ExportColumns.valueOf(record, column);
+  if (value === null || value === undefined || value === '') return { type: 'string', value: null };
+
+  switch (column.type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? { type: 'number', value: number } : { type: 'string', value: String(value) };
+    }
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? { type: 'string', value: String(value) } : { type: 'date', value: date };
+    }
+    case 'boolean':
+      return { type: 'string', value: value ? 'Yes' : 'No' };
+    default:
+      return { type: 'string', value: String(value) };
+  }
+}
+
+// CSV has no cell types: dates as 'YYYY-MM-DD HH:mm' (UTC)
+const csvValue = ({ type, value }) => (type === 'date' ? value.toISOString().slice(0, 16).replace('T', ' ') : value);
+
+// Stream `records` to the response as `format` ('csv' or 'xlsx'), saved as
+// `${basename}.${format}`
+async function sendExport(res, { format, basename, sheetName, columns, records }) {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${basename}.${format}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  async function* rows() {
+    for await (const record of records) {
+      yield columns.map(column => toCell(record, column));
+    }
+  }
+
+  if (format === 'xlsx') {
+    await writeXlsx(res, { sheetName, header: columns.map(c => c.label), rows: rows() });
+  } else {
+    // BOM so Excel opens the file as UTF-8
+    res.write(`\ufeff${csvRow(columns.map(c => c.label))}`);
+    for await (const cells of rows()) {
+      if (!res.write(csvRow(cells.map(csvValue)))) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+  }
+  res.end();
+}
+
+// { format, columns } from the request's ?format= and ?columns=, or { error }
+function parseExportRequest(kind, query) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!ExportColumns.FORMATS.includes(format)) {
+    return { error: `Invalid format. Must be one of: ${ExportColumns.FORMATS.join(', ')}` };
+  }
+  const { columns, error } = ExportColumns.selectColumns(kind, query.columns);
+  return error ? { error } : { format, columns };
+}
+
+module.exports = { sendExport, parseExportRequest };
@@ -0,0 +1,80 @@
+// SOS incident lifecycle. Loaded with require() by the NOC backend and with a
+// <script> tag by adminPage.html (as window.Incidents), so the dashboard
+// offers exactly the moves the API accepts.
+//
+//   Reported -> Acknowledged -> Dispatched -> On Scene -> Resolved
+//
+// Any open incident can also be resolved directly (false alarm, handled by
+// phone); resolved incidents are closed.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Incidents = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CODES = {
+    REPORTED: 'reported',
+    ACKNOWLEDGED: 'acknowledged',
+    DISPATCHED: 'dispatched',
+    ON_SCENE: 'on_scene',
+    RESOLVED: 'resolved'
+  };
+
+  const DEFINITIONS = {
+    reported: { label: 'Reported', action: 'Reported', className: 'bg-red-600' },
+    acknowledged: { label: 'Acknowledged', action: 'Acknowledge', className: 'bg-orange-500' },
+    dispatched: { label: 'Dispatched', action: 'Dispatch', className: 'bg-yellow-500' },
+    on_scene: { label: 'On Scene', action: 'Mark On Scene', className: 'bg-blue-500' },
+    resolved: { label: 'Resolved', action: 'Resolve', className: 'bg-green-500' }
+  };
+
+  // In lifecycle order
+  const STATUSES = [CODES.REPORTED, CODES.ACKNOWLEDGED, CODES.DISPATCHED, CODES.ON_SCENE, CODES.RESOLVED];
+
+  const OPEN_STATUSES = STATUSES.filter(status => status !== CODES.RESOLVED);
+
+  const TRANSITIONS = {
+    [CODES.REPORTED]: [CODES.ACKNOWLEDGED, CODES.RESOLVED],
+    [CODES.ACKNOWLEDGED]: [CODES.DISPATCHED, CODES.RESOLVED],
+    [CODES.DISPATCHED]: [CODES.ON_SCENE, CODES.RESOLVED],
+    [CODES.ON_SCENE]: [CODES.RESOLVED],
+    [CODES.RESOLVED]: []
+  };
+
+  function isKnown(status) {
+    return Object.prototype.hasOwnProperty.call(DEFINITIONS, status);
+  }
+
+  function label(status) {
+    return isKnown(status) ? DEFINITIONS[status].label : (status || '');
+  }
+
+  function actionLabel(status) {
+    return isKnown(status) ? DEFINITIONS[status].action : (status || '');
+  }
+
+  function classFor(status) {
+    return isKnown(status) ? DEFINITIONS[status].className : 'bg-gray-500';
+  }
+
+  function allowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+  }
+
+  function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+  }
+
+  return {
+    CODES,
+    STATUSES,
+    OPEN_STATUSES,
+    isKnown,
+    label,
+    actionLabel,
+    classFor,
+    allowedTransitions,
+    canTransition
+  };
+});
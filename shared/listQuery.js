@@ -0,0 +1,200 @@
+// Paging, sorting and filtering for the application and inspection lists
+// and the audit log.
+// Loaded with require() by both backends, which turn a request's query
+// string into a Mongo-style filter and sort (understood by the NOC store
+// adapters and by Mongoose alike), and with a <script> tag by adminPage.html
+// (as window.ListQuery) for the sort options and page sizes.
+//
+// Query parameters:
+//   page, limit          1-based page and page size (at most MAX_LIMIT).
+//                        Without either the whole list is returned, as before.
+//   sort                 comma-separated fields, '-' for descending,
+//                        e.g. sort=-submittedDate,propertyName
+//   q                    text search over the list's search fields
+//   <field>              exact match, comma-separated for any of several
+//                        values (buildingType=commercial,industrial)
+//   min<Name>, max<Name> numeric ranges (minFloors=3&maxFloors=10)
+//   from, to             date range, inclusive (YYYY-MM-DD or ISO time)
+//
+// Status (and the inspection risk band) is left to the backends, which know
+// their own spellings.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ListQuery = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_LIMIT = 20;
+  const MAX_LIMIT = 100;
+  const PAGE_SIZES = [10, 20, 50, 100];
+
+  const LISTS = {
+    noc: {
+      sortFields: {
+        submittedDate: 'Submitted',
+        updatedDate: 'Last updated',
+        appNo: 'Application No',
+        propertyName: 'Property',
+        applicantName: 'Applicant',
+        builtupArea: 'Built-up area',
+        floors: 'Floors',
+        status: 'Status'
+      },
+      defaultSort: 'submittedDate',
+      // Sort fields stored under another key: seq is the number part of
+      // appNo, which would not order correctly as a string
+      sortKeys: { appNo: 'seq' },
+      // Appended so pages never overlap when the sort keys tie; the last
+      // key has to be unique
+      tieBreaker: { seq: 1 },
+      equals: ['buildingType', 'applicantType'],
+      ranges: { Floors: 'floors', Area: 'builtupArea' },
+      dateField: 'submittedDate',
+      search: ['appNo', 'propertyName', 'applicantName', 'plotNumber', 'address']
+    },
+    inspection: {
+      sortFields: {
+        createdAt: 'Submitted',
+        riskScore: 'Risk score',
+        reviewId: 'Review ID',
+        buildingName: 'Building',
+        numberOfFloors: 'Floors',
+        occupancyLoad: 'Occupancy load',
+        status: 'Status'
+      },
+      defaultSort: '-createdAt',
+      tieBreaker: { createdAt: -1, reviewId: -1 },
+      equals: ['buildingType'],
+      ranges: { Floors: 'numberOfFloors', Occupancy: 'occupancyLoad', RiskScore: 'riskScore' },
+      dateField: 'createdAt',
+      search: ['reviewId', 'buildingName', 'ownerName', 'address']
+    },
+    audit: {
+      sortFields: {
+        seq: 'Entry'
+      },
+      defaultSort: '-seq',
+      tieBreaker: { seq: -1 },
+      equals: ['action'],
+      ranges: {},
+      dateField: 'at',
+      search: ['actor.username', 'record.id', 'action']
+    }
+  };
+
+  const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  function parsePositiveInt(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      return { error: `${name} must be a positive whole number` };
+    }
+    return { value: number };
+  }
+
+  // 'YYYY-MM-DD' or an ISO time as an ISO string; a bare day used as the
+  // upper bound covers the whole day
+  function parseDate(value, endOfDay) {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(day && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  function parseSort(kind, value) {
+    const list = LISTS[kind];
+    const sort = {};
+
+    for (const part of String(value || list.defaultSort).split(',').map(p => p.trim()).filter(Boolean)) {
+      const field = part.replace(/^[-+]/, '');
+      if (!Object.prototype.hasOwnProperty.call(list.sortFields, field)) {
+        return { error: `Invalid sort field "${field}". Must be one of: ${Object.keys(list.sortFields).join(', ')}` };
+      }
+      sort[(list.sortKeys && list.sortKeys[field]) || field] = part.startsWith('-') ? -1 : 1;
+    }
+
+    Object.entries(list.tieBreaker).forEach(([field, direction]) => {
+      if (!(field in sort)) sort[field] = direction;
+    });
+    return { sort };
+  }
+
+  // { filter, sort, page, limit, skip } from a request's query, or { error }.
+  // limit is null for an unpaged request.
+  function parse(kind, query) {
+    const list = LISTS[kind];
+    const filter = {};
+
+    for (const field of list.equals) {
+      const value = query[field];
+      if (value === undefined || value === '' || value === 'all') continue;
+      const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+
+    for (const [name, field] of Object.entries(list.ranges)) {
+      const range = {};
+      for (const [bound, op] of [['min', '$gte'], ['max', '$lte']]) {
+        const value = query[`${bound}${name}`];
+        if (value === undefined || value === '') continue;
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          return { error: `${bound}${name} must be a number` };
+        }
+        range[op] = number;
+      }
+      if (Object.keys(range).length) filter[field] = range;
+    }
+
+    if (query.from || query.to) {
+      const range = {};
+      if (query.from) range.$gte = parseDate(query.from, false);
+      if (query.to) range.$lte = parseDate(query.to, true);
+      if (Object.values(range).includes(null)) {
+        return { error: 'from and to must be dates (YYYY-MM-DD)' };
+      }
+      filter[list.dateField] = range;
+    }
+
+    const q = String(query.q || '').trim();
+    if (q) {
+      filter.$or = list.search.map(field => ({ [field]: { $regex: escapeRegex(q), $options: 'i' } }));
+    }
+
+    const { sort, error } = parseSort(kind, query.sort);
+    if (error) return { error };
+
+    if (query.page === undefined && query.limit === undefined) {
+      return { filter, sort, page: 1, limit: null, skip: 0 };
+    }
+
+    const page = query.page === undefined ? { value: 1 } : parsePositiveInt(query.page, 'page');
+    if (page.error) return page;
+    const limit = query.limit === undefined ? { value: DEFAULT_LIMIT } : parsePositiveInt(query.limit, 'limit');
+    if (limit.error) return limit;
+    if (limit.value > MAX_LIMIT) {
+      return { error: `limit can be at most ${MAX_LIMIT}` };
+    }
+
+    return { filter, sort, page: page.value, limit: limit.value, skip: (page.value - 1) * limit.value };
+  }
+
+  // The pagination block of a list response
+  function pagination({ page, limit }, total) {
+    return {
+      page,
+      limit,
+      total,
+      pages: limit ? Math.max(1, Math.ceil(total / limit)) : 1
+    };
+  }
+
+  return {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PAGE_SIZES,
+    LISTS,
+    parse,
+    pagination
+  };
+});
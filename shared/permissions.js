@@ -0,0 +1,66 @@
+// Staff roles and what each one may do. Loaded with require() by both backends
+// and with a <script> tag by adminPage.html (as window.Permissions), so the
+// dashboard hides exactly the actions the API would refuse.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Permissions = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PERMISSIONS = {
+    NOC_REVIEW: 'noc:review',                 // move a NOC application to Under Review
+    NOC_DECIDE: 'noc:decide',                 // approve, reject or raise a query on a NOC
+    NOC_DELETE: 'noc:delete',
+    INSPECTION_UPDATE: 'inspection:update',   // edit a safety review / move it through review
+    INSPECTION_DECIDE: 'inspection:decide',   // approve or reject a safety review
+    INSPECTION_DELETE: 'inspection:delete',
+    INCIDENT_UPDATE: 'incident:update',       // take an SOS incident and move it through dispatch
+    CONTACT_MANAGE: 'contact:manage',         // add, edit, import and delete emergency contacts
+    AUDIT_VIEW: 'audit:view',                 // read the audit log and check its hash chain
+    RECORD_PURGE: 'record:purge'              // permanently purge trashed records past retention
+  };
+
+  const P = PERMISSIONS;
+
+  const ROLES = {
+    clerk: [P.NOC_REVIEW],
+    inspector: [P.INSPECTION_UPDATE],
+    dispatcher: [P.INCIDENT_UPDATE, P.CONTACT_MANAGE],
+    supervisor: [
+      P.NOC_REVIEW, P.NOC_DECIDE, P.NOC_DELETE,
+      P.INSPECTION_UPDATE, P.INSPECTION_DECIDE, P.INSPECTION_DELETE,
+      P.INCIDENT_UPDATE, P.CONTACT_MANAGE, P.AUDIT_VIEW, P.RECORD_PURGE
+    ],
+    // Accounts created before roles existed default to 'admin'
+    admin: Object.values(PERMISSIONS)
+  };
+
+  function isKnownRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+  }
+
+  function can(role, permission) {
+    return isKnownRole(role) && ROLES[role].includes(permission);
+  }
+
+  // Permission needed to move a NOC application into `status` (a status
+  // code from shared/status.js)
+  function permissionForNocStatus(status) {
+    return status === 'under_review' ? P.NOC_REVIEW : P.NOC_DECIDE;
+  }
+
+  // Permission needed to move a safety review into `status`
+  function permissionForInspectionStatus(status) {
+    return status === 'approved' || status === 'rejected' ? P.INSPECTION_DECIDE : P.INSPECTION_UPDATE;
+  }
+
+  return {
+    PERMISSIONS,
+    ROLES,
+    isKnownRole,
+    can,
+    permissionForNocStatus,
+    permissionForInspectionStatus
+  };
+});
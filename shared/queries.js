@@ -0,0 +1,159 @@
+// Reviewer queries and applicant resubmissions for NOC applications and
+// safety reviews. Loaded with require() by both backends and with a <script>
+// tag by adminPage.html, nocPage.html and inspectionPage.html (as
+// window.Queries), so the forms offer exactly what the API accepts.
+//
+// A reviewer raises queries on documents or form fields of a record under
+// review; the record moves to Query Raised. The applicant answers every
+// open query in one resubmission (a new file for a document, a value for a
+// field). That is stored as a revision with the diff, earlier document
+// versions are kept, and the record goes back to Under Review.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Queries = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const STATUSES = {
+    OPEN: 'open',
+    ANSWERED: 'answered'
+  };
+
+  // What can be queried, per kind of record. The applicant's mobile/email
+  // (and an owner's contact number) are left out: they are how the
+  // applicant proves who they are.
+  const TARGETS = {
+    noc: {
+      document: {
+        buildingPlan: 'Building Plan',
+        propertyDoc: 'Property Document',
+        idProof: 'ID Proof'
+      },
+      field: {
+        propertyName: 'Property Name',
+        buildingType: 'Building Type',
+        plotNumber: 'Plot Number',
+        address: 'Address',
+        builtupArea: 'Built-up Area',
+        floors: 'Number of Floors',
+        applicantName: 'Applicant Name',
+        applicantType: 'Applicant Type'
+      }
+    },
+    inspection: {
+      document: {
+        buildingPlan: 'Building Plan',
+        equipmentLayout: 'Fire Safety Equipment Layout',
+        electricalLayout: 'Electrical Layout Report',
+        previousAudit: 'Previous Fire Audit',
+        additionalDocs: 'Additional Documents'
+      },
+      field: {
+        buildingName: 'Building Name',
+        buildingType: 'Building Type',
+        address: 'Address',
+        numberOfFloors: 'Number of Floors',
+        occupancyLoad: 'Occupancy Load',
+        yearConstruction: 'Year of Construction',
+        ownerName: 'Owner Name'
+      }
+    }
+  };
+
+  const MAX_MESSAGE_LENGTH = 1000;
+
+  function isTarget(kind, type, name) {
+    const targets = TARGETS[kind] && TARGETS[kind][type];
+    return !!targets && Object.prototype.hasOwnProperty.call(targets, name);
+  }
+
+  function targetLabel(kind, target) {
+    return isTarget(kind, target.type, target.name) ? TARGETS[kind][target.type][target.name] : target.name;
+  }
+
+  function openQueries(record) {
+    return (record.queries || []).filter(query => query.status === STATUSES.OPEN);
+  }
+
+  // Validated query list from a request body ([{ type, name, message }]),
+  // or { error }
+  function parseQueries(kind, items) {
+    if (!Array.isArray(items) || !items.length) {
+      return { error: 'Add at least one query' };
+    }
+
+    const queries = [];
+    for (const item of items) {
+      const type = item && item.type;
+      const name = item && item.name;
+      const message = String((item && item.message) || '').trim();
+
+      if (!isTarget(kind, type, name)) {
+        return { error: `Unknown ${type === 'field' ? 'field' : 'document'} "${name}"` };
+      }
+      if (!message) {
+        return { error: `Say what is wrong with ${targetLabel(kind, { type, name })}` };
+      }
+      if (message.length > MAX_MESSAGE_LENGTH) {
+        return { error: `Queries can be at most ${MAX_MESSAGE_LENGTH} characters` };
+      }
+      if (queries.some(q => q.type === type && q.name === name)) {
+        return { error: `${targetLabel(kind, { type, name })} is queried twice` };
+      }
+      queries.push({ type, name, message });
+    }
+    return { queries };
+  }
+
+  // Check a resubmission against the record's open queries. `uploaded` lists
+  // the document fields that came with new files, `values` holds the
+  // submitted form values. Every open query has to be answered and nothing
+  // else may change. Returns { error } or { answered, values } where values
+  // are the queried fields only.
+  function checkResponse(kind, record, uploaded, values) {
+    const open = openQueries(record);
+    if (!open.length) {
+      return { error: 'There are no open queries to respond to' };
+    }
+
+    const queried = type => open.filter(q => q.target.type === type).map(q => q.target.name);
+
+    const unasked = uploaded.filter(name => !queried('document').includes(name));
+    if (unasked.length) {
+      return { error: `Only queried documents can be replaced (not ${unasked.map(name => targetLabel(kind, { type: 'document', name })).join(', ')})` };
+    }
+
+    const missing = open.filter(q => q.target.type === 'document'
+      ? !uploaded.includes(q.target.name)
+      : values[q.target.name] === undefined || String(values[q.target.name]).trim() === '');
+    if (missing.length) {
+      return { error: `Please answer every query: ${missing.map(q => targetLabel(kind, q.target)).join(', ')}` };
+    }
+
+    const fieldValues = {};
+    queried('field').forEach(name => {
+      fieldValues[name] = String(values[name]).trim();
+    });
+
+    return { answered: open.map(q => q.queryId), values: fieldValues };
+  }
+
+  // [{ type: 'field', name, from, to }] for the fields whose value differs
+  function diffFields(before, after, names) {
+    return names
+      .filter(name => String(before[name] ?? '') !== String(after[name] ?? ''))
+      .map(name => ({ type: 'field', name, from: before[name] ?? null, to: after[name] ?? null }));
+  }
+
+  return {
+    STATUSES,
+    TARGETS,
+    isTarget,
+    targetLabel,
+    openQueries,
+    parseQueries,
+    checkResponse,
+    diffFields
+  };
+});
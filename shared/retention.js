@@ -0,0 +1,83 @@
+// Soft delete, archiving and the retention policy for NOC applications and
+// safety reviews. Staff never destroy a record directly: deleting or
+// archiving one stores a `removed` block on it
+//
+//   { state: 'deleted' | 'archived', at, by, reason }
+//
+// which takes it out of the default lists (the trash and the archive list
+// it instead) until someone restores it. Only a purge destroys records and
+// their documents, and only deleted ones whose retention period is over:
+// policy.keepYears since submission, and at least policy.trashDays in the
+// trash. Loaded with require() by both backends and with a <script> tag by
+// adminPage.html (as window.Retention).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Retention = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_REASON_LENGTH = 500;
+
+  const STATES = {
+    deleted: { label: 'In trash', where: 'in the trash', className: 'bg-gray-600' },
+    archived: { label: 'Archived', where: 'archived', className: 'bg-indigo-500' }
+  };
+
+  const removedState = record => (record && record.removed ? record.removed.state : null);
+  const isRemoved = record => !!removedState(record);
+  const isDeleted = record => removedState(record) === 'deleted';
+
+  // Why a removed record can't be worked on, e.g. 'Application is in the
+  // trash. Restore it first.'
+  function blockedMessage(noun, record) {
+    return `${noun} is ${STATES[record.removed.state].where}. Restore it first.`;
+  }
+
+  // Storage filter for ?removed= on a list request: nothing for the
+  // default lists (records in use), 'deleted' for the trash, 'archived',
+  // or 'all' for both. Returns { filter } or { error }.
+  function listFilter(value) {
+    if (!value) return { filter: { removed: null } };
+    if (value === 'all') return { filter: { 'removed.state': { $in: Object.keys(STATES) } } };
+    if (STATES[value]) return { filter: { 'removed.state': value } };
+    return { error: `Invalid removed filter. Must be one of: ${[...Object.keys(STATES), 'all'].join(', ')}` };
+  }
+
+  // The removed block for moving a record to `state` ('deleted' or 'archived')
+  function mark(state, actor, reason, now = new Date()) {
+    return {
+      state,
+      at: new Date(now).toISOString(),
+      by: actor,
+      reason: String(reason || '').trim().slice(0, MAX_REASON_LENGTH)
+    };
+  }
+
+  // When a record may first be purged (ISO string), or null for records
+  // that are not in the trash
+  function purgeableFrom(policy, removed, submittedAt) {
+    if (!removed || removed.state !== 'deleted') return null;
+    const kept = new Date(submittedAt);
+    kept.setUTCFullYear(kept.getUTCFullYear() + policy.keepYears);
+    const trashed = new Date(new Date(removed.at).getTime() + policy.trashDays * DAY_MS);
+    return new Date(Math.max(kept.getTime(), trashed.getTime())).toISOString();
+  }
+
+  function isPurgeable(policy, removed, submittedAt, now = new Date()) {
+    const from = purgeableFrom(policy, removed, submittedAt);
+    return !!from && new Date(from) <= new Date(now);
+  }
+
+  return {
+    STATES,
+    isRemoved,
+    isDeleted,
+    blockedMessage,
+    listFilter,
+    mark,
+    purgeableFrom,
+    isPurgeable
+  };
+});
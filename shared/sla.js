@@ -0,0 +1,84 @@
+// SLA deadlines for NOC applications and safety reviews. Each backend keeps
+// its rules in config (days allowed per status, by building type) and
+// stores an `sla` block on the record at every status change:
+//
+//   { status, since, dueAt, escalatedAt, escalatedTo }
+//
+// dueAt is null for statuses without a deadline (waiting on the applicant,
+// or final). Loaded with require() by both backends and with a <script> tag
+// by adminPage.html (as window.Sla) for the "days in status" and overdue
+// badges.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Sla = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // A record is due soon once this share of its allowed time has gone by
+  const DUE_SOON_SHARE = 0.75;
+
+  const STATES = {
+    on_track: { label: 'On track', className: 'bg-green-500' },
+    due_soon: { label: 'Due soon', className: 'bg-yellow-500' },
+    overdue: { label: 'Overdue', className: 'bg-red-600' }
+  };
+
+  // Statuses that have a deadline under `rules`
+  function trackedStatuses(rules) {
+    return Object.keys(rules);
+  }
+
+  // Days allowed in `status` for a building type (the status's `default`
+  // for types without their own rule), or null when there is no deadline
+  function allowedDays(rules, status, buildingType) {
+    const rule = rules[status];
+    if (!rule) return null;
+    const days = Object.prototype.hasOwnProperty.call(rule, buildingType) ? rule[buildingType] : rule.default;
+    return days === undefined ? null : days;
+  }
+
+  // The sla block of a record entering its status at `since`
+  function track(rules, { status, buildingType }, since = new Date()) {
+    const start = new Date(since);
+    const days = allowedDays(rules, status, buildingType);
+    return {
+      status,
+      since: start.toISOString(),
+      dueAt: days === null ? null : new Date(start.getTime() + days * DAY_MS).toISOString(),
+      escalatedAt: null,
+      escalatedTo: null
+    };
+  }
+
+  // Whole days a record has been in its current status
+  function daysInStatus(sla, now = new Date()) {
+    return Math.max(0, Math.floor((new Date(now) - new Date(sla.since)) / DAY_MS));
+  }
+
+  function isOverdue(sla, now = new Date()) {
+    return !!(sla && sla.dueAt) && new Date(sla.dueAt) < new Date(now);
+  }
+
+  // 'on_track', 'due_soon' or 'overdue' (see STATES), or null without a
+  // deadline
+  function state(sla, now = new Date()) {
+    if (!sla || !sla.dueAt) return null;
+    if (isOverdue(sla, now)) return 'overdue';
+    const since = new Date(sla.since).getTime();
+    const used = (new Date(now) - since) / (new Date(sla.dueAt) - since);
+    return used >= DUE_SOON_SHARE ? 'due_soon' : 'on_track';
+  }
+
+  return {
+    STATES,
+    trackedStatuses,
+    allowedDays,
+    track,
+    daysInStatus,
+    isOverdue,
+    state
+  };
+});
@@ -0,0 +1,67 @@
+const Sla = require('./sla');
+
+// Scheduled SLA check for both backends (Node only): escalates records that
+// have sat in a status past their due date (see shared/sla.js), once per
+// status. Records without an up-to-date sla block (from before SLA
+// tracking) are given one first. The backend supplies the record access:
+//
+//   findTracked(statuses)        records in one of `statuses`, not removed
+//   statusSince(record)          when the record entered its current status
+//   saveSla(record, sla)         stores `sla` while the record is still in
+//                                record.status
+//   escalate(record, sla, now)   claims the escalation (again only while the
+//                                record is in record.status), tells the staff
+//                                and open dashboards; resolves falsy if the
+//                                record moved on meanwhile
+//
+// `noun` names the records in the log ('application', 'review').
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createSlaJob({ rules, checkIntervalHours, noun, findTracked, statusSince, saveSla, escalate }) {
+  let timer = null;
+
+  async function run(now = new Date()) {
+    const records = await findTracked(Sla.trackedStatuses(rules));
+    let tracked = 0;
+    let escalated = 0;
+
+    for (const record of records) {
+      let sla = record.sla;
+
+      if (!sla || sla.status !== record.status) {
+        sla = Sla.track(rules, record, statusSince(record));
+        await saveSla(record, sla);
+        tracked++;
+      }
+
+      if (!Sla.isOverdue(sla, now) || sla.escalatedAt) continue;
+      if (await escalate(record, sla, now)) escalated++;
+    }
+
+    if (tracked || escalated) {
+      console.log(`✅ SLA check: ${tracked} ${noun}(s) given due dates, ${escalated} escalated`);
+    }
+    return { tracked, escalated };
+  }
+
+  function runLogged() {
+    return run().catch(error => console.error('Error checking SLA deadlines:', error));
+  }
+
+  function start() {
+    if (timer) return;
+    runLogged();
+    timer = setInterval(runLogged, checkIntervalHours * HOUR_MS);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, start, stop };
+}
+
+module.exports = { createSlaJob };
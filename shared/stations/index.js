@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+
+// Fire stations and the area each one covers, for both backends (Node only).
+// The dataset is a GeoJSON FeatureCollection:
+//
+//   Point features                station  { id, name, address, phone }
+//   Polygon/MultiPolygon features jurisdiction  { id, name, stationId }
+//
+// stations.geojson next to this file is sample data; STATIONS_FILE points
+// the backends at the department's own. Points are { lat, lng } in degrees
+// (GeoJSON positions are [lng, lat]).
+//
+// A NOC application or safety review submitted with a pinned location is
+// routed with route(): it stores the point and the jurisdiction it falls in
+//
+//   location      { lat, lng }
+//   jurisdiction  { id, name, stationId, stationName }, or null outside them all
+//
+// and staff lists filter on it with ?jurisdiction= (listFilter()).
+
+const DEFAULT_FILE = path.join(__dirname, 'stations.geojson');
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_NEAREST = 3;
+const MAX_NEAREST = 10;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance between two points, in kilometres
+function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Ray casting over one ring of [lng, lat] positions
+function inRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point.lat) !== (yj > point.lat) &&
+        point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside the outer ring and outside its holes
+const inPolygon = (point, [outer, ...holes]) => inRing(point, outer) && !holes.some(hole => inRing(point, hole));
+
+// Number in [min, max], or undefined
+function coordinate(value, min, max) {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : undefined;
+}
+
+// { point } from a latitude and longitude (query string or form values), or
+// { error }
+function parsePoint(lat, lng) {
+  const point = { lat: coordinate(lat, -90, 90), lng: coordinate(lng, -180, 180) };
+  if (point.lat === undefined || point.lng === undefined) {
+    return { error: 'A valid latitude (-90 to 90) and longitude (-180 to 180) are required' };
+  }
+  return { point };
+}
+
+// Stations and jurisdictions of a FeatureCollection; throws on anything
+// that would route records wrongly
+function parseDataset(collection) {
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error('Stations dataset must be a GeoJSON FeatureCollection');
+  }
+
+  const stations = [];
+  const jurisdictions = [];
+  collection.features.forEach((feature, index) => {
+    const { geometry } = feature;
+    const properties = feature.properties || {};
+    const where = `Feature ${index + 1}${properties.id ? ` (${properties.id})` : ''}`;
+    if (!properties.id || !properties.name) throw new Error(`${where} needs an id and a name`);
+
+    if (geometry && geometry.type === 'Point') {
+      const [lng, lat] = geometry.coordinates;
+      stations.push({
+        id: String(properties.id),
+        name: properties.name,
+        address: properties.address || '',
+        phone: properties.phone || '',
+        lat,
+        lng
+      });
+    } else if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+      jurisdictions.push({
+        id: String(properties.id),
+        name: properties.name,
+        stationId: properties.stationId ? String(properties.stationId) : null,
+        polygons: geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+      });
+    } else {
+      throw new Error(`${where} must be a Point (station) or a Polygon/MultiPolygon (jurisdiction)`);
+    }
+  });
+
+  const ids = new Set();
+  [...stations, ...jurisdictions].forEach(({ id }) => {
+    if (ids.has(id)) throw new Error(`Duplicate id in stations dataset: ${id}`);
+    ids.add(id);
+  });
+  jurisdictions.forEach(jurisdiction => {
+    if (jurisdiction.stationId && !stations.some(station => station.id === jurisdiction.stationId)) {
+      throw new Error(`Jurisdiction ${jurisdiction.id} refers to unknown station ${jurisdiction.stationId}`);
+    }
+  });
+
+  return { stations, jurisdictions };
+}
+
+function createStationDirectory({ stations, jurisdictions }) {
+  const stationById = id => stations.find(station => station.id === id) || null;
+
+  // A jurisdiction as records store it and the API returns it
+  function summary(jurisdiction) {
+    const station = stationById(jurisdiction.stationId);
+    return {
+      id: jurisdiction.id,
+      name: jurisdiction.name,
+      stationId: station ? station.id : null,
+      stationName: station ? station.name : null
+    };
+  }
+
+  // Up to `limit` stations closest to the point, nearest first, each with
+  // its distanceKm (rounded to 10 m)
+  function nearest(point, limit = DEFAULT_NEAREST) {
+    const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_NEAREST, 1), MAX_NEAREST);
+    return stations
+      .map(station => ({ ...station, distanceKm: Math.round(distanceKm(point, station) * 100) / 100 }))
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, count);
+  }
+
+  // The jurisdiction the point falls in, or null. Where polygons overlap,
+  // the one listed first in the dataset wins.
+  function jurisdictionAt(point) {
+    const found = jurisdictions.find(jurisdiction => jurisdiction.polygons.some(rings => inPolygon(point, rings)));
+    return found ? summary(found) : null;
+  }
+
+  // The location and jurisdiction fields of a record pinned at `point`
+  // ({ lat, lng }), or both null for a record without a pin
+  function route(point) {
+    if (!point) return { location: null, jurisdiction: null };
+    return {
+      location: { lat: point.lat, lng: point.lng },
+      jurisdiction: jurisdictionAt(point)
+    };
+  }
+
+  // Storage filter for ?jurisdiction= on a staff list: a jurisdiction id,
+  // or 'none' for records outside every jurisdiction or without a pin.
+  // Returns { filter } or { error }.
+  function listFilter(value) {
+    if (!value || value === 'all') return { filter: {} };
+    if (value === 'none') return { filter: { 'jurisdiction.id': null } };
+    if (jurisdictions.some(jurisdiction => jurisdiction.id === value)) {
+      return { filter: { 'jurisdiction.id': String(value) } };
+    }
+    return { error: `Unknown jurisdiction. Must be one of: ${[...jurisdictions.map(j => j.id), 'none'].join(', ')}` };
+  }
+
+  // The whole dataset for maps and filters, jurisdictions as GeoJSON geometry
+  function list() {
+    return {
+      stations,
+      jurisdictions: jurisdictions.map(jurisdiction => ({
+        ...summary(jurisdiction),
+        geometry: { type: 'MultiPolygon', coordinates: jurisdiction.polygons }
+      }))
+    };
+  }
+
+  return { nearest, jurisdictionAt, route, listFilter, list };
+}
+
+// Directory of the dataset in `file` (DEFAULT_FILE when not set)
+function loadStationDirectory(file) {
+  const source = file || DEFAULT_FILE;
+  try {
+    return createStationDirectory(parseDataset(JSON.parse(fs.readFileSync(source, 'utf8'))));
+  } catch (error) {
+    throw new Error(`Could not load stations dataset ${source}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_FILE,
+  distanceKm,
+  parsePoint,
+  parseDataset,
+  createStationDirectory,
+  loadStationDirectory
+};
@@ -0,0 +1,118 @@
+// The one status vocabulary for NOC applications and safety reviews. Records
+// store the canonical code; labels and colour classes are derived from it.
+// Loaded with require() by both backends and with a <script> tag by
+// adminPage.html (as window.Status).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Status = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CODES = {
+    PENDING: 'pending',
+    UNDER_REVIEW: 'under_review',
+    QUERY_RAISED: 'query_raised',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+  };
+
+  const DEFINITIONS = {
+    pending: { label: 'Pending', className: 'bg-yellow-500' },
+    under_review: { label: 'Under Review', className: 'bg-blue-500' },
+    query_raised: { label: 'Query Raised', className: 'bg-orange-500' },
+    approved: { label: 'Approved', className: 'bg-green-500' },
+    rejected: { label: 'Rejected', className: 'bg-red-500' }
+  };
+
+  // Older spellings still found in stored records and API clients, keyed the
+  // way normalize() folds its input ('Submitted' -> 'submitted')
+  const ALIASES = {
+    submitted: CODES.PENDING,
+    new: CODES.PENDING,
+    in_review: CODES.UNDER_REVIEW,
+    reviewed: CODES.UNDER_REVIEW,
+    query: CODES.QUERY_RAISED
+  };
+
+  // Statuses each kind of record can take, in display order
+  const NOC_STATUSES = [CODES.PENDING, CODES.UNDER_REVIEW, CODES.QUERY_RAISED, CODES.APPROVED, CODES.REJECTED];
+  const INSPECTION_STATUSES = [CODES.PENDING, CODES.UNDER_REVIEW, CODES.QUERY_RAISED, CODES.APPROVED, CODES.REJECTED];
+
+  // Status changes allowed on both kinds of record; Approved and Rejected
+  // are final.
+  //
+  //   Pending -> Under Review -> Approved | Rejected
+  //                   ^  |
+  //                   |  v
+  //              Query Raised
+  const REVIEW_FLOW = {
+    [CODES.PENDING]: [CODES.UNDER_REVIEW],
+    [CODES.UNDER_REVIEW]: [CODES.APPROVED, CODES.REJECTED, CODES.QUERY_RAISED],
+    [CODES.QUERY_RAISED]: [CODES.UNDER_REVIEW],
+    [CODES.APPROVED]: [],
+    [CODES.REJECTED]: []
+  };
+
+  const TRANSITIONS = { noc: REVIEW_FLOW, inspection: REVIEW_FLOW };
+
+  const DEFAULT_CLASS = 'bg-gray-500';
+
+  // Canonical code for any known spelling ('Under Review', 'under review',
+  // 'UNDER_REVIEW', 'Submitted', ...), or null
+  function normalize(value) {
+    if (value === undefined || value === null) return null;
+    const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (Object.prototype.hasOwnProperty.call(DEFINITIONS, key)) return key;
+    return ALIASES[key] || null;
+  }
+
+  function isKnown(value) {
+    return normalize(value) !== null;
+  }
+
+  function label(value) {
+    const code = normalize(value);
+    return code ? DEFINITIONS[code].label : (value || '');
+  }
+
+  function classFor(value) {
+    const code = normalize(value);
+    return code ? DEFINITIONS[code].className : DEFAULT_CLASS;
+  }
+
+  // Codes a `kind` ('noc' or 'inspection') record may move to from `from`
+  function allowedTransitions(kind, from) {
+    return (TRANSITIONS[kind] && TRANSITIONS[kind][from]) || [];
+  }
+
+  function canTransition(kind, from, to) {
+    return allowedTransitions(kind, from).includes(to);
+  }
+
+  // Copy of a record with its status in canonical form plus the display
+  // fields the pages render
+  function decorate(record) {
+    const code = normalize(record.status) || record.status;
+    return Object.assign({}, record, {
+      status: code,
+      statusLabel: label(code),
+      statusClass: classFor(code)
+    });
+  }
+
+  return {
+    CODES,
+    DEFINITIONS,
+    ALIASES,
+    NOC_STATUSES,
+    INSPECTION_STATUSES,
+    normalize,
+    isKnown,
+    label,
+    classFor,
+    allowedTransitions,
+    canTransition,
+    decorate
+  };
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { FILE_TYPES, detectType } = require('./fileTypes');
+const { writeZip } = require('./zip');
+
+// Serving stored documents to the people allowed to see them. Each backend
+// turns its record into a list of entries,
+//
+//   { key, field, filename, meta, version, current, replacedAt }
+//
+// where `key` names the document in URLs (the field, 'additionalDocs-2' for
+// fields holding several files, 'buildingPlan.v1' for a replaced version)
+// and `meta` is what the upload pipeline recorded (missing for files
+// uploaded before it existed). Only names from the record are ever opened,
+// and only inside uploadsDir.
+
+// Type of a stored file: from its metadata, else from its first bytes
+async function typeOf(filePath, meta) {
+  if (meta && meta.mimeType) {
+    return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].mimeType === meta.mimeType) || null;
+  }
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+    return detectType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+function storedPath(uploadsDir, entry) {
+  return path.join(uploadsDir, path.basename(entry.filename));
+}
+
+// Download name, e.g. NOC1001-buildingPlan.pdf
+function downloadName(recordId, entry) {
+  return `${recordId}-${entry.key}${path.extname(entry.filename)}`;
+}
+
+// What GET .../documents answers with
+function describe(entries, baseUrl) {
+  return entries.map(entry => ({
+    key: entry.key,
+    field: entry.field,
+    originalName: entry.meta ? entry.meta.originalName : null,
+    mimeType: entry.meta ? entry.meta.mimeType : null,
+    size: entry.meta ? entry.meta.size : null,
+    pages: entry.meta ? entry.meta.pages : null,
+    sha256: entry.meta ? entry.meta.sha256 : null,
+    version: entry.version || 1,
+    current: entry.current !== false,
+    replacedAt: entry.replacedAt || null,
+    url: `${baseUrl}/${encodeURIComponent(entry.key)}`
+  }));
+}
+
+// Send one document: inline for preview, or as an attachment with
+// download=true. Files of unknown type are always sent as attachments so
+// the browser never renders them.
+async function sendDocument(res, uploadsDir, recordId, entry, { download = false } = {}) {
+  const filePath = storedPath(uploadsDir, entry);
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document file is missing'
+    });
+  }
+
+  const type = await typeOf(filePath, entry.meta);
+  const disposition = download || !type ? 'attachment' : 'inline';
+
+  res.set({
+    'Content-Type': type ? FILE_TYPES[type].mimeType : 'application/octet-stream',
+    'Content-Disposition': `${disposition}; filename="${downloadName(recordId, entry)}"`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store'
+  });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// Send every document of a record as one ZIP. Files missing from disk are
+// left out.
+async function sendDocumentsZip(res, uploadsDir, recordId, entries) {
+  const files = entries
+    .map(entry => ({ name: downloadName(recordId, entry), path: storedPath(uploadsDir, entry) }))
+    .filter(file => fs.existsSync(file.path));
+
+  if (!files.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'No documents to download'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${recordId}-documents.zip"`,
+    'Cache-Control': 'private, no-store'
+  });
+  await writeZip(res, files);
+  res.end();
+}
+
+module.exports = { describe, sendDocument, sendDocumentsZip };
@@ -0,0 +1,65 @@
+const zlib = require('zlib');
+
+// What an uploaded file really is, judged by its first bytes (magic numbers)
+// rather than by the name or Content-Type the browser sent.
+
+const FILE_TYPES = {
+  pdf: { mimeType: 'application/pdf', extension: '.pdf', label: 'PDF' },
+  png: { mimeType: 'image/png', extension: '.png', label: 'PNG image' },
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg', label: 'JPEG image' }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PDF readers accept the header anywhere in the first kilobyte
+const PDF_HEADER_WINDOW = 1024;
+
+// 'pdf', 'png', 'jpeg' or null
+function detectType(buffer) {
+  if (buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, PDF_HEADER_WINDOW).includes('%PDF-')) {
+    return 'pdf';
+  }
+  return null;
+}
+
+// Page objects (/Type /Page, not /Pages) in a chunk of PDF source
+function countPageObjects(text) {
+  return (text.match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length;
+}
+
+// Number of pages in a PDF, or null when it can't be told (e.g. the page
+// objects sit in encrypted object streams). Page dictionaries are counted in
+// the file itself and inside compressed object streams (PDF 1.5+); if there
+// are none, the page tree's /Count is used.
+function countPdfPages(buffer) {
+  const source = buffer.toString('latin1');
+  let pages = countPageObjects(source);
+
+  const objectStream = /\/Type\s*\/ObjStm[\s\S]*?stream\r?\n/g;
+  let match;
+  while ((match = objectStream.exec(source))) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    if (end === -1) break;
+
+    try {
+      pages += countPageObjects(zlib.inflateSync(buffer.subarray(start, end)).toString('latin1'));
+    } catch (error) {
+      // Not Flate-compressed, or encrypted; nothing we can read
+    }
+  }
+
+  if (pages) return pages;
+
+  const counts = [...source.matchAll(/\/Type\s*\/Pages[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages/g)]
+    .map(m => Number(m[1] || m[2]));
+  return counts.length ? Math.max(...counts) : null;
+}
+
+module.exports = { FILE_TYPES, detectType, countPdfPages };
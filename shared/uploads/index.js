@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FILE_TYPES, detectType, countPdfPages } = require('./fileTypes');
+const { createScanner } = require('./scanners');
+
+// Upload checks shared by the NOC and inspection backends (Node only; the
+// browser pages don't load this). multer writes each file under a temporary
+// name; check() then, per file:
+//
+//   1. identifies the type from the file's bytes and applies the field's
+//      rule ({ label, types, maxBytes, maxPages })
+//   2. records the SHA-256 checksum
+//   3. runs the malware scanner; infected files are moved to quarantineDir,
+//      which is never served
+//   4. renames the file to the extension of its real type
+//
+// and sets req.fileMeta to one entry per accepted file for the record. If
+// any file fails, every file of the request is removed and the request is
+// answered with the reasons per field.
+
+const TEMP_EXTENSION = '.upload';
+const MB = 1024 * 1024;
+
+// Delete the files multer wrote for a request that was not stored. Takes
+// req.files as multer sets it (by field, or a list) or a list of files.
+function removeUploadedFiles(files) {
+  const list = Array.isArray(files) ? files : Object.values(files || {}).flat();
+  list.forEach(file => {
+    fs.unlink(file.path, err => {
+      if (err && err.code !== 'ENOENT') console.error('Error removing upload:', err);
+    });
+  });
+}
+
+function createUploadPipeline({ rules, quarantineDir, scanner: scannerName = 'none', scannerOptions = {}, failOpen = false }) {
+  const scanner = createScanner(scannerName, scannerOptions);
+
+  if (!fs.existsSync(quarantineDir)) {
+    fs.mkdirSync(quarantineDir, { recursive: true });
+  }
+
+  // For multer's diskStorage: nothing of the client's file name is used
+  function temporaryFilename(req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `${file.fieldname}-${uniqueSuffix}${TEMP_EXTENSION}`);
+  }
+
+  const allowedList = types => types.map(type => FILE_TYPES[type].label).join(' or ');
+
+  async function quarantine(file, details) {
+    const base = `${Date.now()}-${details.sha256.slice(0, 16)}`;
+    const target = path.join(quarantineDir, `${base}.quarantine`);
+
+    try {
+      await fs.promises.rename(file.path, target);
+    } catch (error) {
+      // Quarantine on another disk
+      await fs.promises.copyFile(file.path, target);
+      await fs.promises.unlink(file.path);
+    }
+    await fs.promises.writeFile(path.join(quarantineDir, `${base}.json`), JSON.stringify(details, null, 2));
+
+    console.warn(`⚠️  Quarantined upload ${details.originalName} (${details.field}): ${details.signature}`);
+  }
+
+  // { meta } for an accepted file, or { status, message } for a refused one
+  async function inspect(file, req) {
+    const rule = rules[file.fieldname];
+    if (!rule) return { status: 400, message: `Unexpected file field "${file.fieldname}"` };
+
+    const buffer = await fs.promises.readFile(file.path);
+    const type = detectType(buffer);
+
+    if (!type || !rule.types.includes(type)) {
+      return { status: 400, message: `${rule.label} must be a ${allowedList(rule.types)}` };
+    }
+    if (buffer.length > rule.maxBytes) {
+      return { status: 400, message: `${rule.label} must be at most ${rule.maxBytes / MB} MB` };
+    }
+
+    let pages = null;
+    if (type === 'pdf') {
+      pages = countPdfPages(buffer);
+      if (!pages) {
+        return { status: 400, message: `${rule.label} could not be read as a PDF. Please save it again as a standard PDF.` };
+      }
+      if (rule.maxPages && pages > rule.maxPages) {
+        return { status: 400, message: `${rule.label} has ${pages} pages; the limit is ${rule.maxPages}` };
+      }
+    }
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    let result;
+    try {
+      result = await scanner.scan(file.path);
+    } catch (error) {
+      console.error(`❌ Upload scan failed (${scanner.name}):`, error.message);
+      if (!failOpen) {
+        return { status: 503, message: 'Documents cannot be checked for viruses right now. Please try again later.' };
+      }
+      result = { clean: true, skipped: true };
+    }
+
+    if (!result.clean) {
+      await quarantine(file, {
+        field: file.fieldname,
+        originalName: file.originalname,
+        type,
+        size: buffer.length,
+        sha256,
+        signature: result.signature,
+        scanner: scanner.name,
+        ip: req.ip,
+        at: new Date().toISOString()
+      });
+      return { status: 422, message: `${rule.label} was rejected by the virus scan`, quarantined: true };
+    }
+
+    const finalPath = file.path.slice(0, -TEMP_EXTENSION.length) + FILE_TYPES[type].extension;
+    await fs.promises.rename(file.path, finalPath);
+    file.path = finalPath;
+    file.filename = path.basename(finalPath);
+    file.mimetype = FILE_TYPES[type].mimeType;
+
+    return {
+      meta: {
+        field: file.fieldname,
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: FILE_TYPES[type].mimeType,
+        size: buffer.length,
+        pages,
+        sha256,
+        scan: {
+          engine: scanner.name,
+          result: result.skipped ? 'skipped' : 'clean',
+          at: new Date().toISOString()
+        }
+      }
+    };
+  }
+
+  // Express middleware; use right after multer
+  async function check(req, res, next) {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+    try {
+      const results = [];
+      for (const file of files) {
+        results.push({ file, ...(await inspect(file, req)) });
+      }
+
+      const refused = results.filter(r => !r.meta);
+      if (!refused.length) {
+        req.fileMeta = results.map(r => r.meta);
+        return next();
+      }
+
+      removeUploadedFiles(results.filter(r => !r.quarantined).map(r => r.file));
+
+      // Scanner trouble first, then infected files, then plain rule failures
+      const status = [503, 422, 400].find(code => refused.some(r => r.status === code));
+      res.status(status).json({
+        success: false,
+        message: refused.map(r => r.message).join('. '),
+        errors: Object.fromEntries(refused.map(r => [r.file.fieldname, r.message]))
+      });
+    } catch (error) {
+      console.error('Error checking uploads:', error);
+      removeUploadedFiles(files);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking uploaded documents'
+      });
+    }
+  }
+
+  // Largest size any field accepts, for multer's limits.fileSize
+  const maxFileSize = Math.max(...Object.values(rules).map(rule => rule.maxBytes));
+
+  return {
+    check,
+    temporaryFilename,
+    maxFileSize,
+    describe: () => `${scanner.name}${failOpen ? ' (fail open)' : ''}`
+  };
+}
+
+module.exports = { createUploadPipeline, removeUploadedFiles, FILE_TYPES };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const net = require('net');
+
+// Malware scanners for uploaded files. Every scanner exposes
+// scan(filePath) -> { clean, signature } and rejects when the scan itself
+// could not be done (scanner down, timeout), so the caller decides whether
+// to fail open or closed.
+
+// No scanning; every file passes. The default for development.
+function createNoopScanner() {
+  return {
+    name: 'none',
+    async scan() {
+      return { clean: true, signature: null, skipped: true };
+    }
+  };
+}
+
+// Test stand-in: flags files containing the EICAR anti-virus test string,
+// so the quarantine path can be exercised without a real engine
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+function createEicarScanner() {
+  return {
+    name: 'eicar',
+    async scan(filePath) {
+      const content = await fs.promises.readFile(filePath);
+      const infected = content.includes(EICAR);
+      return { clean: !infected, signature: infected ? 'EICAR-Test-File' : null };
+    }
+  };
+}
+
+// ClamAV daemon (clamd) over TCP or a Unix socket, using the INSTREAM
+// command: the file is sent in length-prefixed chunks and clamd answers
+// "stream: OK" or "stream: <signature> FOUND".
+function createClamavScanner({ host = '127.0.0.1', port = 3310, socket, timeoutMs = 30000 } = {}) {
+  const where = socket || `${host}:${port}`;
+
+  function scan(filePath) {
+    return new Promise((resolve, reject) => {
+      const connection = socket ? net.createConnection(socket) : net.createConnection(port, host);
+      const chunks = [];
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        connection.destroy();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      connection.setTimeout(timeoutMs, () => finish(new Error(`ClamAV at ${where} timed out`)));
+      connection.on('error', error => finish(new Error(`ClamAV at ${where}: ${error.message}`)));
+      connection.on('data', chunk => chunks.push(chunk));
+      connection.on('end', () => {
+        const reply = Buffer.concat(chunks).toString().replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(reply);
+
+        if (reply === 'stream: OK') finish(null, { clean: true, signature: null });
+        else if (found) finish(null, { clean: false, signature: found[1] });
+        else finish(new Error(`ClamAV at ${where} answered: ${reply || '(nothing)'}`));
+      });
+
+      connection.on('connect', () => {
+        connection.write('zINSTREAM\0');
+        const file = fs.createReadStream(filePath, { highWaterMark: 64 * 1024 });
+
+        file.on('data', data => {
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(data.length);
+          connection.write(size);
+          connection.write(data);
+        });
+        file.on('end', () => connection.write(Buffer.alloc(4)));
+        file.on('error', error => finish(error));
+      });
+    });
+  }
+
+  return { name: `clamav (${where})`, scan };
+}
+
+const scanners = {
+  none: createNoopScanner,
+  eicar: createEicarScanner,
+  clamav: createClamavScanner
+};
+
+function createScanner(name, options = {}) {
+  const create = scanners[name];
+  if (!create) {
+    throw new Error(`Unknown upload scanner "${name}" (expected one of: ${Object.keys(scanners).join(', ')})`);
+  }
+  return create(options);
+}
+
+module.exports = { createScanner, EICAR };
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal ZIP writer for "download all documents" and XLSX exports. Files
+// are stored without compression: the documents are PDFs and images, which
+// are already compressed, so deflating them again only costs CPU. Streamed
+// entries (generated XML) are deflated; readers only accept sizes after the
+// data for compressed entries.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// Pass the CRC of the data so far to continue it over the next chunk
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, as ZIP headers want them
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Write a ZIP of `entries` to a writable stream (e.g. an Express response),
+// one entry at a time. Each entry has a `name` and one of
+//
+//   path    a file to copy
+//   data    a Buffer or string
+//   chunks  an (async) iterable of Buffers or strings, deflated and written
+//           as they come; CRC and sizes follow in a data descriptor
+//
+// Resolves once everything is written.
+async function writeZip(output, entries) {
+  const write = chunk => new Promise((resolve, reject) => {
+    output.write(chunk, error => (error ? reject(error) : resolve()));
+  });
+
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const streamed = !!entry.chunks;
+    const name = Buffer.from(entry.name, 'utf8');
+    const { time, date } = dosDateTime(entry.date || new Date());
+    // UTF-8 names, plus "sizes in a data descriptor" for streamed entries
+    const flags = streamed ? 0x0808 : 0x0800;
+    const method = streamed ? 8 : 0; // deflate : store
+
+    let data = null;
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    if (!streamed) {
+      data = entry.path ? await fs.promises.readFile(entry.path) : Buffer.from(entry.data);
+      crc = crc32(data);
+      size = compressedSize = data.length;
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressedSize, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    await write(Buffer.concat([local, name]));
+
+    if (streamed) {
+      const deflate = zlib.createDeflateRaw();
+      const compressed = [];
+      const finished = new Promise((resolve, reject) => {
+        deflate.on('end', resolve);
+        deflate.on('error', reject);
+      });
+      deflate.on('data', chunk => compressed.push(chunk));
+      const flush = async () => {
+        while (compressed.length) {
+          const chunk = compressed.shift();
+          compressedSize += chunk.length;
+          await write(chunk);
+        }
+      };
+
+      for await (const chunk of entry.chunks) {
+        const buffer = Buffer.from(chunk);
+        if (!buffer.length) continue;
+        crc = crc32(buffer, crc);
+        size += buffer.length;
+        if (!deflate.write(buffer)) await new Promise(resolve => deflate.once('drain', resolve));
+        await flush();
+      }
+      deflate.end();
+      await finished;
+      await flush();
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(compressedSize, 8);
+      descriptor.writeUInt32LE(size, 12);
+      await write(descriptor);
+    } else {
+      await write(data);
+    }
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4); // version made by
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(flags, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressedSize, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name);
+
+    offset += local.length + name.length + compressedSize + (streamed ? 16 : 0);
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  await write(Buffer.concat([directory, end]));
+}
+
+module.exports = { writeZip, crc32 };
@@ -0,0 +1,170 @@
+// Field rules for NOC applications and safety reviews, one schema per kind of
+// submission. Loaded with require() by both backends and with a <script> tag
+// by nocPage.html and inspectionPage.html (as window.Validation), so the
+// forms flag the same problems the API rejects.
+//
+// validate() returns { values, errors }: the trimmed and parsed values, and
+// a message per field that is wrong ({} when the submission is fine). The
+// API sends `errors` back as-is, keyed by field name, for the forms to show
+// next to the matching inputs.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Validation = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 10 digits starting 6-9, optionally after +91, 91 or 0; spaces and
+  // dashes are ignored
+  const MOBILE_PATTERN = /^(?:\+?91|0)?[6-9]\d{9}$/;
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  const currentYear = () => new Date().getFullYear();
+
+  // Field types:
+  //   string   text, up to maxLength characters
+  //   integer  whole number between min and max (max may be a function)
+  //   number   decimal number between min and max
+  //   enum     one of `values`
+  //   mobile   Indian mobile number (MOBILE_PATTERN)
+  //   email    email address
+  // A field with `requires` is only accepted together with that other field,
+  // e.g. the two halves of a map pin.
+  const LOCATION_FIELDS = {
+    latitude: { label: 'Latitude', type: 'number', min: -90, max: 90, requires: 'longitude' },
+    longitude: { label: 'Longitude', type: 'number', min: -180, max: 180, requires: 'latitude' }
+  };
+
+  const SCHEMAS = {
+    noc: {
+      buildingType: {
+        label: 'Building Type',
+        type: 'enum',
+        required: true,
+        values: ['residential', 'commercial', 'industrial', 'institutional', 'mixed']
+      },
+      propertyName: { label: 'Property Name', type: 'string', required: true, maxLength: 200 },
+      plotNumber: { label: 'Plot/Survey Number', type: 'string', required: true, maxLength: 50 },
+      address: { label: 'Address', type: 'string', required: true, maxLength: 500 },
+      builtupArea: { label: 'Built-up Area', type: 'integer', required: true, min: 1, max: 10000000 },
+      floors: { label: 'Number of Floors', type: 'integer', required: true, min: 1, max: 200 },
+      applicantName: { label: 'Full Name', type: 'string', required: true, maxLength: 120 },
+      mobile: { label: 'Mobile Number', type: 'mobile', required: true },
+      email: { label: 'Email Address', type: 'email', required: true, maxLength: 200 },
+      applicantType: {
+        label: 'Applicant Type',
+        type: 'enum',
+        required: true,
+        values: ['owner', 'architect', 'builder', 'authorized']
+      },
+      ...LOCATION_FIELDS
+    },
+    inspection: {
+      buildingName: { label: 'Building Name', type: 'string', required: true, maxLength: 200 },
+      buildingType: {
+        label: 'Building Type',
+        type: 'enum',
+        required: true,
+        values: ['residential', 'commercial', 'industrial', 'mixed', 'other']
+      },
+      address: { label: 'Address', type: 'string', required: true, maxLength: 500 },
+      numberOfFloors: { label: 'Number of Floors', type: 'integer', required: true, min: 1, max: 200 },
+      occupancyLoad: { label: 'Occupancy Load', type: 'integer', required: true, min: 1, max: 1000000 },
+      yearConstruction: { label: 'Year of Construction', type: 'integer', required: true, min: 1900, max: currentYear },
+      ownerName: { label: 'Owner Name', type: 'string', required: true, maxLength: 120 },
+      contactNumber: { label: 'Contact Number', type: 'mobile', required: true },
+      wiringCondition: { label: 'Wiring Condition', type: 'enum', values: ['good', 'average', 'poor'] },
+      ...LOCATION_FIELDS
+    }
+  };
+
+  const limit = value => (typeof value === 'function' ? value() : value);
+
+  // [value, error] for one non-empty field
+  function check(rule, text) {
+    const { label } = rule;
+
+    switch (rule.type) {
+      case 'integer': {
+        const min = limit(rule.min);
+        const max = limit(rule.max);
+        if (!/^\d+$/.test(text)) {
+          return [null, `${label} must be a whole number`];
+        }
+        const number = Number(text);
+        if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+          if (min !== undefined && max !== undefined) return [null, `${label} must be between ${min} and ${max}`];
+          return [null, min !== undefined ? `${label} must be at least ${min}` : `${label} must be at most ${max}`];
+        }
+        return [number, null];
+      }
+      case 'number': {
+        const number = /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+        if (Number.isNaN(number)) return [null, `${label} must be a number`];
+        if (number < rule.min || number > rule.max) return [null, `${label} must be between ${rule.min} and ${rule.max}`];
+        return [number, null];
+      }
+      case 'enum':
+        return rule.values.includes(text)
+          ? [text, null]
+          : [null, `${label} must be one of: ${rule.values.join(', ')}`];
+      case 'mobile':
+        return MOBILE_PATTERN.test(text.replace(/[\s-]/g, ''))
+          ? [text, null]
+          : [null, `${label} must be a 10-digit mobile number`];
+      case 'email':
+        if (!EMAIL_PATTERN.test(text)) return [null, `${label} must be a valid email address`];
+        break;
+      default:
+        break;
+    }
+
+    if (rule.maxLength && text.length > rule.maxLength) {
+      return [null, `${label} must be at most ${rule.maxLength} characters`];
+    }
+    return [text, null];
+  }
+
+  // Check `input` (a request body or form values) against the `kind`
+  // schema. `only` limits the check to some fields, e.g. the ones a
+  // resubmission changes. Empty optional fields are left out of `values`.
+  function validate(kind, input, { only = null } = {}) {
+    const schema = SCHEMAS[kind];
+    const values = {};
+    const errors = {};
+
+    (only || Object.keys(schema)).forEach(name => {
+      const rule = schema[name];
+      if (!rule) return;
+
+      const raw = input[name];
+      const text = raw === undefined || raw === null ? '' : String(raw).trim();
+      if (!text) {
+        if (rule.required) errors[name] = `${rule.label} is required`;
+        return;
+      }
+
+      const [value, error] = check(rule, text);
+      if (error) errors[name] = error;
+      else values[name] = value;
+
+      const partner = input[rule.requires];
+      if (rule.requires && !error && (partner === undefined || partner === null || !String(partner).trim())) {
+        errors[name] = `${rule.label} needs ${schema[rule.requires].label.toLowerCase()} too`;
+        delete values[name];
+      }
+    });
+
+    return { values, errors };
+  }
+
+  function hasErrors(errors) {
+    return Object.keys(errors || {}).length > 0;
+  }
+
+  return {
+    SCHEMAS,
+    validate,
+    hasErrors
+  };
+});